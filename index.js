@@ -1,31 +1,69 @@
 var request = require('request'),
   _ = require('lodash'),
-  crypto = require('crypto'),
+  auth = require('./lib/auth.js'),
   Currency = require('./lib/currency.js'),
+  MarketData = require('./lib/market_data.js'),
+  MarketStream = require('./lib/market_stream.js'),
+  Nonce = require('./lib/nonce.js'),
+  OrderBook = require('./lib/order_book.js'),
+  OrderBookAnalytics = require('./lib/order_book_analytics.js'),
+  RateLimiter = require('./lib/rate_limiter.js'),
+  TransactionCursor = require('./lib/transaction_cursor.js'),
   async = require('async'),
-  {promisify} = require('util'),
   errorCodes = require('./lib/error_codes.js'),
+  constructError = require('./lib/errors.js').constructError,
   constants = require('./lib/constants.js');
 
 /* =================   Constructor   ================= */
 
 var Bitstamp = function (settings) {
+  /* The settings, to create the instances of sub-accounts with */
+  this.settings = settings;
   this.key = settings.key;
   this.secret = settings.secret;
   this.clientId = settings.clientId;
+  /* The id of the sub-account that the credentials belong to, or null for the main account */
+  this.subAccount = settings.subAccount ? String(settings.subAccount) : null;
   this.host = settings.host || constants.HOST;
   this.timeout = settings.timeout || constants.REQUEST_TIMEOUT;
+  this.authVersion = settings.authVersion || auth.AUTH_VERSION_V1;
+  this.nonceProvider = settings.nonceProvider || new Nonce.MonotonicNonceProvider();
+  this.retry = _.defaults({}, settings.retry, constants.RETRY);
+  /* Instances with the same API key share their rate limiter, since Bitstamp counts the requests per key */
+  this.rateLimiter = RateLimiter.forKey(this.key, _.defaults({}, settings.rateLimit, constants.RATE_LIMIT));
+  /* Whether to check orders against the rules of the trading pair before placing them (by default), and to round them
+   * to fit */
+  this.validateOrders = settings.validateOrders !== false;
+  this.roundOrders = Boolean(settings.roundOrders);
+  this.tradingPairsCacheTime = settings.tradingPairsCacheTime || constants.TRADING_PAIRS_CACHE_TIME;
+  this.tradingPairsCache = null;
+  /* Whether the decimals of the currencies that the module does not know were loaded for the balance */
+  this.currencyDecimalsLoaded = false;
+  /* Whether to return prices as the exact decimal strings that Bitstamp sends, instead of numbers */
+  this.exactPrices = Boolean(settings.exactPrices);
+  /* The decimals of currencies that the module does not know, eg. {XLM: 7}, shared by all instances */
+  if (settings.currencyDecimals) {
+    Currency.addDecimals(settings.currencyDecimals);
+  }
 };
 
 /* =================   Helper methods   ================= */
 
 /**
  * A helper method to initialize a GET request with its options, and call the request.
+ * GET requests only read public data, so they are retried on transient errors.
  *
- * @param {string}  action  The API endpoint that is to be requested
+ * @param {string}  action      The API endpoint that is to be requested
+ * @param {object}  [params]    The query string parameters
  * @param callback
  */
-Bitstamp.prototype._get = function (action, callback) {
+Bitstamp.prototype._get = function (action, params, callback) {
+  if (typeof params == 'function') {
+    callback = params;
+    params = null;
+  }
+
+  var self = this;
   var path = '/api/' + action + '/';
 
   var options = {
@@ -33,107 +71,281 @@ Bitstamp.prototype._get = function (action, callback) {
     method: 'GET',
     timeout: this.timeout
   };
+  if (!_.isEmpty(params)) {
+    options.qs = params;
+  }
 
-  this._request(options, callback);
+  this._retry(true, done => self._request(options, done), callback);
 };
 
 /**
  * A helper method to initialize a POST request with its options and data to be passed, and call the request.
  *
- * @param {string}  action  The API endpoint that is to be requested
- * @param {object}  params  An object, containing the data to be passed with the POST request
+ * @param {string}  action              The API endpoint that is to be requested
+ * @param {object}  params              An object, containing the data to be passed with the POST request
+ * @param {object}  [options]
+ * @param {boolean} [options.idempotent] Whether the request can safely be repeated, so that it is retried on
+ *                                      transient errors. Never set this for requests that place orders or move funds
  * @param callback
  */
-Bitstamp.prototype._post = function (action, params, callback) {
+Bitstamp.prototype._post = function (action, params, options, callback) {
   if (typeof params == 'function') {
     callback = params;
+    params = null;
+  } else if (typeof options == 'function') {
+    callback = options;
   }
+  options = _.isPlainObject(options) ? options : {};
 
-  if (!this.key || !this.secret || !this.clientId)
-    return callback('Must provide key, secret and client ID to make this API request.');
+  /* Only the v1 signature includes the client ID */
+  var needsClientId = this.authVersion !== auth.AUTH_VERSION_V2;
+  if (!this.key || !this.secret || (needsClientId && !this.clientId))
+    return callback(constructError(needsClientId ? 'Must provide key, secret and client ID to make this API request.' :
+      'Must provide key and secret to make this API request.', errorCodes.MODULE_ERROR, null));
 
-  var path = '/api/' + action + '/';
-  var nonce = new Date().getTime()*10;
-  var message = nonce + this.clientId + this.key;
-  var signer = crypto.createHmac('sha256', new Buffer(this.secret, 'utf8'));
-  var signature = signer.update(message).digest('hex').toUpperCase();
+  var self = this;
+  var url = this.host + '/api/' + action + '/';
+  var credentials = {key: this.key, secret: this.secret, clientId: this.clientId};
+
+  /* Every attempt is signed anew, since the nonce of a request cannot be used twice */
+  var attempt = function (done) {
+    /* The v2 scheme uses a random UUID as nonce, so only the v1 scheme needs a nonce from the provider */
+    if (self.authVersion === auth.AUTH_VERSION_V2) {
+      return self._request(_.extend(auth.signV2(credentials, url, params), {timeout: self.timeout}), done);
+    }
 
-  params = _.extend({
-    key: this.key,
-    signature: signature,
-    nonce: nonce
-  }, params);
+    self.nonceProvider.next(function (err, nonce) {
+      if (err) {
+        return done(constructError('Could not generate a nonce for the request.', errorCodes.MODULE_ERROR, err));
+      }
 
-  var options = {
-    url: this.host + path,
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    timeout: this.timeout,
-    form: params
+      self._request(_.extend(auth.signV1(credentials, url, params, nonce), {timeout: self.timeout}), done);
+    });
+  };
+
+  this._retry(options.idempotent, attempt, callback);
+};
+
+/**
+ * Makes a request by calling `attempt` once the rate limit allows it, and if the request is idempotent and fails with a transient error (network
+ * errors, timeouts, 5xx responses and maintenance pages), makes it again after an exponentially growing delay with
+ * jitter, as configured in the `retry` setting.
+ *
+ * When a request fails after retries, the `cause` of the final error is replaced by an object with the original
+ * `cause` and the `attempts` that were made, each with the message, code and cause of its error.
+ *
+ * @param {boolean}     idempotent  Whether the request may be retried
+ * @param {function}    attempt     Makes the request once, and passes the result to its callback
+ * @param {function}    callback    Returns the response from the exchange server or the final error
+ */
+Bitstamp.prototype._retry = function (idempotent, attempt, callback) {
+  var self = this;
+  var retries = idempotent ? self.retry.retries : 0;
+  var attempts = [];
+
+  var run = function () {
+    self.rateLimiter.schedule(() => attempt(function (err, data) {
+      if (!err) {
+        return callback(null, data);
+      }
+
+      attempts.push({message: err.message, code: err.code, cause: err.cause});
+      if (!transientErrors.has(err) || attempts.length > retries) {
+        if (attempts.length > 1) {
+          err.cause = {cause: err.cause, attempts: attempts};
+        }
+        return callback(err);
+      }
+
+      /* Wait between half and all of the exponential delay, so that many clients do not retry all at once */
+      var delay = Math.min(self.retry.maxTimeout,
+        self.retry.minTimeout * Math.pow(self.retry.factor, attempts.length - 1));
+      setTimeout(run, delay / 2 + Math.random() * delay / 2);
+    }));
   };
 
-  this._request(options, callback);
+  run();
 };
 
 const REGEX_PATTERN_BUY_ERROR_INSUFFICIENT_FUNDS =
-  /^You need \d+(\.\d+)? [A-Z]{3} to open that order. You have only \d+(\.\d+)? [A-Z]{3} available. Check your account balance for details.$/;
+  /^You need (\d+(?:\.\d+)?) ([A-Z]{3}) to open that order. You have only (\d+(?:\.\d+)?) ([A-Z]{3}) available. Check your account balance for details.$/;
 const REGEX_PATTERN_SELL_ERROR_INSUFFICIENT_FUNDS =
-  /^You have only \d+(\.\d+)? [A-Z]{3} available. Check your account balance for details.$/;
+  /^You have only (\d+(?:\.\d+)?) ([A-Z]{3}) available. Check your account balance for details.$/;
+const REGEX_PATTERN_ERROR_MINIMUM_ORDER_SIZE = /^Minimum order size is (\d+(?:\.\d+)?) ([A-Z]{3})\.?$/;
+const REGEX_PATTERN_ERROR_PRECISION = /no more than (\d+) decimal places/;
+const REGEX_PATTERN_ERROR_ORDER_NOT_FOUND = /^Order not found\.?$/i;
+const REGEX_PATTERN_ERROR_RATE_LIMITED = /rate limit|too many requests|banned/i;
+const REGEX_PATTERN_ERROR_INVALID_NONCE = /invalid nonce|nonce .*(already used|too (low|small))/i;
+const REGEX_PATTERN_ERROR_INVALID_SIGNATURE = /invalid signature/i;
+const REGEX_PATTERN_ERROR_PERMISSION_DENIED = /no permission|permission denied/i;
+const REGEX_PATTERN_ERROR_TRADING_PAUSED = /trading .*(paused|disabled|suspended|halted)|orders are (currently )?(disabled|paused)/i;
+
+/**
+ * Converts an amount and currency reported in an error message to an object with the amount in sub-units.
+ *
+ * @param {string}  amount      The amount in main-unit, eg. '359.23'
+ * @param {string}  currency    The currency code
+ * @returns {object}
+ */
+function constructErrorAmount(amount, currency) {
+  return {
+    /* The amount cannot be scaled if the decimals of the currency are unknown */
+    amount: Currency.hasDecimals(currency) ? Currency.toSmallestSubunit(amount, currency) : null,
+    currency: currency
+  };
+}
+
+/*
+ * The known errors in the body of responses from Bitstamp. Each message is tested against the patterns in order, and
+ * the first match decides the error code. The optional `field` restricts a pattern to the errors of that field, and
+ * `details` builds the structured details of the error from the match.
+ */
+const KNOWN_EXCHANGE_ERRORS = [
+  {
+    pattern: REGEX_PATTERN_BUY_ERROR_INSUFFICIENT_FUNDS,
+    code: errorCodes.INSUFFICIENT_FUNDS,
+    details: match => ({required: constructErrorAmount(match[1], match[2]), available: constructErrorAmount(match[3], match[4])})
+  },
+  {
+    pattern: REGEX_PATTERN_SELL_ERROR_INSUFFICIENT_FUNDS,
+    code: errorCodes.INSUFFICIENT_FUNDS,
+    details: match => ({available: constructErrorAmount(match[1], match[2])})
+  },
+  {
+    pattern: REGEX_PATTERN_ERROR_MINIMUM_ORDER_SIZE,
+    code: errorCodes.MINIMUM_ORDER_SIZE,
+    details: match => ({minimum: constructErrorAmount(match[1], match[2])})
+  },
+  {
+    pattern: REGEX_PATTERN_ERROR_PRECISION,
+    field: 'price',
+    code: errorCodes.PRICE_PRECISION,
+    details: match => ({decimals: parseInt(match[1], 10)})
+  },
+  {pattern: REGEX_PATTERN_ERROR_ORDER_NOT_FOUND, code: errorCodes.ORDER_NOT_FOUND},
+  {pattern: REGEX_PATTERN_ERROR_RATE_LIMITED, code: errorCodes.RATE_LIMITED},
+  {pattern: REGEX_PATTERN_ERROR_INVALID_NONCE, code: errorCodes.INVALID_NONCE},
+  {pattern: REGEX_PATTERN_ERROR_INVALID_SIGNATURE, code: errorCodes.INVALID_SIGNATURE},
+  {pattern: REGEX_PATTERN_ERROR_PERMISSION_DENIED, code: errorCodes.PERMISSION_DENIED},
+  {pattern: REGEX_PATTERN_ERROR_TRADING_PAUSED, code: errorCodes.TRADING_PAUSED}
+];
+
+/**
+ * Constructs the error for an error in the body of a response from Bitstamp, which is either a message, or an object
+ * with a list of messages per field of the request (with '__all__' for errors that concern the whole request).
+ *
+ * @param {string|object}   exchangeError   The error from the body of the response
+ * @param {string}          [exchangeCode]  The error code that Bitstamp added to the response, if any
+ * @returns {Error}
+ */
+function constructExchangeError(exchangeError, exchangeCode) {
+  var fieldErrors = _.isPlainObject(exchangeError) ? _.mapValues(exchangeError, _.castArray) : {};
+  var messages = _.isPlainObject(exchangeError) ?
+    _.flatMap(fieldErrors, (fieldMessages, field) => fieldMessages.map(message => ({field: field, message: message}))) :
+    [{field: '__all__', message: exchangeError}];
+
+  /* Check for known errors */
+  for (let knownError of KNOWN_EXCHANGE_ERRORS) {
+    let message = _.find(messages, message => typeof message.message === 'string' &&
+      (!knownError.field || knownError.field === message.field) && knownError.pattern.test(message.message));
+    if ( message ) {
+      let details = knownError.details ? knownError.details(message.message.match(knownError.pattern)) : {};
+      return constructError(message.message, knownError.code, null, _.extend(details, _.pickBy({exchangeCode})));
+    }
+  }
+
+  /* Errors in specific fields of the request, eg. {amount: ['This field is required.']} */
+  var invalidFields = _.omit(fieldErrors, '__all__');
+  if ( !_.isEmpty(invalidFields) ) {
+    var message = _.map(invalidFields, (fieldMessages, field) => field + ': ' + fieldMessages.join(' ')).join(' ');
+    return constructError('Invalid parameters in the request to the exchange service: ' + message,
+      errorCodes.INVALID_PARAMETERS, null, _.extend({fields: invalidFields}, _.pickBy({exchangeCode})));
+  }
+
+  return constructError('There is an error in the body of the response from the exchange service...',
+    errorCodes.EXCHANGE_SERVER_ERROR, new Error(JSON.stringify(exchangeError)));
+}
+
+/* Errors of failed requests that may succeed when repeated */
+const transientErrors = new WeakSet();
+
+/**
+ * Marks an error as transient, so that idempotent requests are retried.
+ *
+ * @param {Error}   error
+ * @returns {Error} The same error
+ */
+function markTransient(error) {
+  transientErrors.add(error);
+  return error;
+}
 
 /**
  * Performs the actual request, passed from the _get or _post helper methods.
  *
- * @param {object}      params      An object, containing data that is to be passed along with the request
+ * @param {object}      params      An object, containing data that is to be passed along with the request, and
+ *                                  optionally a `verifyResponse(res, body)` function that checks the response signature
  * @param {function}    callback    Returns the response from the exchange server or an error, if request-response fails
  */
 Bitstamp.prototype._request = function (params, callback) {
+  var verifyResponse = params.verifyResponse;
   params = _.defaultsDeep({
     headers: {'User-Agent': 'Bitstamp Node.js API Client|(github.com/CoinifySoftware/bitstamp-exc.git)'}
-  }, params);
+  }, _.omit(params, 'verifyResponse'));
 
   var requestFunction = function (err, res, body) {
     if (err || !body) {
-      return callback(constructError('There is an error in the response from the Bitstamp service...',
-        errorCodes.EXCHANGE_SERVER_ERROR, err));
+      return callback(markTransient(constructError('There is an error in the response from the Bitstamp service...',
+        errorCodes.EXCHANGE_SERVER_ERROR, err)));
     }
     if (res.error) {
       return callback(constructError('The exchange service responded with an error...',
         errorCodes.EXCHANGE_SERVER_ERROR, res.error));
     }
+    if (res.statusCode === 429) {
+      return callback(constructError('Bitstamp rejected the request, because the request limit was exceeded.',
+        errorCodes.RATE_LIMITED, new Error(body)));
+    }
+    if (res.statusCode >= 500) {
+      return callback(markTransient(constructError('The exchange service responded with an error...',
+        errorCodes.EXCHANGE_SERVER_ERROR, new Error('HTTP ' + res.statusCode + ': ' + body))));
+    }
+
+    /* Bitstamp only signs successful responses */
+    var isSuccessful = res.statusCode >= 200 && res.statusCode < 300;
+    if (verifyResponse && isSuccessful && !verifyResponse(res, body)) {
+      return callback(constructError('The signature of the response from the exchange server is invalid.',
+        errorCodes.RESPONSE_SIGNATURE_MISMATCH, null));
+    }
 
     var data;
     try {
       data = JSON.parse(body)
     } catch (e) {
-      return callback(constructError('Could not understand response from exchange server.',
-        errorCodes.MODULE_ERROR, e));
+      /* Bitstamp bans clients that exceed the request limit with an HTML page */
+      if (res.statusCode === 403) {
+        return callback(constructError('Bitstamp rejected the request, because the request limit was exceeded.',
+          errorCodes.RATE_LIMITED, new Error(body)));
+      }
+      /* Bitstamp serves HTML pages during maintenance, but other responses that are not JSON are not worth retrying */
+      if (!isSuccessful) {
+        return callback(constructError('The exchange service responded with an error...',
+          errorCodes.EXCHANGE_SERVER_ERROR, new Error('HTTP ' + res.statusCode + ': ' + body)));
+      }
+      return callback(markTransient(constructError('Could not understand response from exchange server.',
+        errorCodes.MODULE_ERROR, e)));
     }
 
     /* Error response was never received when making the GET request, and the API docs don't mention anything about
      * errors, so we can only assume that the error response from a GET request has the same structure as the one
      * from the POST request (which has been received while dev/testing and we know how it looks).
      * Therefore, the implementation is based on this assumption.
+     *
+     * The v2 endpoints respond with {status: 'error', reason: ...} instead of {error: ...}
      */
-    if (data.error) {
-      let error = constructError('There is an error in the body of the response from the exchange service...',
-        errorCodes.EXCHANGE_SERVER_ERROR, new Error(JSON.stringify(data.error)));
-
-      /* Check for known errors */
-      if ( data.error['__all__'] ) {
-        const allErrors = data.error['__all__'];
-
-        /* Check for insufficient funds */
-        let insufficientFundsErrorMessage =
-          _.find(allErrors, msg => REGEX_PATTERN_BUY_ERROR_INSUFFICIENT_FUNDS.test(msg)) ||
-          _.find(allErrors, msg => REGEX_PATTERN_SELL_ERROR_INSUFFICIENT_FUNDS.test(msg));
-        if ( insufficientFundsErrorMessage ) {
-          error = constructError(insufficientFundsErrorMessage, errorCodes.INSUFFICIENT_FUNDS);
-        }
-      }
-
-      return callback(error);
+    var exchangeError = data.error || (data.status === 'error' && data.reason);
+    if (exchangeError) {
+      return callback(constructExchangeError(exchangeError, data.code));
     } else {
       return callback(null, data);
     }
@@ -149,9 +361,8 @@ Bitstamp.prototype._request = function (params, callback) {
 };
 
 /**
- * Make requests to fetch transactions, on chunks of 1000 objects (the response limit of Bitstamp),
- * iterate through each chunk and gather only the txs of type 'deposit' (type = 0) or 'withdrawal' (type = 1).
- * Return the constructed array of objects.
+ * Make requests to fetch transactions, on pages of up to 1000 objects (the response limit of Bitstamp), and gather
+ * them in one array, newest first. See TransactionCursor for how pages are advanced and rows deduplicated.
  *
  * If earliestDate is provided - check each tx whether it is newer than that and stop iteration
  * when not.
@@ -163,55 +374,26 @@ Bitstamp.prototype._request = function (params, callback) {
  * @param {function}    callback    Returns an array of user transactions as returned by bitstamp
  */
 function iterateRequestTxs(self, earliestDate, callback) {
-  var transactionsAll = []
-    , responseLength = 1000
-    , offset = 0;
-  const BITSTAMP_REQUEST_LIMIT = 100;
-  var continueIteration = true;
-
-  /* The POST request function to be called arbitrary number of times in async.doWhilst() */
-  var post = function (asyncCallback) {
-    self._post('user_transactions', {limit: BITSTAMP_REQUEST_LIMIT, offset: offset, sort: 'desc'},
-      function (err, res) {
-        if (err) {
-          continueIteration = false;
-          return asyncCallback(err);
-        }
-
-        res.every(function (tx) {
-          var currentTxDateTime = new Date(tx.datetime);
-          /* Check if the current transaction's timestamp is lower (further in the past) than earliest date allowed
-           * If so, set the iteration flag to false and break the loop, so that the process terminates
-           * and exits, and no more transactions are written in the global list of txs.
-           */
-          if (earliestDate > currentTxDateTime) {
-            continueIteration = false;
-
-            /* We need to break the loop, and `Array.prototype.every` stops on a returned `false` value */
-            return false;
-          }
-
-          /* Add the transaction to the list of tx's to be returned */
-          transactionsAll.push(tx);
-
-          /* We need to continue the loop, and `Array.prototype.every` needs `true` to be returned, in
-           * order to continue looping
-           */
-          return true;
-        });
+  var transactionsAll = [];
+  var cursor = new TransactionCursor(self, {since: earliestDate});
+
+  /* The page request function to be called arbitrary number of times in async.doWhilst() */
+  var fetchPage = function (asyncCallback) {
+    cursor.next(function (err, transactions) {
+      if (err) {
+        return asyncCallback(err);
+      }
 
-        if (res.length < BITSTAMP_REQUEST_LIMIT) {
-          continueIteration = false;
-        }
-        offset += responseLength;
+      /* Add the transactions of the page to the list of tx's to be returned */
+      transactionsAll = transactionsAll.concat(transactions);
 
-        return asyncCallback(err, transactionsAll);
-      });
+      return asyncCallback(null, transactionsAll);
+    });
   };
 
   /* The check condition function for async.doWhilst() */
   var check = function () {
-    return continueIteration;
+    return !cursor.done;
   };
 
   /* The function to be called when the iteration cycle exits async.doWhilst() */
@@ -225,82 +407,19 @@ function iterateRequestTxs(self, earliestDate, callback) {
   };
 
   /* Start the iteration cycle */
-  async.doWhilst(post, check, done);
-}
-
-/**
- * Converts a raw transaction object from the Bitstamp API response into an object with defined structure,
- * that is to be returned from this module.
- *
- * @param {object}  currentTx   The current transaction, from which to get data, to construct the final object
- *
- * @returns {object} tx         See the return parameter of iterateRequestTxs docs for more info
- */
-function constructTransactionObject(currentTx) {
-  var tx = {
-    // Convert externalId to string
-    externalId: String(currentTx.id),
-    // Convert timestamp string to ISO-8601 string (Add '+0' to force UTC interpretation of 'datetime')
-    timestamp: new Date(currentTx.datetime + '+0').toISOString(),
-    // Bitstamp doesn't have the concept of tx states, so they are always 'completed'
-    state: 'completed',
-    amount: 0,
-    currency: '',
-    type: currentTx.type == constants.TYPE_DEPOSIT ? 'deposit' : 'withdrawal',
-    raw: currentTx
-  };
-
-  if (parseFloat(currentTx.btc) === 0) {
-    tx.amount = Currency.toSmallestSubunit(parseFloat(currentTx.usd), 'USD');
-    tx.currency = 'USD';
-  } else {
-    tx.amount = Currency.toSmallestSubunit(parseFloat(currentTx.btc), 'BTC');
-    tx.currency = 'BTC';
-  }
-
-  return tx;
-}
-
-/**
- * Constructs and returns an Error node.js native object, attaches a message and a pre-declared error code to it,
- * and the original error data, if provided.
- * @param {string} message     Human readable error message
- * @param {string} errorCode   Machine readable error message code
- * @param {object} errorCause  The raw/original error data  that the system
- *                             responded with and provides detailed information about the cause of the error
- * @returns {Error}
- */
-function constructError(message, errorCode, errorCause) {
-  var error = new Error(message);
-  error.code = errorCode;
-  if (errorCause) {
-    error.cause = errorCause;
-  }
-
-  return error;
+  async.doWhilst(fetchPage, check, done);
 }
 
-/* =================   API endpoints exposed methods   ================= */
-
 /**
- * Returns ticker data for a specified currency pair
+ * Requests a ticker endpoint of a currency pair, and converts the ticker into the format of getTicker.
  *
- * @param {string}      baseCurrency    The currency code (3 chars) of the the base currency of the exchange
- * @param {string}      quoteCurrency   The currency code (3 chars) of the quote currency of the exchange
- * @param {function}    callback        Returns the ticker information object:
- *                                      {
- *                                        "baseCurrency": "BTC",
- *                                        "quoteCurrency": "USD",
- *                                        "bid": 649.89,
- *                                        "ask": 650.12,
- *                                        "lastPrice": 649.97,
- *                                        "high24Hours": 652.55,
- *                                        "low24Hours": 634.98,
- *                                        "vwap24Hours": 647.37,
- *                                        "volume24Hours": 1234567890 // 12.3456789 BTC
- *                                      }
+ * @param {Bitstamp}    self            Bitstamp module object
+ * @param {string}      action          The ticker endpoint, without the currency pair
+ * @param {string}      baseCurrency
+ * @param {string}      quoteCurrency
+ * @param {function}    callback        Returns the ticker, see getTicker
  */
-Bitstamp.prototype.getTicker = function (baseCurrency, quoteCurrency, callback) {
+function requestTicker(self, action, baseCurrency, quoteCurrency, callback) {
   /*
    * Normalize currency codes
    */
@@ -308,17 +427,17 @@ Bitstamp.prototype.getTicker = function (baseCurrency, quoteCurrency, callback)
   quoteCurrency = quoteCurrency.toUpperCase();
 
   /*
-   * Currently only BTC/USD is supported. Return error if other currency pair
+   * Look up the currency pair. Return error if Bitstamp does not trade it
    */
-  if (baseCurrency !== 'BTC' || quoteCurrency !== 'USD') {
-    return callback(constructError('Bitstamp only supports BTC and USD as base and quote currencies, respectively.',
-      errorCodes.MODULE_ERROR, null));
+  var pair = getCurrencyPair(baseCurrency, quoteCurrency);
+  if (!pair) {
+    return callback(constructUnsupportedPairError(baseCurrency, quoteCurrency));
   }
 
   /*
-   * Call the ticker endpoint
+   * Call the ticker endpoint of the currency pair
    */
-  this._get('ticker', function (err, res) {
+  self._get(action + '/' + pair, function (err, res) {
     if (err) {
       return callback(err);
     }
@@ -329,13 +448,13 @@ Bitstamp.prototype.getTicker = function (baseCurrency, quoteCurrency, callback)
     var ticker = {
       baseCurrency: baseCurrency,
       quoteCurrency: quoteCurrency,
-      bid: parseFloat(res.bid),
-      ask: parseFloat(res.ask),
-      lastPrice: parseFloat(res.last),
-      high24Hours: parseFloat(res.high),
-      low24Hours: parseFloat(res.low),
-      vwap24Hours: parseFloat(res.vwap),
-      volume24Hours: Currency.toSmallestSubunit(parseFloat(res.volume), baseCurrency),
+      bid: MarketData.parsePrice(res.bid, self.exactPrices),
+      ask: MarketData.parsePrice(res.ask, self.exactPrices),
+      lastPrice: MarketData.parsePrice(res.last, self.exactPrices),
+      high24Hours: MarketData.parsePrice(res.high, self.exactPrices),
+      low24Hours: MarketData.parsePrice(res.low, self.exactPrices),
+      vwap24Hours: MarketData.parsePrice(res.vwap, self.exactPrices),
+      volume24Hours: Currency.toSmallestSubunit(res.volume, baseCurrency),
     };
 
     /*
@@ -343,197 +462,1064 @@ Bitstamp.prototype.getTicker = function (baseCurrency, quoteCurrency, callback)
      */
     return callback(null, ticker);
   });
-};
+}
 
 /**
- * Returns the current order book of Bitstamp in a custom organized look
+ * Tags an object that belongs to the account of the credentials, eg. a balance or a transaction, with the account.
  *
- * @param {string}      baseCurrency    The currency code (3 chars) of the the base currency of the exchange
- * @param {string}      quoteCurrency   The currency code (3 chars) of the quote currency of the exchange
- * @param {function}    callback        Returns the customized Order Book data object
- *          orderBook:
- *             {
- *              baseCurrency: "BTC", // The currency of baseAmount
- *              quoteCurrency: "USD", // The currency to determine the price <quoteCurrency>/baseCurrency>
- *              asks: [ // List of entries with bitcoins for sale, sorted by lowest price first
- *               {
- *                 price: 450.65,
- *                 baseAmount: 44556677 // 0.44556677 BTC for sale
- *               }
- *               // ... more ask entries
- *             ],
- *             bids: [ // List of entries for buying bitcoins, sorted by most highest price first
- *               {
- *                 price: 450.31,
- *                 baseAmount: 33445566 // Someone wants to buy 0.33445566 BTC
- *               }
- *               // ... more bid entries
- *             ]
- *           }
+ * @param {Bitstamp}    self    Bitstamp module object
+ * @param {object}      object
+ * @returns {object}    The object, with `account` set to 'main' or the id of the sub-account
  */
-Bitstamp.prototype.getOrderBook = function (baseCurrency, quoteCurrency, callback) {
-  baseCurrency = baseCurrency.toUpperCase();
-  quoteCurrency = quoteCurrency.toUpperCase();
-  if (baseCurrency !== 'BTC' || quoteCurrency !== 'USD') {
-    return callback(constructError('Bitstamp only supports BTC and USD as base and quote currencies, respectively.',
-      errorCodes.MODULE_ERROR, null));
-  }
-
-  this._get('order_book', function (err, res) {
-    if (err) {
-      return callback(err);
-    }
-
-    /* Declare the orderBook object with the currency pair */
-    var orderBook = {
-      baseCurrency: baseCurrency,
-      quoteCurrency: quoteCurrency
-    };
-
-    /* Organize the Order Book values in a custom way */
-    var convertRawEntry = function convertRawEntry(entry) {
-      return {
-        price: parseFloat(entry[0]),
-        baseAmount: Currency.toSmallestSubunit(parseFloat(entry[1]), 'BTC')
-      }
-    };
-    var rawBids = res.bids || [];
-    var rawAsks = res.asks || [];
-
-    /* Declare and assign the organized bids and asks to the orderBook object */
-    orderBook.bids = rawBids.map(convertRawEntry);
-    orderBook.asks = rawAsks.map(convertRawEntry);
+function tagAccount(self, object) {
+  object.account = self.subAccount || constants.MAIN_ACCOUNT;
 
-    return callback(null, orderBook);
-  });
-};
+  return object;
+}
 
 /**
- * Returns the available and total balance amounts of the account.
+ * Converts the raw balance into the balance object returned by getBalance.
  *
- * @param {function}    callback Returns the customized balance object
- *                      balance: {
- *                          available: {
- *                                  USD: <int subunit amount>,
- *                                  BTC: <int subunit amount>
- *                              }
- *                          total: {
- *                                  USD: <int subunit amount>,
- *                                  BTC: <int subunit amount>
- *                              }
- *                      }
+ * @param {Bitstamp}    self    Bitstamp module object
+ * @param {object}      res     The raw balance, as returned by Bitstamp
+ * @returns {object}    See getBalance
  */
-Bitstamp.prototype.getBalance = function (callback) {
-  this._post('balance', null, function (err, res) {
-    if (err) {
-      return callback(err);
-    }
+function constructBalance(self, res) {
+  var balance = {
+    available: {},
+    reserved: {},
+    total: {},
+    fees: {}
+  };
 
-    var balance = {
-      'available': {
-        'USD': Currency.toSmallestSubunit(res.usd_available, 'USD'),
-        'BTC': Currency.toSmallestSubunit(res.btc_available, 'BTC')
-      },
-      'total': {
-        'USD': Currency.toSmallestSubunit(res.usd_balance, 'USD'),
-        'BTC': Currency.toSmallestSubunit(res.btc_balance, 'BTC')
-      }
-    };
+  /*
+   * Bitstamp reports the amounts in fields named after the (lower case) currency, eg. 'eth_available'. The amounts of
+   * currencies whose decimals are unknown cannot be scaled, so they are returned as the decimal strings of Bitstamp
+   */
+  _.forEach(res, (value, field) => {
+    var match = field.match(REGEX_PATTERN_BALANCE_FIELD);
+    if (match) {
+      var currency = match[1].toUpperCase();
+      balance[BALANCE_FIELDS[match[2]]][currency] = Currency.hasDecimals(currency) ?
+        Currency.toSmallestSubunit(value, currency) : String(value);
+    }
+  });
 
-    return callback(null, balance);
+  /* The fees are reported in fields named after the pair symbol, eg. 'btcusd_fee' */
+  var currencies = _.union(_.keys(balance.available), _.keys(balance.reserved), _.keys(balance.total));
+  _.forEach(res, (value, field) => {
+    var match = field.match(REGEX_PATTERN_FEE_FIELD);
+    if (match) {
+      balance.fees[getPairName(match[1], currencies)] = parseFloat(value);
+    }
   });
-};
+
+  return tagAccount(self, balance);
+}
 
 /**
- * Fetches a trade object which contains the status and an array of the transactions to that trade.
- * Constructs and returns an object with trade currency pair and accummulated amounts from all transactions
- * of the trade.
- *
- * @param {object}  trade   An object that contains data about the trade to be fetched. Must have at least the
- *                          following structure:
- * trade:
- * {
- *
- *    raw: {
- *        id: <int> the_trade_id,
- *        <string> order_type
- *        createTime: ISO-8601 timestamp
- *    },
+ * Transfers funds between the main account and a sub-account.
  *
- * }
- * @param {function}    callback    Returns the found and customized trade object:
- *  {
- *    type: 'limit',
- *    state: 'closed',
- *    baseAmount: -200000000, // Sold 2.00000000 BTC...
- *    quoteAmount: 74526, // ... for 745.26 USD
- *    baseCurrency: 'BTC' // Currency of the baseAmount
- *    quoteCurrency: 'USD' // Currency of the quoteAmount
- *    feeAmount: 11, // We paid 0.11 USD to the exchange as commission for the order
- *    feeCurrency: 'USD', // Currency of the feeAmount
- *    raw: {}, // Exchange-specific object
- *  }
+ * @param {Bitstamp}    self            Bitstamp module object
+ * @param {string}      action          The transfer endpoint
+ * @param {string}      currency
+ * @param {int}         amount          The amount to transfer, in smallest sub-unit
+ * @param {string}      subAccountId    The id of the sub-account, or null to let Bitstamp use the sub-account of the
+ *                                      credentials
+ * @param {function}    callback        Returns the transfer, see transferToMain
  */
-Bitstamp.prototype.getTrade = function (trade, callback) {
-  if (!trade || !callback) {
-    return callback(constructError('Trade object is a required parameter.', errorCodes.MODULE_ERROR, null));
+function transfer(self, action, currency, amount, subAccountId, callback) {
+  currency = (currency || '').toUpperCase();
+
+  if (!Currency.hasDecimals(currency)) {
+    return callback(constructError('The number of decimals of the ' + currency + ' currency is unknown.',
+      errorCodes.MODULE_ERROR, null));
   }
-  if (trade.raw.orderType != constants.TYPE_SELL_ORDER && trade.raw.orderType != constants.TYPE_BUY_ORDER) {
-    return callback(constructError('Trade object must have a raw orderType parameter with value either \'sell\' or' +
-      ' \'buy\'.', errorCodes.MODULE_ERROR, null));
+  if (!isSubunitAmount(amount) || amount <= 0) {
+    return callback(constructError('The amount must be a positive integer.', errorCodes.MODULE_ERROR, null));
   }
 
-  this._post('order_status', {id: trade.raw.id}, function (err, res) {
+  var params = {
+    amount: Currency.toDecimalString(amount, currency),
+    currency: currency
+  };
+  if (subAccountId) {
+    params.subAccount = String(subAccountId);
+  }
+
+  /* Transfers move funds, so they are never retried */
+  self._post(action, params, function (err, res) {
     if (err) {
       return callback(err);
     }
 
-    // Add ID to raw result
-    _.defaults(res, {id: trade.raw.id});
-
-    var order = {
-      // Bitstamp order_status endpoint doesn't echo the ID, so we'll get it from the trade parameter
-      externalId: trade.raw.id.toString(),
-      type: 'limit',
-      state: res.status.toLowerCase() == 'finished' ? 'closed' : 'open',
-      baseAmount: 0,
-      quoteAmount: 0,
-      baseCurrency: 'BTC',
-      quoteCurrency: 'USD',
-      feeAmount: 0,
-      feeCurrency: 'USD',
+    var subAccount = subAccountId ? String(subAccountId) : self.subAccount;
+    var toMain = action === 'v2/transfer-to-main';
+    return callback(null, {
+      currency: currency,
+      amount: amount,
+      fromAccount: toMain ? subAccount : constants.MAIN_ACCOUNT,
+      toAccount: toMain ? constants.MAIN_ACCOUNT : subAccount,
       raw: res
-    };
-
-    var baseAmounts = res.transactions.map(function (tx) {
-      var baseAmount = Currency.toSmallestSubunit(tx.btc, 'BTC');
-      return trade.raw.orderType == constants.TYPE_SELL_ORDER ? -baseAmount : baseAmount;
     });
-    var quoteAmounts = res.transactions.map(function (tx) {
-      var quoteAmount = Currency.toSmallestSubunit(tx.usd, 'USD');
-      return trade.raw.orderType == constants.TYPE_BUY_ORDER ? -quoteAmount : quoteAmount;
-    });
-    var feeAmounts = res.transactions.map(tx => Currency.toSmallestSubunit(tx.fee, 'USD'));
-
-    order.baseAmount = _.sum(baseAmounts);
-    order.quoteAmount = _.sum(quoteAmounts);
-    order.feeAmount = _.sum(feeAmounts);
-
-    return callback(null, order);
   });
-};
+}
 
 /**
- * Returns a list of transactions objects, starting from the latest one, descending, fetched from your Bitstamp
- * account.
- * If the `latestTransaction` is provided, then fetch the transactions from the provided one, onwards.
- * Otherwise, return ALL transactions.
+ * @param {Date|string|number}  date    A date, or anything that the Date constructor takes
+ * @returns {int}   The UNIX timestamp of the date, in seconds
+ */
+function toUnixTime(date) {
+  return Math.floor(new Date(date).getTime() / 1000);
+}
+
+/**
+ * Converts a raw transaction object from the Bitstamp API response into an object with defined structure,
+ * that is to be returned from this module.
+ *
+ * @param {object}  currentTx   The current transaction, from which to get data, to construct the final object
+ *
+ * @returns {object} tx         See the return parameter of iterateRequestTxs docs for more info
+ */
+function constructTransactionObject(currentTx) {
+  var tx = {
+    // Convert externalId to string
+    externalId: String(currentTx.id),
+    // Convert timestamp string to ISO-8601 string (Add '+0' to force UTC interpretation of 'datetime')
+    timestamp: new Date(currentTx.datetime + '+0').toISOString(),
+    // Bitstamp doesn't have the concept of tx states, so they are always 'completed'
+    state: 'completed',
+    amount: 0,
+    currency: '',
+    type: currentTx.type == constants.TYPE_DEPOSIT ? 'deposit' : 'withdrawal',
+    raw: currentTx
+  };
+
+  /* Deposits and withdrawals only move a single currency, so the first non-zero currency field is the one */
+  var currency = _.find(CURRENCIES, currency => parseFloat(currentTx[currency.toLowerCase()]));
+  if (currency) {
+    tx.amount = Currency.toSmallestSubunit(currentTx[currency.toLowerCase()], currency);
+    tx.currency = currency;
+  }
+
+  return tx;
+}
+
+/* The fields of user transactions that are not amounts of a currency, eg. the rate field 'btc_usd' of a trade */
+const LEDGER_META_FIELDS = ['id', 'type', 'fee', 'datetime'];
+const REGEX_PATTERN_AMOUNT_FIELD = /^[a-z][a-z0-9]*$/;
+const REGEX_PATTERN_RATE_FIELD = /^([a-z0-9]+)_([a-z0-9]+)$/;
+
+/**
+ * Converts a raw transaction of any type into a ledger entry, with the signed amounts of every currency that the
+ * transaction moved, and the signed fee. The amounts and fees of all entries add up to the balance of the account.
+ * Amounts of currencies whose decimals are unknown are left out, see loadCurrencyDecimals.
+ *
+ * @param {object}  tx  The raw transaction, as returned by Bitstamp
+ * @returns {object}    See listLedgerEntries
+ */
+function constructLedgerEntry(tx) {
+  var amountFields = _.keys(tx).filter(field => REGEX_PATTERN_AMOUNT_FIELD.test(field) &&
+    !_.includes(LEDGER_META_FIELDS, field) && Currency.hasDecimals(field));
+
+  var amounts = {};
+  amountFields.forEach(function (field) {
+    var amount = Currency.toSmallestSubunit(tx[field], field.toUpperCase());
+    if (amount != 0) {
+      amounts[field.toUpperCase()] = amount;
+    }
+  });
+
+  /* The fee of a trade is charged in the quote currency of the rate field, and other fees in the moved currency */
+  var rateField = _.find(_.keys(tx), field => {
+    var match = REGEX_PATTERN_RATE_FIELD.exec(field);
+    return match && _.includes(amountFields, match[1]) && _.includes(amountFields, match[2]);
+  });
+  var feeCurrency = null;
+  if (rateField) {
+    feeCurrency = REGEX_PATTERN_RATE_FIELD.exec(rateField)[2].toUpperCase();
+  } else if (_.size(amounts) === 1) {
+    feeCurrency = _.keys(amounts)[0];
+  }
+
+  var feeAmount = 0;
+  if (feeCurrency && tx.fee) {
+    /* Bitstamp reports the fees that it charges as positive numbers */
+    feeAmount = -Currency.toSmallestSubunit(tx.fee, feeCurrency) || 0;
+  }
+
+  return {
+    externalId: String(tx.id),
+    kind: constants.TRANSACTION_KINDS[tx.type] || 'other',
+    type: parseInt(tx.type, 10),
+    // Add '+0' to force UTC interpretation of 'datetime'
+    timestamp: new Date(tx.datetime + '+0').toISOString(),
+    orderId: tx.order_id ? String(tx.order_id) : null,
+    amounts: amounts,
+    feeCurrency: feeCurrency,
+    feeAmount: feeAmount,
+    raw: tx
+  };
+}
+
+/**
+ * Tells why a ledger entry may not fully account for the transaction, see reconcile.
+ *
+ * @param {object}  entry   A ledger entry, see constructLedgerEntry
+ * @returns {string|null}   The reason, or null if the entry accounts for the whole transaction
+ */
+function findUnexplainedReason(entry) {
+  if (entry.kind === 'other') {
+    return 'unknownType';
+  }
+
+  var hasUnknownCurrency = _.some(entry.raw, (value, field) => REGEX_PATTERN_AMOUNT_FIELD.test(field) &&
+    !_.includes(LEDGER_META_FIELDS, field) && !Currency.hasDecimals(field) && parseFloat(value));
+  if (hasUnknownCurrency) {
+    return 'unknownCurrency';
+  }
+
+  if (!entry.feeCurrency && parseFloat(entry.raw.fee)) {
+    return 'unknownFeeCurrency';
+  }
+
+  return null;
+}
+
+/* The states of an order by the (lower case) status that the order_status endpoint reports */
+const ORDER_STATES = {
+  finished: 'closed',
+  canceled: 'cancelled'
+};
+
+/*
+ * The states of a withdrawal by the (lower case) status that Bitstamp reports, in the vocabulary of the transactions
+ * returned by listTransactions. The withdrawal-requests endpoint reports the status as the index in this list.
+ */
+const WITHDRAWAL_STATUSES = ['open', 'in process', 'finished', 'canceled', 'failed'];
+const WITHDRAWAL_STATES = {
+  'open': 'pending',
+  'in process': 'relayed',
+  'finished': 'completed',
+  'canceled': 'cancelled',
+  'failed': 'failed'
+};
+
+/**
+ * Converts a withdrawal request from the withdrawal-requests endpoint into an object with the same structure as the
+ * transactions returned by listTransactions.
+ *
+ * @param {object}  withdrawal  The raw withdrawal request, as returned by Bitstamp
+ * @returns {object}
+ */
+function constructWithdrawalObject(withdrawal) {
+  var status = typeof withdrawal.status === 'number' ? WITHDRAWAL_STATUSES[withdrawal.status] :
+    String(withdrawal.status).toLowerCase();
+  var currency = (withdrawal.currency || '').toUpperCase();
+
+  return {
+    externalId: String(withdrawal.id),
+    // Convert timestamp string to ISO-8601 string (Add '+0' to force UTC interpretation of 'datetime')
+    timestamp: new Date(withdrawal.datetime + '+0').toISOString(),
+    state: WITHDRAWAL_STATES[status] || 'pending',
+    // Withdrawals reduce the balance, so their amounts are negative, as in listTransactions. The amount cannot be
+    // scaled if the decimals of the currency are unknown
+    amount: Currency.hasDecimals(currency) ? -Currency.toSmallestSubunit(withdrawal.amount, currency) : null,
+    currency: currency,
+    type: 'withdrawal',
+    raw: withdrawal
+  };
+}
+
+/* All currencies that are part of at least one supported currency pair */
+const CURRENCIES = _.uniq(_.flatMap(constants.CURRENCY_PAIRS, pair => [pair.baseCurrency, pair.quoteCurrency]));
+
+/* The fields of the balance endpoint, eg. 'btc_available', and the property of the balance they are returned in */
+const REGEX_PATTERN_BALANCE_FIELD = /^([a-z0-9]+)_(available|reserved|balance)$/;
+const REGEX_PATTERN_FEE_FIELD = /^([a-z0-9]+)_fee$/;
+const BALANCE_FIELDS = {
+  available: 'available',
+  reserved: 'reserved',
+  balance: 'total'
+};
+
+/**
+ * Converts a pair symbol, eg. 'ethbtc', to the name of the pair, eg. 'ETH/BTC'. Pairs that this module does not know
+ * are split into two of the given currencies, so that new pairs can be named without updating the module.
+ *
+ * @param {string}      symbol      The pair symbol, as used by Bitstamp
+ * @param {string[]}    currencies  The (upper case) currencies that the pair may consist of
+ * @returns {string}                The name of the pair, or the upper case symbol if it cannot be split
+ */
+function getPairName(symbol, currencies) {
+  var pair = constants.CURRENCY_PAIRS[symbol];
+  if (pair) {
+    return pair.baseCurrency + '/' + pair.quoteCurrency;
+  }
+
+  var upperSymbol = symbol.toUpperCase();
+  var baseCurrency = _.find(currencies, currency => _.startsWith(upperSymbol, currency) &&
+    _.includes(currencies, upperSymbol.substr(currency.length)));
+
+  return baseCurrency ? baseCurrency + '/' + upperSymbol.substr(baseCurrency.length) : upperSymbol;
+}
+
+/**
+ * Looks up the Bitstamp symbol of a currency pair, as used in the pair-specific API endpoints (eg. 'ticker/btcusd').
+ *
+ * @param {string}  baseCurrency    The currency code (3 chars) of the base currency, in upper case
+ * @param {string}  quoteCurrency   The currency code (3 chars) of the quote currency, in upper case
+ * @returns {string|undefined}      The pair symbol, or undefined if Bitstamp does not trade the pair
+ */
+function getCurrencyPair(baseCurrency, quoteCurrency) {
+  return _.findKey(constants.CURRENCY_PAIRS, {baseCurrency: baseCurrency, quoteCurrency: quoteCurrency});
+}
+
+/**
+ * Finds the currency pair of a trade row from the user_transactions endpoint. Bitstamp adds a field named after
+ * the traded pair (eg. 'eth_eur'), holding the exchange rate of the trade.
+ *
+ * @param {object}  tx  Raw transaction object as returned by Bitstamp
+ * @returns {object|undefined}  The pair entry from constants.CURRENCY_PAIRS, or undefined if no supported pair matches
+ */
+function findTransactionPair(tx) {
+  return _.find(constants.CURRENCY_PAIRS, pair =>
+    _.has(tx, pair.baseCurrency.toLowerCase() + '_' + pair.quoteCurrency.toLowerCase()));
+}
+
+/**
+ * Checks that an amount of sub-units is a whole number, which may be a BigInt for amounts beyond
+ * Number.MAX_SAFE_INTEGER.
+ *
+ * @param {*}   amount
+ * @returns {boolean}
+ */
+function isSubunitAmount(amount) {
+  return Number.isInteger(amount) || typeof amount === 'bigint';
+}
+
+/**
+ * Converts an entry of the trading-pairs-info endpoint into the trading pair object returned by getTradingPairs.
+ *
+ * @param {object}  info    The raw pair info, as returned by Bitstamp
+ * @returns {object}
+ */
+function constructTradingPair(info) {
+  /* The pairs are named like 'BTC/USD', and the minimum order is the minimum value, like '5.0 USD' */
+  var currencies = info.name.split('/');
+  var minimumOrder = (info.minimum_order || '').split(' ');
+  var minimumCurrency = minimumOrder[1] || currencies[1];
+
+  return {
+    baseCurrency: currencies[0],
+    quoteCurrency: currencies[1],
+    symbol: info.url_symbol,
+    baseDecimals: info.base_decimals,
+    counterDecimals: info.counter_decimals,
+    minimumOrder: {
+      amount: minimumOrder[0] && Currency.hasDecimals(minimumCurrency) ?
+        Currency.toSmallestSubunit(minimumOrder[0], minimumCurrency) : null,
+      currency: minimumCurrency
+    },
+    enabled: info.trading === 'Enabled',
+    description: info.description,
+    raw: info
+  };
+}
+
+/**
+ * Checks an order against the rules of its trading pair on Bitstamp: the pair must be enabled, the base amount and the
+ * prices may not have more decimals than the pair allows, and the value of a limit or instant order must be at least
+ * the minimum order size. With the `roundOrders` setting, the amount and prices are rounded to the decimals of the
+ * pair instead of failing.
+ *
+ * @param {Bitstamp}    self                    Bitstamp module object
+ * @param {object}      order
+ * @param {string}      order.pair              The symbol of the pair
+ * @param {int|bigint}  order.amount            The amount of the order, in smallest sub-unit
+ * @param {string}      order.amountCurrency    The currency of the amount
+ * @param {object}      order.params            The parameters of the request, with the price and limit_price
+ * @param {function}    callback                Returns the order, with the amount and parameters rounded if needed
+ */
+function checkPairRules(self, order, callback) {
+  if (!self.validateOrders) {
+    return callback(null, order);
+  }
+
+  self.getTradingPairs(function (err, pairs) {
+    if (err) {
+      return callback(err);
+    }
+
+    var pair = _.find(pairs, {symbol: order.pair});
+    if (!pair) {
+      return callback(constructError('Bitstamp does not list the ' + order.pair + ' currency pair.',
+        errorCodes.MODULE_ERROR, null));
+    }
+    var pairName = pair.baseCurrency + '/' + pair.quoteCurrency;
+    if (!pair.enabled) {
+      return callback(constructError('Trading in the ' + pairName + ' currency pair is disabled on Bitstamp.',
+        errorCodes.MODULE_ERROR, null));
+    }
+
+    var amount = order.amount;
+    var params = _.clone(order.params);
+
+    /* The base amount may not have more decimals than the pair allows */
+    if (order.amountCurrency === pair.baseCurrency) {
+      var roundedAmount = Currency.roundSubunits(amount, order.amountCurrency, pair.baseDecimals);
+      if (roundedAmount != amount && !self.roundOrders) {
+        return callback(constructError('The base amount has more than the ' + pair.baseDecimals + ' decimals that ' +
+          'the ' + pairName + ' currency pair allows.', errorCodes.MODULE_ERROR, null));
+      }
+      if (roundedAmount == 0) {
+        return callback(constructError('The base amount is zero when rounded to the ' + pair.baseDecimals +
+          ' decimals of the ' + pairName + ' currency pair.', errorCodes.MODULE_ERROR, null));
+      }
+      amount = roundedAmount;
+      params.amount = Currency.toDecimalString(amount < 0 ? -amount : amount, order.amountCurrency);
+    }
+
+    /* The prices may not have more decimals than the pair allows */
+    var priceError = _.find(['price', 'limit_price'], param => {
+      if (params[param] === undefined) {
+        return false;
+      }
+
+      var roundedPrice = Currency.roundDecimal(params[param], pair.counterDecimals);
+      if (roundedPrice !== params[param] && !self.roundOrders) {
+        return true;
+      }
+      params[param] = roundedPrice;
+      return false;
+    });
+    if (priceError) {
+      return callback(constructError('The ' + (priceError === 'price' ? 'limit' : 'take profit') + ' price has more ' +
+        'than the ' + pair.counterDecimals + ' decimals that the ' + pairName + ' currency pair allows.',
+        errorCodes.MODULE_ERROR, null));
+    }
+
+    /* The value of the order must be at least the minimum order size. Market orders have no price to check it with */
+    var minimum = pair.minimumOrder;
+    if (minimum.amount !== null && minimum.currency === pair.quoteCurrency) {
+      var value = null;
+      var absoluteAmount = amount < 0 ? -amount : amount;
+      if (order.amountCurrency === pair.quoteCurrency) {
+        value = absoluteAmount;
+      } else if (params.price !== undefined) {
+        value = Currency.multiplyByPrice(absoluteAmount, pair.baseCurrency, params.price, pair.quoteCurrency);
+      }
+
+      if (value !== null && value < minimum.amount) {
+        return callback(constructError('The value of the order is below the minimum order size of ' +
+          Currency.toDecimalString(minimum.amount, minimum.currency) + ' ' + minimum.currency + ' of the ' + pairName +
+          ' currency pair.', errorCodes.MODULE_ERROR, null, {minimum: minimum}));
+      }
+    }
+
+    return callback(null, _.extend({}, order, {amount: amount, params: params}));
+  });
+}
+
+/**
+ * Constructs the error returned when a method is called with a currency pair that Bitstamp does not trade.
+ *
+ * @param {string}  baseCurrency
+ * @param {string}  quoteCurrency
+ * @returns {Error}
+ */
+function constructUnsupportedPairError(baseCurrency, quoteCurrency) {
+  return constructError('Bitstamp does not support the ' + baseCurrency + '/' + quoteCurrency + ' currency pair.',
+    errorCodes.MODULE_ERROR, null);
+}
+
+/**
+ * Checks that a trade object has the order type and a supported currency pair, which getTrade needs to fetch its
+ * status.
+ *
+ * @param {object}  trade   The trade object, as passed to getTrade
+ * @returns {Error|null}    A MODULE_ERROR, or null if the trade is valid
+ */
+function validateTrade(trade) {
+  if (trade.raw.orderType != constants.TYPE_SELL_ORDER && trade.raw.orderType != constants.TYPE_BUY_ORDER) {
+    return constructError('Trade object must have a raw orderType parameter with value either \'sell\' or' +
+      ' \'buy\'.', errorCodes.MODULE_ERROR, null);
+  }
+
+  /* Trades placed before multiple currency pairs were supported do not carry their currencies */
+  var baseCurrency = (trade.baseCurrency || 'BTC').toUpperCase();
+  var quoteCurrency = (trade.quoteCurrency || 'USD').toUpperCase();
+  if (!getCurrencyPair(baseCurrency, quoteCurrency)) {
+    return constructUnsupportedPairError(baseCurrency, quoteCurrency);
+  }
+
+  return null;
+}
+
+/**
+ * Fetches the status of a cancelled trade, and marks it as cancelled. The order is cancelled already, so if its status
+ * cannot be fetched, the trade is returned with unknown (null) amounts instead of an error.
+ *
+ * @param {Bitstamp}    self        Bitstamp module object
+ * @param {object}      trade       The trade object, as passed to getTrade
+ * @param {object}      cancelRaw   The cancelled order, as reported by Bitstamp
+ * @param {function}    callback    Returns the cancelled trade
+ */
+function getCancelledTrade(self, trade, cancelRaw, callback) {
+  self.getTrade(trade, function (err, cancelledTrade) {
+    if (err) {
+      var quoteCurrency = (trade.quoteCurrency || 'USD').toUpperCase();
+      cancelledTrade = {
+        externalId: String(trade.raw.id),
+        type: trade.type || 'limit',
+        baseAmount: null,
+        quoteAmount: null,
+        baseCurrency: (trade.baseCurrency || 'BTC').toUpperCase(),
+        quoteCurrency: quoteCurrency,
+        feeAmount: null,
+        feeCurrency: quoteCurrency,
+        raw: cancelRaw
+      };
+    }
+
+    cancelledTrade.state = 'cancelled';
+
+    return callback(null, cancelledTrade);
+  });
+}
+
+/**
+ * Wraps a callback-style API method, so that it returns a Promise when it is called without a callback.
+ *
+ * The method receives the callback as the last of its declared parameters, also if the caller left out optional
+ * arguments before it.
+ *
+ * @param {function}    method  The API method, taking a callback as its last parameter
+ * @returns {function}          The wrapped API method
+ */
+function promiseOrCallback(method) {
+  return function () {
+    var self = this;
+    var args = _.toArray(arguments);
+    var callback = typeof _.last(args) === 'function' ? args.pop() : null;
+
+    /* Pad or cut the arguments to the declared parameters, except for the callback */
+    args.length = method.length - 1;
+
+    if (callback) {
+      return method.apply(self, args.concat(callback));
+    }
+
+    return new Promise(function (resolve, reject) {
+      method.apply(self, args.concat(function (err, result) {
+        if (err) {
+          return reject(err);
+        }
+        return resolve(result);
+      }));
+    });
+  };
+}
+
+/* =================   API endpoints exposed methods   ================= */
+
+/**
+ * Returns the number of requests that are waiting for the rate limit. The queue is shared by all Bitstamp instances
+ * with the same API key.
+ *
+ * @returns {int}
+ */
+Bitstamp.prototype.getQueueDepth = function () {
+  return this.rateLimiter.queueDepth();
+};
+
+/**
+ * Returns ticker data for a specified currency pair
+ *
+ * @param {string}      baseCurrency    The currency code (3 chars) of the the base currency of the exchange
+ * @param {string}      quoteCurrency   The currency code (3 chars) of the quote currency of the exchange
+ * @param {function}    callback        Returns the ticker information object:
+ *                                      {
+ *                                        "baseCurrency": "BTC",
+ *                                        "quoteCurrency": "USD",
+ *                                        "bid": 649.89,
+ *                                        "ask": 650.12,
+ *                                        "lastPrice": 649.97,
+ *                                        "high24Hours": 652.55,
+ *                                        "low24Hours": 634.98,
+ *                                        "vwap24Hours": 647.37,
+ *                                        "volume24Hours": 1234567890 // 12.3456789 BTC
+ *                                      }
+ */
+Bitstamp.prototype.getTicker = promiseOrCallback(function (baseCurrency, quoteCurrency, callback) {
+  requestTicker(this, 'v2/ticker', baseCurrency, quoteCurrency, callback);
+});
+
+/**
+ * Returns ticker data of the last hour for a specified currency pair, eg. for a short-window VWAP. The ticker has the
+ * same format as the one of getTicker, but its high, low, VWAP and volume are those of the last hour.
+ *
+ * @param {string}      baseCurrency    The currency code (3 chars) of the the base currency of the exchange
+ * @param {string}      quoteCurrency   The currency code (3 chars) of the quote currency of the exchange
+ * @param {function}    callback        Returns the ticker information object, see getTicker
+ */
+Bitstamp.prototype.getHourlyTicker = promiseOrCallback(function (baseCurrency, quoteCurrency, callback) {
+  requestTicker(this, 'v2/ticker_hour', baseCurrency, quoteCurrency, callback);
+});
+
+/**
+ * Returns the rates at which Bitstamp converts between EUR and USD, which is the only conversion that it offers.
+ *
+ * @param {string}      fromCurrency    'EUR'
+ * @param {string}      toCurrency      'USD'
+ * @param {function}    callback        Returns the conversion rates, as the exact decimal strings of Bitstamp:
+ *                                      {
+ *                                        "baseCurrency": "EUR",
+ *                                        "quoteCurrency": "USD",
+ *                                        "buy": "1.1119",
+ *                                        "sell": "1.0983"
+ *                                      }
+ */
+Bitstamp.prototype.getConversionRate = promiseOrCallback(function (fromCurrency, toCurrency, callback) {
+  fromCurrency = String(fromCurrency).toUpperCase();
+  toCurrency = String(toCurrency).toUpperCase();
+  if (fromCurrency !== 'EUR' || toCurrency !== 'USD') {
+    return callback(constructError('Bitstamp only has a conversion rate from EUR to USD.',
+      errorCodes.MODULE_ERROR, null));
+  }
+
+  this._get('v2/eur_usd', function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, {
+      baseCurrency: fromCurrency,
+      quoteCurrency: toCurrency,
+      buy: String(res.buy),
+      sell: String(res.sell)
+    });
+  });
+});
+
+/**
+ * Returns the current order book of Bitstamp in a custom organized look
+ *
+ * @param {string}      baseCurrency    The currency code (3 chars) of the the base currency of the exchange
+ * @param {string}      quoteCurrency   The currency code (3 chars) of the quote currency of the exchange
+ * @param {function}    callback        Returns the customized Order Book data object
+ *          orderBook:
+ *             {
+ *              baseCurrency: "BTC", // The currency of baseAmount
+ *              quoteCurrency: "USD", // The currency to determine the price <quoteCurrency>/baseCurrency>
+ *              timestamp: Date, // The time of the order book on Bitstamp
+ *              asks: [ // List of entries with bitcoins for sale, sorted by lowest price first
+ *               {
+ *                 price: 450.65,
+ *                 baseAmount: 44556677 // 0.44556677 BTC for sale
+ *               }
+ *               // ... more ask entries
+ *             ],
+ *             bids: [ // List of entries for buying bitcoins, sorted by most highest price first
+ *               {
+ *                 price: 450.31,
+ *                 baseAmount: 33445566 // Someone wants to buy 0.33445566 BTC
+ *               }
+ *               // ... more bid entries
+ *             ]
+ *           }
+ */
+Bitstamp.prototype.getOrderBook = promiseOrCallback(function (baseCurrency, quoteCurrency, callback) {
+  baseCurrency = baseCurrency.toUpperCase();
+  quoteCurrency = quoteCurrency.toUpperCase();
+  var pair = getCurrencyPair(baseCurrency, quoteCurrency);
+  if (!pair) {
+    return callback(constructUnsupportedPairError(baseCurrency, quoteCurrency));
+  }
+
+  var self = this;
+  self._get('v2/order_book/' + pair, function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    /* Organize the Order Book values in a custom way */
+    return callback(null, MarketData.constructOrderBook(res, baseCurrency, quoteCurrency, self.exactPrices));
+  });
+});
+
+/**
+ * Returns the OHLC candles of a currency pair, oldest first. Bitstamp returns at most 1000 candles per request, so
+ * longer ranges are fetched page by page.
+ *
+ * @param {string}      baseCurrency    The currency code (3 chars) of the the base currency of the exchange
+ * @param {string}      quoteCurrency   The currency code (3 chars) of the quote currency of the exchange
+ * @param {object}      [options]
+ * @param {int}         [options.step]  The length of the candles in seconds, one of 60, 180, 300, 900, 1800, 3600,
+ *                                      7200, 14400, 21600, 43200, 86400 and 259200. Defaults to an hour
+ * @param {Date}        [options.start] The earliest open time of the candles. Defaults to `limit` candles before `end`
+ * @param {Date}        [options.end]   The latest open time of the candles. Defaults to now
+ * @param {int}         [options.limit] The maximum number of candles. Defaults to 1000 without a start, and to all
+ *                                      candles up to the end with a start
+ * @param {function}    callback        Returns the list of candles:
+ *                                      [
+ *                                        {
+ *                                          baseCurrency: "BTC",
+ *                                          quoteCurrency: "USD",
+ *                                          openTime: Date,
+ *                                          open: 596.09,
+ *                                          high: 598.5,
+ *                                          low: 595.2,
+ *                                          close: 597.3,
+ *                                          volume: 1234567890 // 12.3456789 BTC
+ *                                        }
+ *                                      ]
+ */
+Bitstamp.prototype.getCandles = promiseOrCallback(function (baseCurrency, quoteCurrency, options, callback) {
+  baseCurrency = baseCurrency.toUpperCase();
+  quoteCurrency = quoteCurrency.toUpperCase();
+  var pair = getCurrencyPair(baseCurrency, quoteCurrency);
+  if (!pair) {
+    return callback(constructUnsupportedPairError(baseCurrency, quoteCurrency));
+  }
+
+  options = options || {};
+  var step = options.step || constants.CANDLE_STEP;
+  if (!_.includes(constants.CANDLE_STEPS, step)) {
+    return callback(constructError('The step must be one of ' + constants.CANDLE_STEPS.join(', ') + ' seconds.',
+      errorCodes.MODULE_ERROR, null));
+  }
+
+  var end = toUnixTime(options.end || new Date());
+  var limit = options.limit || (options.start ? Infinity : constants.CANDLES_LIMIT);
+  /* Candles open at multiples of their step */
+  var start = options.start ? toUnixTime(options.start) : (Math.floor(end / step) - limit + 1) * step;
+
+  var self = this;
+  var candles = [];
+  var cursor = start;
+  var done = false;
+
+  /* Bitstamp ignores the start when an end is given, so pages are requested by their start, and cut off at the end */
+  var fetchPage = function (asyncCallback) {
+    var pageLimit = Math.min(constants.CANDLES_LIMIT, limit - candles.length);
+
+    self._get('v2/ohlc/' + pair, {step: step, start: cursor, limit: pageLimit}, function (err, res) {
+      if (err) {
+        return asyncCallback(err);
+      }
+
+      var rawCandles = (res.data && res.data.ohlc) || [];
+      rawCandles.forEach(function (raw) {
+        var openTime = parseInt(raw.timestamp, 10);
+        if (openTime >= cursor && openTime <= end && candles.length < limit) {
+          candles.push(MarketData.constructCandle(raw, baseCurrency, quoteCurrency, self.exactPrices));
+        }
+      });
+
+      /* A page that is not full is the last one */
+      var nextCursor = rawCandles.length > 0 ? parseInt(_.last(rawCandles).timestamp, 10) + step : cursor;
+      done = rawCandles.length < pageLimit || candles.length >= limit || nextCursor > end || nextCursor <= cursor;
+      cursor = nextCursor;
+
+      return asyncCallback();
+    });
+  };
+
+  async.doWhilst(fetchPage, () => !done, function (err) {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, candles);
+  });
+});
+
+/**
+ * Returns the public trades of a currency pair in the last minute, hour or day, newest first. Bitstamp returns all the
+ * trades of the period in one response, and has no way to page further back.
+ *
+ * @param {string}      baseCurrency    The currency code (3 chars) of the the base currency of the exchange
+ * @param {string}      quoteCurrency   The currency code (3 chars) of the quote currency of the exchange
+ * @param {object}      [options]
+ * @param {string}      [options.time]  The period to return the trades of: 'minute', 'hour' (the default) or 'day'
+ * @param {function}    callback        Returns the list of trades, in the format of the 'trade' events of market
+ *                                      streams:
+ *                                      [
+ *                                        {
+ *                                          externalId: "61234567",
+ *                                          type: "sell", // The side of the taker, 'buy' or 'sell'
+ *                                          baseCurrency: "BTC",
+ *                                          quoteCurrency: "USD",
+ *                                          price: 596.09,
+ *                                          baseAmount: 1250000, // 0.0125 BTC
+ *                                          tradeTime: Date,
+ *                                          raw: {}
+ *                                        }
+ *                                      ]
+ */
+Bitstamp.prototype.getPublicTrades = promiseOrCallback(function (baseCurrency, quoteCurrency, options, callback) {
+  baseCurrency = baseCurrency.toUpperCase();
+  quoteCurrency = quoteCurrency.toUpperCase();
+  var pair = getCurrencyPair(baseCurrency, quoteCurrency);
+  if (!pair) {
+    return callback(constructUnsupportedPairError(baseCurrency, quoteCurrency));
+  }
+
+  options = options || {};
+  var time = options.time || 'hour';
+  if (!_.includes(constants.PUBLIC_TRADES_TIMES, time)) {
+    return callback(constructError('The time must be either \'minute\', \'hour\' or \'day\'.',
+      errorCodes.MODULE_ERROR, null));
+  }
+
+  var self = this;
+  self._get('v2/transactions/' + pair, {time: time}, function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, res.map(raw => MarketData.constructTrade(raw, baseCurrency, quoteCurrency, self.exactPrices)));
+  });
+});
+
+/**
+ * Returns the available and total balance amounts of the account.
+ *
+ * @param {function}    callback Returns the customized balance object, with the amounts of every currency that
+ *                               Bitstamp reports, and the trading fee (in percent) of every currency pair:
+ *                      balance: {
+ *                          available: {
+ *                                  USD: <int subunit amount>,
+ *                                  BTC: <int subunit amount>,
+ *                                  ...
+ *                              },
+ *                          reserved: {
+ *                                  USD: <int subunit amount>,
+ *                                  BTC: <int subunit amount>,
+ *                                  ...
+ *                              },
+ *                          total: {
+ *                                  USD: <int subunit amount>,
+ *                                  BTC: <int subunit amount>,
+ *                                  ...
+ *                              },
+ *                          fees: {
+ *                                  'BTC/USD': 0.25,
+ *                                  ...
+ *                              },
+ *                          account: 'main' or the id of the sub-account
+ *                      }
+ *                      The decimals of currencies that the module does not know are loaded with
+ *                      loadCurrencyDecimals first. Amounts that still cannot be scaled are returned as the decimal
+ *                      strings of Bitstamp, eg. '10.0000000'.
+ */
+Bitstamp.prototype.getBalance = promiseOrCallback(function (callback) {
+  var self = this;
+  self._post('v2/balance', null, {idempotent: true}, function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    /* The decimals of currencies that Bitstamp added are loaded once, so that their amounts can be scaled as well */
+    var hasUnknownCurrency = _.some(_.keys(res), field => {
+      var match = field.match(REGEX_PATTERN_BALANCE_FIELD);
+      return match && !Currency.hasDecimals(match[1]);
+    });
+    if (!hasUnknownCurrency || self.currencyDecimalsLoaded) {
+      return callback(null, constructBalance(self, res));
+    }
+
+    self.loadCurrencyDecimals(function (err) {
+      /* The balance is returned anyway, with the amounts that cannot be scaled as decimal strings */
+      self.currencyDecimalsLoaded = !err;
+
+      return callback(null, constructBalance(self, res));
+    });
+  });
+});
+
+/**
+ * Loads the number of decimals of the amounts of the currencies that the module does not know from the currencies
+ * endpoint of Bitstamp, so that currencies that Bitstamp adds can be used without updating the module. Currencies that
+ * the currencies endpoint leaves out are seeded from the base decimals of the trading pairs info (see
+ * `getTradingPairs`, which caches it). The decimals of the known currencies are never changed.
+ *
+ * The decimals are registered for all Bitstamp instances.
+ *
+ * @param {function}    callback    Returns the decimals of the currencies that were added, eg. {XLM: 7}
+ */
+Bitstamp.prototype.loadCurrencyDecimals = promiseOrCallback(function (callback) {
+  var self = this;
+  self._get('v2/currencies', function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    var decimals = {};
+    (res || []).forEach(currency => {
+      var currencyDecimals = parseInt(currency.decimals, 10);
+      if (currency.currency && currencyDecimals >= 0) {
+        decimals[currency.currency.toUpperCase()] = currencyDecimals;
+      }
+    });
+
+    self.getTradingPairs(function (err, pairs) {
+      if (err) {
+        return callback(err);
+      }
+
+      /* Only the base decimals are the precision of amounts, the counter decimals are the precision of prices */
+      pairs.forEach(pair => {
+        var baseDecimals = parseInt(pair.baseDecimals, 10);
+        if (pair.baseCurrency && baseDecimals >= 0 && decimals[pair.baseCurrency] === undefined) {
+          decimals[pair.baseCurrency] = baseDecimals;
+        }
+      });
+
+      return callback(null, Currency.addDecimals(decimals));
+    });
+  });
+});
+
+/**
+ * Returns the currency pairs that Bitstamp lists, with their precision and minimum order size. The pairs are cached for
+ * an hour, or the `tradingPairsCacheTime` setting (in milliseconds).
+ *
+ * @param {function}    callback    Returns an array of the trading pairs:
+ *  [
+ *    {
+ *      baseCurrency: 'BTC',
+ *      quoteCurrency: 'USD',
+ *      symbol: 'btcusd',
+ *      baseDecimals: 8, // The decimals of the amounts of the base currency
+ *      counterDecimals: 2, // The decimals of the prices
+ *      minimumOrder: {
+ *        amount: 500, // 5.00 USD, the minimum value of an order
+ *        currency: 'USD'
+ *      },
+ *      enabled: true, // Whether orders can be placed
+ *      description: 'Bitcoin / U.S. dollar',
+ *      raw: {}
+ *    }
+ *  ]
+ */
+Bitstamp.prototype.getTradingPairs = promiseOrCallback(function (callback) {
+  var self = this;
+  if (self.tradingPairsCache && self.tradingPairsCache.expires > Date.now()) {
+    return callback(null, _.cloneDeep(self.tradingPairsCache.pairs));
+  }
+
+  self._get('v2/trading-pairs-info', function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    var pairs = res.map(constructTradingPair);
+    self.tradingPairsCache = {
+      pairs: pairs,
+      expires: Date.now() + self.tradingPairsCacheTime
+    };
+
+    return callback(null, _.cloneDeep(pairs));
+  });
+});
+
+/**
+ * Fetches a trade object which contains the status and an array of the transactions to that trade.
+ * Constructs and returns an object with trade currency pair and accummulated amounts from all transactions
+ * of the trade.
+ *
+ * @param {object}  trade   An object that contains data about the trade to be fetched. Must have at least the
+ *                          following structure:
+ * trade:
+ * {
+ *    baseCurrency: 'BTC', // Optional, defaults to BTC
+ *    quoteCurrency: 'USD', // Optional, defaults to USD
+ *    raw: {
+ *        id: <int> the_trade_id,
+ *        <string> order_type
+ *        createTime: ISO-8601 timestamp
+ *    },
+ *
+ * }
+ * @param {function}    callback    Returns the found and customized trade object:
+ *  {
+ *    type: 'limit',
+ *    state: 'closed',
+ *    baseAmount: -200000000, // Sold 2.00000000 BTC...
+ *    quoteAmount: 74526, // ... for 745.26 USD
+ *    baseCurrency: 'BTC' // Currency of the baseAmount
+ *    quoteCurrency: 'USD' // Currency of the quoteAmount
+ *    feeAmount: 11, // We paid 0.11 USD to the exchange as commission for the order
+ *    feeCurrency: 'USD', // Currency of the feeAmount
+ *    raw: {}, // Exchange-specific object
+ *  }
+ */
+Bitstamp.prototype.getTrade = promiseOrCallback(function (trade, callback) {
+  if (!trade || !callback) {
+    return callback(constructError('Trade object is a required parameter.', errorCodes.MODULE_ERROR, null));
+  }
+  var validationError = validateTrade(trade);
+  if (validationError) {
+    return callback(validationError);
+  }
+
+  var baseCurrency = (trade.baseCurrency || 'BTC').toUpperCase();
+  var quoteCurrency = (trade.quoteCurrency || 'USD').toUpperCase();
+
+  this._post('v2/order_status', {id: trade.raw.id}, {idempotent: true}, function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    // Add ID to raw result
+    _.defaults(res, {id: trade.raw.id});
+
+    var order = {
+      // Bitstamp order_status endpoint doesn't echo the ID, so we'll get it from the trade parameter
+      externalId: trade.raw.id.toString(),
+      type: trade.type || 'limit',
+      state: ORDER_STATES[res.status.toLowerCase()] || 'open',
+      baseAmount: 0,
+      quoteAmount: 0,
+      baseCurrency: baseCurrency,
+      quoteCurrency: quoteCurrency,
+      feeAmount: 0,
+      feeCurrency: quoteCurrency,
+      raw: res
+    };
+
+    /* The transactions of the order hold the amounts in fields named after the (lower case) currencies */
+    var baseAmounts = res.transactions.map(function (tx) {
+      var baseAmount = Currency.toSmallestSubunit(tx[baseCurrency.toLowerCase()], baseCurrency);
+      return trade.raw.orderType == constants.TYPE_SELL_ORDER ? -baseAmount : baseAmount;
+    });
+    var quoteAmounts = res.transactions.map(function (tx) {
+      var quoteAmount = Currency.toSmallestSubunit(tx[quoteCurrency.toLowerCase()], quoteCurrency);
+      return trade.raw.orderType == constants.TYPE_BUY_ORDER ? -quoteAmount : quoteAmount;
+    });
+    var feeAmounts = res.transactions.map(tx => Currency.toSmallestSubunit(tx.fee, quoteCurrency));
+
+    order.baseAmount = Currency.sumSubunits(baseAmounts);
+    order.quoteAmount = Currency.sumSubunits(quoteAmounts);
+    order.feeAmount = Currency.sumSubunits(feeAmounts);
+
+    return callback(null, order);
+  });
+});
+
+/**
+ * Returns a list of transactions objects, starting from the latest one, descending, fetched from your Bitstamp
+ * account.
+ * If the `latestTransaction` is provided, then fetch the transactions from the provided one, onwards.
+ * Otherwise, return ALL transactions.
  *
  * @param {object}      latestTransaction   The deposit object, onwards from which to start fetching deposits. Must have
  *                                          a 'datetime' attribute with a value of a valid Date format
  * @param {function}    callback            Returns the found transactions
  */
-Bitstamp.prototype.listTransactions = function (latestTransaction, callback) {
+Bitstamp.prototype.listTransactions = promiseOrCallback(function (latestTransaction, callback) {
   var self = this;
   /*
    * If latestTx is provided - create a date&time value to compare to, for a matching tx.
@@ -547,11 +1533,149 @@ Bitstamp.prototype.listTransactions = function (latestTransaction, callback) {
     if (err) {
       return callback(err);
     }
-    transactions = transactions.filter(tx => tx.type === constants.TYPE_DEPOSIT || tx.type === constants.TYPE_WITHDRAWAL);
-    transactions = transactions.map(constructTransactionObject);
+    transactions = transactions.filter(tx => Number(tx.type) === constants.TYPE_DEPOSIT ||
+      Number(tx.type) === constants.TYPE_WITHDRAWAL);
+    transactions = transactions.map(constructTransactionObject).map(tx => tagAccount(self, tx));
     return callback(null, transactions);
   });
-};
+});
+
+/**
+ * Returns the ledger entries of all transactions of your Bitstamp account, of every type, starting from the latest one,
+ * descending. Unlike listTransactions and listTrades, this includes eg. transfers between the main account and
+ * sub-accounts, staking and referral rewards, so that the amounts and fees of all entries add up to the balance.
+ * If the `latestEntry` is provided, then fetch the entries from the provided one, onwards.
+ *
+ * @param {object}      latestEntry The ledger entry, onwards from which to start fetching entries
+ * @param {function}    callback    Returns an array of ledger entries:
+ *                                  {
+ *                                    externalId: "16180467",
+ *                                    kind: "trade", // See constants.TRANSACTION_KINDS, 'other' for unknown types
+ *                                    type: 2, // The transaction type of Bitstamp
+ *                                    timestamp: "2017-06-14T20:28:33.000Z",
+ *                                    orderId: "24870681", // Null for transactions that are not trades
+ *                                    amounts: {USD: -12437, BTC: 4906037}, // The signed non-zero amounts
+ *                                    feeCurrency: "USD", // Null if the currency of the fee cannot be told
+ *                                    feeAmount: -14, // Negative for fees that were charged
+ *                                    raw: {}
+ *                                  }
+ */
+Bitstamp.prototype.listLedgerEntries = promiseOrCallback(function (latestEntry, callback) {
+  var self = this;
+  var latestTxDate = latestEntry ? new Date(latestEntry.raw.datetime) : new Date(0);
+
+  iterateRequestTxs(self, latestTxDate, (err, transactions) => {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, transactions.map(tx => tagAccount(self, constructLedgerEntry(tx))));
+  });
+});
+
+/**
+ * Checks that the transaction history of the account adds up to its balance. The balance is fetched first, and then
+ * the ledger entries of the full history (see listLedgerEntries) are replayed per currency: their amounts and fees are
+ * summed and compared to the total balance of each currency.
+ *
+ * For each currency whose sum differs from the balance, the entries that moved the currency are returned, to explain
+ * the difference. Transactions that were made while the history was fetched show up as differences as well. Entries
+ * that the module cannot fully interpret are returned as unexplained entries, with the reason:
+ *  - 'unknownType':            A transaction type that the module does not know, see constants.TRANSACTION_KINDS
+ *  - 'unknownCurrency':        An amount in a currency whose decimals are unknown, see loadCurrencyDecimals
+ *  - 'unknownFeeCurrency':     A fee whose currency cannot be told
+ *
+ * @param {function}    callback    Returns the reconciliation report:
+ *                                  {
+ *                                    reconciled: false, // Whether the history adds up to the balance of all currencies
+ *                                    currencies: {
+ *                                      BTC: {
+ *                                        balance: 104856037, // The total balance
+ *                                        ledger: 104856037, // The sum of the amounts and fees of the history
+ *                                        difference: 0, // balance - ledger
+ *                                        entries: [] // The entries that moved the currency, if there is a difference
+ *                                      },
+ *                                      ...
+ *                                    },
+ *                                    unexplainedEntries: [
+ *                                      {reason: 'unknownType', entry: {}}
+ *                                    ]
+ *                                  }
+ */
+Bitstamp.prototype.reconcile = promiseOrCallback(function (callback) {
+  var self = this;
+
+  self.getBalance(function (err, balance) {
+    if (err) {
+      return callback(err);
+    }
+
+    iterateRequestTxs(self, new Date(0), function (err, transactions) {
+      if (err) {
+        return callback(err);
+      }
+
+      var entries = transactions.map(tx => tagAccount(self, constructLedgerEntry(tx)));
+
+      /* Replay the amounts and fees of the entries per currency */
+      var ledgerAmounts = {};
+      var entriesByCurrency = {};
+      entries.forEach(function (entry) {
+        var movements = _.toPairs(entry.amounts);
+        if (entry.feeCurrency && entry.feeAmount != 0) {
+          movements.push([entry.feeCurrency, entry.feeAmount]);
+        }
+
+        movements.forEach(function (movement) {
+          var currency = movement[0];
+          ledgerAmounts[currency] = (ledgerAmounts[currency] || []).concat(movement[1]);
+          if (!_.includes(entriesByCurrency[currency], entry)) {
+            entriesByCurrency[currency] = (entriesByCurrency[currency] || []).concat(entry);
+          }
+        });
+      });
+
+      var report = {
+        account: self.subAccount || constants.MAIN_ACCOUNT,
+        reconciled: true,
+        currencies: {},
+        unexplainedEntries: []
+      };
+
+      _.union(_.keys(balance.total), _.keys(ledgerAmounts)).sort().forEach(function (currency) {
+        /* Balances that cannot be scaled cannot be compared, since the entries leave their amounts out */
+        if (typeof balance.total[currency] === 'string') {
+          report.currencies[currency] = {balance: balance.total[currency], ledger: null, difference: null, entries: []};
+          report.reconciled = report.reconciled && !parseFloat(balance.total[currency]);
+          return;
+        }
+
+        var balanceAmount = balance.total[currency] || 0;
+        var ledgerAmount = Currency.sumSubunits(ledgerAmounts[currency] || []);
+        var difference = Currency.sumSubunits([balanceAmount, -ledgerAmount]);
+
+        report.currencies[currency] = {
+          balance: balanceAmount,
+          ledger: ledgerAmount,
+          difference: difference,
+          entries: difference != 0 ? entriesByCurrency[currency] || [] : []
+        };
+        if (difference != 0) {
+          report.reconciled = false;
+        }
+      });
+
+      entries.forEach(function (entry) {
+        var reason = findUnexplainedReason(entry);
+        if (reason) {
+          report.unexplainedEntries.push({reason: reason, entry: entry});
+        }
+      });
+
+      return callback(null, report);
+    });
+  });
+});
 
 /**
  * Returns a list of trade objects, starting from the latest one, descending, fetched from your Bitstamp
@@ -559,10 +1683,10 @@ Bitstamp.prototype.listTransactions = function (latestTransaction, callback) {
  * If the `latestTrade` is provided, then fetch the transactions from the provided one, onwards.
  * Otherwise, return ALL trades.
  *
- * @param latestTrade
- * @returns {Promise} Resolves to an array of trades
+ * @param {object}      latestTrade     The trade object, onwards from which to start fetching trades
+ * @param {function}    callback        Returns an array of trades
  */
-Bitstamp.prototype.listTrades = function (latestTrade) {
+Bitstamp.prototype.listTrades = promiseOrCallback(function (latestTrade, callback) {
   var latestTxDate =  new Date(0);
   if (latestTrade) {
     const {raw} = latestTrade;
@@ -574,28 +1698,46 @@ Bitstamp.prototype.listTrades = function (latestTrade) {
     }
   }
 
+  iterateRequestTxs(this, latestTxDate, (err, transactions) => {
+    if (err) {
+      return callback(err);
+    }
 
-  var iterateRequestTxsPromise = promisify(iterateRequestTxs);
-  return iterateRequestTxsPromise(this, latestTxDate)
-  .then((transactions) => {
-    transactions = transactions.filter(tx => tx.type === constants.TYPE_MARKET_TRADE);
-    return transactions.map( tx => {
-      return {
+    /* Trades in currency pairs unknown to this module cannot be mapped, so they are left out */
+    transactions = transactions.filter(tx => Number(tx.type) === constants.TYPE_MARKET_TRADE && findTransactionPair(tx));
+    return callback(null, transactions.map( tx => {
+      const {baseCurrency, quoteCurrency} = findTransactionPair(tx);
+      return tagAccount(this, {
         externalId: tx.order_id.toString(),
         type: 'limit',
         state: 'closed',
-        baseCurrency: 'BTC',
-        baseAmount: Currency.toSmallestSubunit(parseFloat(tx.btc), 'BTC'),
-        quoteCurrency: 'USD',
-        quoteAmount: Currency.toSmallestSubunit(parseFloat(tx.usd), 'USD'),
-        feeCurrency: 'USD',
-        feeAmount: Currency.toSmallestSubunit(parseFloat(tx.fee), 'USD'),
+        baseCurrency: baseCurrency,
+        baseAmount: Currency.toSmallestSubunit(tx[baseCurrency.toLowerCase()], baseCurrency),
+        quoteCurrency: quoteCurrency,
+        quoteAmount: Currency.toSmallestSubunit(tx[quoteCurrency.toLowerCase()], quoteCurrency),
+        feeCurrency: quoteCurrency,
+        feeAmount: Currency.toSmallestSubunit(tx.fee, quoteCurrency),
         tradeTime: new Date(tx.datetime),
         raw: tx
-      };
-    });
+      });
+    }));
   });
-}
+});
+
+/**
+ * Returns a resumable cursor over the raw transactions of your Bitstamp account, as returned by the
+ * user_transactions endpoint. The cursor can be paged with `next(callback)` or consumed with `for await`, which
+ * only keeps one page in memory at a time.
+ *
+ * By default the cursor walks from the newest transaction backwards. If `options.sinceId` is given, it walks forward
+ * from that transaction id instead. Store `cursor.position` and pass it as `options.position` to resume later.
+ *
+ * @param {object}  [options]   See TransactionCursor for the supported options
+ * @returns {TransactionCursor}
+ */
+Bitstamp.prototype.iterateTransactions = function (options) {
+  return new TransactionCursor(this, options);
+};
 
 /**
  * Place a limit BUY or SELL trade (order), depending on the sign of the baseAmount provided.
@@ -608,56 +1750,725 @@ Bitstamp.prototype.listTrades = function (latestTrade) {
  * @param {number}       limitPrice      The minimum/maximum rate that you want to sell/buy for. If baseAmount is negative, this
  *                                      is the minimum rate to sell for. If baseAmount is positive, this is the maximum rate to
  *                                      buy for. limitPrice must always strictly positive
- * @param {string}      baseCurrency    The exchange's base currency. For Bitstamp it is always BTC
- * @param {string}      quoteCurrency   The exchange's quote currency. For Bitstamp it is always USD
+ * @param {string}      baseCurrency    The base currency of the currency pair to trade, eg. BTC
+ * @param {string}      quoteCurrency   The quote currency of the currency pair to trade, eg. USD
  * @param {function}    callback        Returns the customized data object of the placed trade object data
  */
-Bitstamp.prototype.placeTrade = function (baseAmount, limitPrice, baseCurrency, quoteCurrency, callback) {
-  baseCurrency = baseCurrency.toUpperCase();
-  quoteCurrency = quoteCurrency.toUpperCase();
-  if (baseCurrency !== 'BTC' || quoteCurrency !== 'USD') {
-    return callback(constructError('Base and Quote currencies should be BTC and USD, respectively', errorCodes.MODULE_ERROR, null));
+Bitstamp.prototype.placeTrade = promiseOrCallback(function (baseAmount, limitPrice, baseCurrency, quoteCurrency, callback) {
+  this.placeOrder({
+    type: constants.ORDER_TYPE_LIMIT,
+    baseAmount: baseAmount,
+    limitPrice: limitPrice,
+    baseCurrency: baseCurrency,
+    quoteCurrency: quoteCurrency
+  }, callback);
+});
+
+/**
+ * Place a BUY or SELL trade (order) of any of the order types of Bitstamp.
+ *
+ * The side of the order is decided by the sign of the amount: BUY if the amount is positive, SELL if negative.
+ *
+ * @param {object}      order                   The order to place:
+ * @param {string}      [order.type]            'limit' (default), 'market' or 'instant'
+ * @param {int}         [order.baseAmount]      The amount in base currency to buy or sell, in smallest sub-unit.
+ *                                              Required for limit and market orders
+ * @param {int}         [order.quoteAmount]     The amount in quote currency to buy or sell for, in smallest sub-unit.
+ *                                              Only for instant orders, where it is required when buying
+ * @param {number}      [order.limitPrice]      The maximum/minimum rate to buy/sell for. Required for limit orders
+ * @param {number}      [order.takeProfitPrice] For limit orders: the rate at which to place a take-profit order in the
+ *                                              opposite direction, once the order is filled
+ * @param {string}      [order.timeInForce]     For limit orders: 'daily' (cancel at 0:00 UTC), 'ioc' (immediate or
+ *                                              cancel) or 'fok' (fill or kill)
+ * @param {string}      order.baseCurrency      The base currency of the currency pair to trade, eg. BTC
+ * @param {string}      order.quoteCurrency     The quote currency of the currency pair to trade, eg. USD
+ * @param {function}    callback                Returns the placed trade, in the same format as placeTrade. Instant
+ *                                              orders placed with a quote amount have a quoteAmount instead of a
+ *                                              baseAmount
+ */
+Bitstamp.prototype.placeOrder = promiseOrCallback(function (order, callback) {
+  if (!order) {
+    return callback(constructError('Order object is a required parameter.', errorCodes.MODULE_ERROR, null));
+  }
+
+  var type = order.type || constants.ORDER_TYPE_LIMIT;
+  var baseCurrency = (order.baseCurrency || '').toUpperCase();
+  var quoteCurrency = (order.quoteCurrency || '').toUpperCase();
+  var pair = getCurrencyPair(baseCurrency, quoteCurrency);
+  if (!pair) {
+    return callback(constructUnsupportedPairError(baseCurrency, quoteCurrency));
+  }
+  if (!_.includes([constants.ORDER_TYPE_LIMIT, constants.ORDER_TYPE_MARKET, constants.ORDER_TYPE_INSTANT], type)) {
+    return callback(constructError('The order type must be either \'limit\', \'market\' or \'instant\'.',
+      errorCodes.MODULE_ERROR, null));
   }
-  if (baseAmount === undefined || typeof baseAmount !== 'number' || baseAmount === 0) {
-    return callback(constructError('The base amount must be a number.', errorCodes.MODULE_ERROR, null));
+
+  var isValidAmount = amount => isSubunitAmount(amount) && amount != 0;
+  var isValidPrice = price => typeof price === 'number' && price > 0;
+
+  /* Instant orders can be placed with an amount in either currency, all other orders take a base amount */
+  var amount = order.baseAmount;
+  var amountCurrency = baseCurrency;
+  if (type === constants.ORDER_TYPE_INSTANT && order.quoteAmount !== undefined) {
+    amount = order.quoteAmount;
+    amountCurrency = quoteCurrency;
   }
-  if (limitPrice === undefined || typeof limitPrice !== 'number' || limitPrice < 0) {
-    return callback(constructError('The limit price must be a positive number.', errorCodes.MODULE_ERROR, null));
+
+  if (!isValidAmount(amount)) {
+    return callback(constructError(amountCurrency === baseCurrency ?
+      'The base amount must be a non-zero integer number of sub-units.' :
+      'The quote amount must be a non-zero integer number of sub-units.', errorCodes.MODULE_ERROR, null));
   }
 
   /* Decide whether to place a BUY or a SELL trade */
-  var orderType = baseAmount < 0 ? constants.TYPE_SELL_ORDER : constants.TYPE_BUY_ORDER;
-  var amountSubUnit = orderType === constants.TYPE_SELL_ORDER ? baseAmount * -1 : baseAmount;
+  var orderType = amount < 0 ? constants.TYPE_SELL_ORDER : constants.TYPE_BUY_ORDER;
 
   /* The amount passed to the method is denominated in smallest sub-unit, but Bitstamp API requires
    * the amount to be in main-unit, so we convert it.
    */
-  var amountMainUnit = Currency.fromSmallestSubunit(amountSubUnit, 'BTC');
+  var params = {amount: Currency.toDecimalString(amount < 0 ? -amount : amount, amountCurrency)};
+  var action = 'v2/' + orderType + '/';
+
+  if (type === constants.ORDER_TYPE_LIMIT) {
+    if (!isValidPrice(order.limitPrice)) {
+      return callback(constructError('The limit price must be a positive number.', errorCodes.MODULE_ERROR, null));
+    }
+    params.price = order.limitPrice;
+
+    if (order.takeProfitPrice !== undefined) {
+      if (!isValidPrice(order.takeProfitPrice)) {
+        return callback(constructError('The take profit price must be a positive number.', errorCodes.MODULE_ERROR,
+          null));
+      }
+      params.limit_price = order.takeProfitPrice;
+    }
+
+    if (order.timeInForce) {
+      var timeInForceParam = constants.TIME_IN_FORCE_PARAMS[order.timeInForce];
+      if (!timeInForceParam) {
+        return callback(constructError('The time in force must be either \'daily\', \'ioc\' or \'fok\'.',
+          errorCodes.MODULE_ERROR, null));
+      }
+      params[timeInForceParam] = 'True';
+    }
+  } else {
+    action += type + '/';
+
+    if (type === constants.ORDER_TYPE_INSTANT && amountCurrency === baseCurrency &&
+      orderType === constants.TYPE_BUY_ORDER) {
+      return callback(constructError('Instant buy orders must be placed with a quote amount.', errorCodes.MODULE_ERROR,
+        null));
+    }
+    if (type === constants.ORDER_TYPE_INSTANT && amountCurrency === quoteCurrency &&
+      orderType === constants.TYPE_SELL_ORDER) {
+      params.amount_in_counter = 'True';
+    }
+  }
+
+  /* Check the order against the rules of the pair, which may round the amount and prices, before placing it */
+  var self = this;
+  checkPairRules(self, {pair: pair, amount: amount, amountCurrency: amountCurrency, params: params},
+    function (err, checkedOrder) {
+      if (err) {
+        return callback(err);
+      }
+
+      /* Make the request to the order endpoint of the currency pair */
+      self._post(action + pair, checkedOrder.params, function (err, res) {
+        if (err) {
+          return callback(err);
+        }
+
+        /* Construct the custom trade response object */
+        var trade = {
+          externalId: res.id.toString(),
+          type: type,
+          state: 'open',
+          baseCurrency: baseCurrency,
+          quoteCurrency: quoteCurrency,
+          raw: _.extend(res,
+            {
+              orderType: orderType
+            })
+        };
+        if (amountCurrency === baseCurrency) {
+          trade.baseAmount = checkedOrder.amount;
+        } else {
+          trade.quoteAmount = checkedOrder.amount;
+        }
+        if (type === constants.ORDER_TYPE_LIMIT) {
+          trade.limitPrice = checkedOrder.params.price;
+        }
+
+        /* All is well. Return the placed trade response */
+        return callback(null, trade);
+      });
+    });
+});
+
+/**
+ * Returns the open trades (orders) of a currency pair, or of all currency pairs if no currencies are given, in the
+ * same format as placeTrade returns them.
+ *
+ * @param {string}      [baseCurrency]  The base currency of the currency pair to list the trades of
+ * @param {string}      [quoteCurrency] The quote currency of the currency pair to list the trades of
+ * @param {function}    callback        Returns an array of the open trades:
+ *  [
+ *    {
+ *      externalId: '111788524',
+ *      type: 'limit',
+ *      state: 'open',
+ *      baseAmount: -1250000, // Selling 0.0125 BTC (the amount that is not filled yet)...
+ *      baseCurrency: 'BTC',
+ *      quoteCurrency: 'USD',
+ *      limitPrice: 460, // ... for at least 460 USD/BTC
+ *      raw: {
+ *        orderType: 'sell'
+ *      }
+ *    }
+ *  ]
+ *  The baseAmount is null for currencies whose decimals are unknown.
+ */
+Bitstamp.prototype.listOpenTrades = promiseOrCallback(function (baseCurrency, quoteCurrency, callback) {
+  var pair = 'all';
+
+  if (baseCurrency || quoteCurrency) {
+    baseCurrency = (baseCurrency || '').toUpperCase();
+    quoteCurrency = (quoteCurrency || '').toUpperCase();
+    pair = getCurrencyPair(baseCurrency, quoteCurrency);
+    if (!pair) {
+      return callback(constructUnsupportedPairError(baseCurrency, quoteCurrency));
+    }
+  }
+
+  var self = this;
+  self._post('v2/open_orders/' + pair, null, {idempotent: true}, function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    var trades = res.map(order => {
+      /* The currency pair is only reported when listing the orders of all pairs, eg. as 'BTC/USD' */
+      var currencies = order.currency_pair ? order.currency_pair.split('/') : [baseCurrency, quoteCurrency];
+      var orderType = order.type == 0 ? constants.TYPE_BUY_ORDER : constants.TYPE_SELL_ORDER;
+      var baseAmount = null;
+      /* The amount cannot be scaled if the decimals of the currency are unknown, see loadCurrencyDecimals */
+      if (Currency.hasDecimals(currencies[0])) {
+        baseAmount = Currency.toSmallestSubunit(order.amount, currencies[0]);
+        baseAmount = orderType === constants.TYPE_SELL_ORDER ? -baseAmount : baseAmount;
+      }
+
+      return {
+        externalId: order.id.toString(),
+        type: 'limit',
+        state: 'open',
+        baseAmount: baseAmount,
+        baseCurrency: currencies[0],
+        quoteCurrency: currencies[1],
+        limitPrice: MarketData.parsePrice(order.price, self.exactPrices),
+        raw: _.extend(order,
+          {
+            orderType: orderType
+          })
+      };
+    });
+
+    return callback(null, trades);
+  });
+});
+
+/**
+ * Cancels an open trade (order), and returns it with the portion that was filled before the cancellation.
+ *
+ * @param {object}      trade       The trade object, as returned by placeTrade. Must have at least the same structure
+ *                                  as the trade argument of getTrade
+ * @param {function}    callback    Returns the cancelled trade, in the same format as getTrade, with
+ *                                  `state: 'cancelled'`. The amounts are those of the filled portion, or null if the
+ *                                  status of the cancelled order could not be fetched
+ */
+Bitstamp.prototype.cancelTrade = promiseOrCallback(function (trade, callback) {
+  var self = this;
+  if (!trade || !trade.raw || !trade.raw.id) {
+    return callback(constructError('Trade object with a raw id is a required parameter.', errorCodes.MODULE_ERROR, null));
+  }
+  /* The trade is checked before cancelling it, since its status cannot be fetched afterwards otherwise */
+  var validationError = validateTrade(trade);
+  if (validationError) {
+    return callback(validationError);
+  }
+
+  self._post('v2/cancel_order', {id: trade.raw.id}, function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    /* The cancellation only reports the remaining amount, so the filled portion is fetched from the order status */
+    getCancelledTrade(self, trade, res, callback);
+  });
+});
+
+/**
+ * Cancels all open trades (orders) of a currency pair, or of all currency pairs if no currencies are given.
+ *
+ * @param {string}      [baseCurrency]  The base currency of the currency pair to cancel the trades of
+ * @param {string}      [quoteCurrency] The quote currency of the currency pair to cancel the trades of
+ * @param {function}    callback        Returns an array of the cancelled trades, in the same format as cancelTrade
+ */
+Bitstamp.prototype.cancelAllTrades = promiseOrCallback(function (baseCurrency, quoteCurrency, callback) {
+  var self = this;
+  var action = 'v2/cancel_all_orders';
+
+  if (baseCurrency || quoteCurrency) {
+    baseCurrency = (baseCurrency || '').toUpperCase();
+    quoteCurrency = (quoteCurrency || '').toUpperCase();
+    var pair = getCurrencyPair(baseCurrency, quoteCurrency);
+    if (!pair) {
+      return callback(constructUnsupportedPairError(baseCurrency, quoteCurrency));
+    }
+    action += '/' + pair;
+  }
+
+  self._post(action, null, function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    /* Bitstamp reports the cancelled orders with a numeric type and a currency pair like 'BTC/USD' */
+    var canceled = res.canceled || [];
+    var trades = canceled.map(order => {
+      var currencies = order.currency_pair.split('/');
+      return {
+        baseCurrency: currencies[0],
+        quoteCurrency: currencies[1],
+        raw: {
+          id: order.id,
+          orderType: order.type == 0 ? constants.TYPE_BUY_ORDER : constants.TYPE_SELL_ORDER
+        }
+      };
+    });
+
+    /* The status of every trade is fetched, and a failure only leaves the amounts of that trade unknown */
+    async.timesSeries(trades.length,
+      (index, asyncCallback) => getCancelledTrade(self, trades[index], canceled[index], asyncCallback), callback);
+  });
+});
+
+/**
+ * Returns the deposit address of the account for a crypto currency.
+ *
+ * @param {string}      currency    The currency to deposit, eg. 'BTC'
+ * @param {function}    callback    Returns the deposit address:
+ *  {
+ *    currency: 'XRP',
+ *    address: 'rDsbeomae4FXwgQTJp9Rs64Qg9vDiTCdBv',
+ *    destinationTag: '89764325', // Only for XRP, which deposits to a shared address
+ *    raw: {}
+ *  }
+ */
+Bitstamp.prototype.getDepositAddress = promiseOrCallback(function (currency, callback) {
+  currency = (currency || '').toUpperCase();
+
+  if (!_.includes(constants.ADDRESS_CURRENCIES, currency)) {
+    return callback(constructError('Bitstamp does not support deposits of ' + currency + ' to an address.',
+      errorCodes.MODULE_ERROR, null));
+  }
+
+  this._post('v2/' + currency.toLowerCase() + '_address', null, {idempotent: true}, function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    var depositAddress = {
+      currency: currency,
+      address: res.address,
+      raw: res
+    };
+    if (res.destination_tag !== undefined) {
+      depositAddress.destinationTag = String(res.destination_tag);
+    }
+
+    return callback(null, depositAddress);
+  });
+});
+
+/**
+ * Returns the bitcoin deposits to the account that are not confirmed yet, and so do not appear in listTransactions.
+ *
+ * @param {function}    callback    Returns an array of deposits, in the same format as listTransactions, with the
+ *                                  `address` they were sent to and the number of `confirmations`:
+ *  [
+ *    {
+ *      externalId: null, // Bitstamp does not report the id of unconfirmed deposits
+ *      timestamp: null,
+ *      state: 'pending',
+ *      amount: 50000000, // Deposit of 0.5 BTC
+ *      currency: 'BTC',
+ *      type: 'deposit',
+ *      address: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2',
+ *      confirmations: 1,
+ *      raw: {}
+ *    }
+ *  ]
+ */
+Bitstamp.prototype.listPendingDeposits = promiseOrCallback(function (callback) {
+  this._post('v2/btc_unconfirmed', null, {idempotent: true}, function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    /* The v2 endpoint lists the deposits in the `deposits` field, where the v1 endpoint returned them as a list */
+    var deposits = (_.isArray(res) ? res : res.deposits || []).map(deposit => ({
+      externalId: null,
+      timestamp: null,
+      state: 'pending',
+      amount: Currency.toSmallestSubunit(deposit.amount, 'BTC'),
+      currency: 'BTC',
+      type: 'deposit',
+      address: deposit.address,
+      confirmations: deposit.confirmations,
+      raw: deposit
+    }));
+
+    return callback(null, deposits);
+  });
+});
+
+/**
+ * Withdraws a crypto currency to an address.
+ *
+ * @param {string}      currency                    The currency to withdraw, eg. 'XRP'
+ * @param {int}         amount                      The amount to withdraw, in smallest sub-unit
+ * @param {string}      address                     The address to send the funds to
+ * @param {object}      [options]
+ * @param {string}      [options.destinationTag]    The destination tag of an XRP address
+ * @param {string}      [options.memo]              The memo id, for currencies whose addresses take one
+ * @param {function}    callback                    Returns the withdrawal, in the same format as listTransactions:
+ *  {
+ *    externalId: '1234',
+ *    state: 'pending',
+ *    amount: -20000000, // Withdrawal of 20 XRP
+ *    currency: 'XRP',
+ *    type: 'withdrawal',
+ *    address: 'rDsbeomae4FXwgQTJp9Rs64Qg9vDiTCdBv',
+ *    raw: {}
+ *  }
+ */
+Bitstamp.prototype.withdrawCrypto = promiseOrCallback(function (currency, amount, address, options, callback) {
+  currency = (currency || '').toUpperCase();
+  options = options || {};
+
+  if (!_.includes(constants.ADDRESS_CURRENCIES, currency)) {
+    return callback(constructError('Bitstamp does not support withdrawals of ' + currency + ' to an address.',
+      errorCodes.MODULE_ERROR, null));
+  }
+  if (!isSubunitAmount(amount) || amount <= 0) {
+    return callback(constructError('The amount must be a positive integer.', errorCodes.MODULE_ERROR, null));
+  }
+  if (!address) {
+    return callback(constructError('Address is a required parameter.', errorCodes.MODULE_ERROR, null));
+  }
+
+  var params = {
+    amount: Currency.toDecimalString(amount, currency),
+    address: address
+  };
+  if (options.destinationTag !== undefined) {
+    params.destination_tag = options.destinationTag;
+  }
+  if (options.memo !== undefined) {
+    params.memo_id = options.memo;
+  }
+
+  /* Withdrawals move funds, so they are never retried */
+  this._post('v2/' + currency.toLowerCase() + '_withdrawal', params, function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, {
+      externalId: String(res.id),
+      state: 'pending',
+      amount: -amount,
+      currency: currency,
+      type: 'withdrawal',
+      address: address,
+      raw: res
+    });
+  });
+});
+
+/**
+ * Withdraws bitcoins to an address. See withdrawCrypto.
+ *
+ * @param {int}         amount      The amount to withdraw, in satoshis
+ * @param {string}      address     The bitcoin address to send the funds to
+ * @param {function}    callback    Returns the withdrawal, in the same format as withdrawCrypto
+ */
+Bitstamp.prototype.withdrawBitcoin = promiseOrCallback(function (amount, address, callback) {
+  this.withdrawCrypto('BTC', amount, address, null, callback);
+});
+
+/**
+ * Withdraws fiat currency to a bank account, by SEPA or international (wire) transfer.
+ *
+ * @param {object}      withdrawal                      The withdrawal to make:
+ * @param {string}      withdrawal.type                 'sepa' or 'international'
+ * @param {int}         withdrawal.amount               The amount to withdraw, in smallest sub-unit
+ * @param {string}      withdrawal.currency             'EUR' or 'USD'
+ * @param {string}      withdrawal.name                 The full name of the owner of the bank account
+ * @param {string}      withdrawal.iban                 The IBAN of the bank account
+ * @param {string}      withdrawal.bic                  The BIC of the bank
+ * @param {string}      withdrawal.address              The address of the owner of the bank account
+ * @param {string}      withdrawal.postalCode           The postal code of the owner of the bank account
+ * @param {string}      withdrawal.city                 The city of the owner of the bank account
+ * @param {string}      withdrawal.country              The country of the owner of the bank account
+ * @param {string}      [withdrawal.bankName]           The name of the bank. Required for international transfers
+ * @param {string}      [withdrawal.bankAddress]        The address of the bank. Required for international transfers
+ * @param {string}      [withdrawal.bankPostalCode]     The postal code of the bank. Required for international
+ *                                                      transfers
+ * @param {string}      [withdrawal.bankCity]           The city of the bank. Required for international transfers
+ * @param {string}      [withdrawal.bankCountry]        The country of the bank. Required for international transfers
+ * @param {string}      [withdrawal.comment]            A comment for the transfer
+ * @param {function}    callback                        Returns the withdrawal, in the same format as withdrawCrypto,
+ *                                                      without an address
+ */
+Bitstamp.prototype.withdrawFiat = promiseOrCallback(function (withdrawal, callback) {
+  if (!withdrawal) {
+    return callback(constructError('Withdrawal object is a required parameter.', errorCodes.MODULE_ERROR, null));
+  }
+
+  var type = withdrawal.type;
+  var currency = (withdrawal.currency || '').toUpperCase();
+  if (type !== constants.WITHDRAWAL_TYPE_SEPA && type !== constants.WITHDRAWAL_TYPE_INTERNATIONAL) {
+    return callback(constructError('The withdrawal type must be either \'sepa\' or \'international\'.',
+      errorCodes.MODULE_ERROR, null));
+  }
+  if (!_.includes(constants.FIAT_WITHDRAWAL_CURRENCIES, currency)) {
+    return callback(constructError('Bitstamp does not support withdrawals of ' + currency + ' to a bank account.',
+      errorCodes.MODULE_ERROR, null));
+  }
+  if (!isSubunitAmount(withdrawal.amount) || withdrawal.amount <= 0) {
+    return callback(constructError('The amount must be a positive integer.', errorCodes.MODULE_ERROR, null));
+  }
+
+  /* The parameters of Bitstamp by the properties of the withdrawal object */
+  var fields = {
+    name: 'name',
+    iban: 'iban',
+    bic: 'bic',
+    address: 'address',
+    postalCode: 'postal_code',
+    city: 'city',
+    country: 'country'
+  };
+  var bankFields = {
+    bankName: 'bank_name',
+    bankAddress: 'bank_address',
+    bankPostalCode: 'bank_postal_code',
+    bankCity: 'bank_city',
+    bankCountry: 'bank_country'
+  };
+  var requiredFields = type === constants.WITHDRAWAL_TYPE_INTERNATIONAL ? _.extend({}, fields, bankFields) : fields;
+
+  var missingField = _.find(_.keys(requiredFields), field => !withdrawal[field]);
+  if (missingField) {
+    return callback(constructError('The withdrawal must have a ' + missingField + '.', errorCodes.MODULE_ERROR, null));
+  }
+
+  var params = {
+    type: type,
+    amount: Currency.toDecimalString(withdrawal.amount, currency),
+    account_currency: currency
+  };
+  _.forEach(_.extend({}, fields, bankFields), (param, field) => {
+    if (withdrawal[field]) {
+      params[param] = withdrawal[field];
+    }
+  });
+  if (type === constants.WITHDRAWAL_TYPE_INTERNATIONAL) {
+    params.currency = currency;
+  }
+  if (withdrawal.comment) {
+    params.comment = withdrawal.comment;
+  }
+
+  /* Withdrawals move funds, so they are never retried */
+  this._post('v2/withdrawal/open', params, function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, {
+      externalId: String(res.withdrawal_id),
+      state: 'pending',
+      amount: -withdrawal.amount,
+      currency: currency,
+      type: 'withdrawal',
+      raw: res
+    });
+  });
+});
+
+/**
+ * Returns the withdrawal requests of the account, newest first.
+ *
+ * @param {object}      [options]
+ * @param {Date}        [options.since]     Only return withdrawal requests made since this date. Defaults to the last
+ *                                          24 hours, as Bitstamp does
+ * @param {function}    callback            Returns an array of withdrawals, in the same format as listTransactions
+ */
+Bitstamp.prototype.listWithdrawalRequests = promiseOrCallback(function (options, callback) {
+  options = options || {};
+
+  var params = null;
+  if (options.since) {
+    /* Bitstamp takes the number of seconds to look back */
+    params = {timedelta: Math.ceil((Date.now() - new Date(options.since).getTime()) / 1000)};
+  }
+
+  this._post('v2/withdrawal-requests', params, {idempotent: true}, function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, res.map(constructWithdrawalObject));
+  });
+});
+
+/**
+ * Returns the state of a withdrawal.
+ *
+ * @param {object|string}   withdrawal  The withdrawal, as returned by withdrawCrypto or withdrawFiat, or its externalId
+ * @param {function}        callback    Returns the state of the withdrawal:
+ *  {
+ *    externalId: '1234',
+ *    state: 'completed', // Either 'pending', 'relayed', 'completed', 'cancelled' or 'failed'
+ *    transactionId: '6b0cf4d8...', // The id of the transaction on the blockchain, for crypto withdrawals
+ *    raw: {}
+ *  }
+ */
+Bitstamp.prototype.getWithdrawalStatus = promiseOrCallback(function (withdrawal, callback) {
+  var id = _.isObject(withdrawal) ? withdrawal.externalId : withdrawal;
+  if (!id) {
+    return callback(constructError('Withdrawal object with an externalId is a required parameter.',
+      errorCodes.MODULE_ERROR, null));
+  }
 
-  /* Make the request */
-  this._post(orderType, {amount: amountMainUnit, price: limitPrice}, function (err, res) {
+  this._post('v2/withdrawal/status', {id: id}, {idempotent: true}, function (err, res) {
     if (err) {
       return callback(err);
     }
 
-    /* Construct the custom trade response object */
-    var trade = {
-      externalId: res.id.toString(),
-      type: 'limit',
-      state: 'open',
-      baseAmount: baseAmount,
-      baseCurrency: 'BTC',
-      quoteCurrency: 'USD',
-      limitPrice: limitPrice,
-      raw: _.extend(res,
-        {
-          orderType: orderType
-        })
+    var status = {
+      externalId: String(id),
+      state: WITHDRAWAL_STATES[String(res.status).toLowerCase()] || 'pending',
+      raw: res
     };
+    if (res.transaction_id) {
+      status.transactionId = res.transaction_id;
+    }
 
-    /* All is well. Return the placed trade response */
-    return callback(null, trade);
+    return callback(null, status);
   });
+});
+
+/**
+ * Returns a Bitstamp instance for a sub-account, with the same settings as this one. Bitstamp authenticates the
+ * requests of a sub-account with the API key of the sub-account, so its credentials are required. The balances and
+ * transactions of the instance are tagged with the id of the sub-account.
+ *
+ * @param {string}  subAccountId            The id of the sub-account
+ * @param {object}  credentials
+ * @param {string}  credentials.key         The API key of the sub-account
+ * @param {string}  credentials.secret      The API secret of the sub-account
+ * @param {string}  credentials.clientId    The customer ID of the sub-account
+ * @returns {Bitstamp}
+ */
+Bitstamp.prototype.forSubAccount = function (subAccountId, credentials) {
+  if (!subAccountId) {
+    throw constructError('The id of the sub-account is required.', errorCodes.MODULE_ERROR, null);
+  }
+
+  /* The credentials of this account must never be used for the sub-account */
+  var settings = _.extend(_.omit(this.settings, ['key', 'secret', 'clientId']),
+    _.pick(credentials, ['key', 'secret', 'clientId']), {subAccount: subAccountId});
+
+  return new Bitstamp(settings);
+};
+
+/**
+ * Transfers funds from a sub-account to the main account. With the credentials of the main account, the sub-account
+ * must be given, and with the credentials of a sub-account (see forSubAccount), it defaults to that sub-account.
+ *
+ * @param {string}      currency        The currency to transfer, eg. 'BTC'
+ * @param {int}         amount          The amount to transfer, in smallest sub-unit
+ * @param {string}      [subAccountId]  The id of the sub-account to transfer from
+ * @param {function}    callback        Returns the transfer:
+ *  {
+ *    currency: 'BTC',
+ *    amount: 50000000, // Transfer of 0.5 BTC
+ *    fromAccount: '123456',
+ *    toAccount: 'main',
+ *    raw: {}
+ *  }
+ */
+Bitstamp.prototype.transferToMain = promiseOrCallback(function (currency, amount, subAccountId, callback) {
+  if (!subAccountId && !this.subAccount) {
+    return callback(constructError('The id of the sub-account to transfer from is required.',
+      errorCodes.MODULE_ERROR, null));
+  }
+
+  transfer(this, 'v2/transfer-to-main', currency, amount, subAccountId, callback);
+});
+
+/**
+ * Transfers funds from the main account to a sub-account. This takes the credentials of the main account.
+ *
+ * @param {string}      currency        The currency to transfer, eg. 'BTC'
+ * @param {int}         amount          The amount to transfer, in smallest sub-unit
+ * @param {string}      subAccountId    The id of the sub-account to transfer to
+ * @param {function}    callback        Returns the transfer, in the same format as transferToMain
+ */
+Bitstamp.prototype.transferFromMain = promiseOrCallback(function (currency, amount, subAccountId, callback) {
+  if (!subAccountId) {
+    return callback(constructError('The id of the sub-account to transfer to is required.',
+      errorCodes.MODULE_ERROR, null));
+  }
+
+  transfer(this, 'v2/transfer-from-main', currency, amount, subAccountId, callback);
+});
+
+/**
+ * Creates a stream of live market data from the WebSocket API of Bitstamp. The stream emits prices in the same way as
+ * the module, ie. as strings with the `exactPrices` setting.
+ *
+ * @param {object}  [options]   See MarketStream for the supported options
+ * @returns {MarketStream}
+ */
+Bitstamp.prototype.createMarketStream = function (options) {
+  return new MarketStream(_.defaults({}, options, {exactPrices: this.exactPrices}));
+};
+
+/**
+ * Creates a local order book of a currency pair, which is kept current with the diffs of the WebSocket API. Call start()
+ * on it to start following the order book.
+ *
+ * @param {string}  baseCurrency    The currency code (3 chars) of the base currency
+ * @param {string}  quoteCurrency   The currency code (3 chars) of the quote currency
+ * @param {object}  [options]       See OrderBook for the supported options
+ * @returns {OrderBook}
+ */
+Bitstamp.prototype.createOrderBook = function (baseCurrency, quoteCurrency, options) {
+  return new OrderBook(this, baseCurrency, quoteCurrency, options);
 };
 
+/* Nonce providers to pass as the `nonceProvider` setting */
+Bitstamp.MonotonicNonceProvider = Nonce.MonotonicNonceProvider;
+Bitstamp.FileNonceProvider = Nonce.FileNonceProvider;
+
+Bitstamp.MarketStream = MarketStream;
+Bitstamp.OrderBook = OrderBook;
+/* Fill estimates and depth of order books in the format of getOrderBook */
+Bitstamp.OrderBookAnalytics = OrderBookAnalytics;
+
 module.exports = Bitstamp;
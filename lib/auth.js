@@ -0,0 +1,130 @@
+var crypto = require('crypto'),
+  querystring = require('querystring'),
+  url = require('url');
+
+const AUTH_VERSION_V1 = 'v1';
+const AUTH_VERSION_V2 = 'v2';
+const CONTENT_TYPE_FORM = 'application/x-www-form-urlencoded';
+
+/**
+ * Calculates the hex encoded HMAC-SHA256 of a message.
+ *
+ * @param {string}  secret  The API secret
+ * @param {string}  message The message to sign
+ * @returns {string}
+ */
+function hmac(secret, message) {
+  return crypto.createHmac('sha256', Buffer.from(secret, 'utf8')).update(message).digest('hex');
+}
+
+/**
+ * Generates a random (version 4) UUID, which the v2 API requires as nonce.
+ *
+ * @returns {string}
+ */
+function generateUuid() {
+  var bytes = crypto.randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  var hex = bytes.toString('hex');
+  return [hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4), hex.substr(16, 4), hex.substr(20)].join('-');
+}
+
+/**
+ * Signs a request with the legacy v1 scheme, where the signature and the nonce are sent as form fields.
+ *
+ * @param {object}  credentials     An object with the key, secret and clientId of the API key
+ * @param {string}  requestUrl      The full URL of the request
+ * @param {object}  params          The data to be passed with the request
+ * @param {int}     nonce           A nonce that is higher than the one of any earlier request with the API key
+ * @returns {object}                The options for the request
+ */
+function signV1(credentials, requestUrl, params, nonce) {
+  var message = nonce + credentials.clientId + credentials.key;
+  var signature = hmac(credentials.secret, message).toUpperCase();
+
+  return {
+    url: requestUrl,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    form: Object.assign({
+      key: credentials.key,
+      signature: signature,
+      nonce: nonce
+    }, params)
+  };
+}
+
+/**
+ * Signs a request with the v2 scheme, where the signature covers the method, host, path, query and body of the
+ * request, and is sent in the X-Auth headers.
+ *
+ * @param {object}  credentials     An object with the key and secret of the API key
+ * @param {string}  requestUrl      The full URL of the request
+ * @param {object}  params          The data to be passed with the request
+ * @returns {object}                The options for the request, with a `verifyResponse` function that checks the
+ *                                  signature of the response
+ */
+function signV2(credentials, requestUrl, params) {
+  var parsedUrl = url.parse(requestUrl);
+  var nonce = generateUuid();
+  var timestamp = String(Date.now());
+  var body = params ? querystring.stringify(params) : '';
+
+  /* The content type is only part of the request (and the signature) when there is a body */
+  var contentType = body ? CONTENT_TYPE_FORM : '';
+  var message = 'BITSTAMP ' + credentials.key + 'POST' + parsedUrl.host + parsedUrl.pathname +
+    (parsedUrl.query || '') + contentType + nonce + timestamp + AUTH_VERSION_V2 + body;
+
+  var headers = {
+    'X-Auth': 'BITSTAMP ' + credentials.key,
+    'X-Auth-Signature': hmac(credentials.secret, message),
+    'X-Auth-Nonce': nonce,
+    'X-Auth-Timestamp': timestamp,
+    'X-Auth-Version': AUTH_VERSION_V2
+  };
+  if (contentType) {
+    headers['Content-Type'] = contentType;
+  }
+
+  return {
+    url: requestUrl,
+    method: 'POST',
+    headers: headers,
+    body: body,
+    verifyResponse: (res, responseBody) => verifyV2Response(credentials, nonce, timestamp, res, responseBody)
+  };
+}
+
+/**
+ * Checks the X-Server-Auth-Signature header of a response to a request signed with the v2 scheme.
+ *
+ * @param {object}  credentials     An object with the secret of the API key
+ * @param {string}  nonce           The nonce of the request
+ * @param {string}  timestamp       The timestamp of the request
+ * @param {object}  res             The response
+ * @param {string}  responseBody    The raw body of the response
+ * @returns {boolean}               True if the response was signed with the API secret
+ */
+function verifyV2Response(credentials, nonce, timestamp, res, responseBody) {
+  var headers = res.headers || {};
+  var signature = headers['x-server-auth-signature'];
+  if (!signature) {
+    return false;
+  }
+
+  var expected = hmac(credentials.secret, nonce + timestamp + (headers['content-type'] || '') + responseBody);
+
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature, 'utf8'), Buffer.from(expected, 'utf8'));
+}
+
+module.exports = {
+  AUTH_VERSION_V1: AUTH_VERSION_V1,
+  AUTH_VERSION_V2: AUTH_VERSION_V2,
+  signV1: signV1,
+  signV2: signV2
+};
@@ -1,18 +1,159 @@
 const HOST = 'https://www.bitstamp.net';
 const REQUEST_TIMEOUT = 5000;
+/* Retries of idempotent requests that fail with a transient error. Delays are in milliseconds */
+const RETRY = {
+  retries: 0,
+  minTimeout: 500,
+  maxTimeout: 10000,
+  factor: 2
+};
+/* The number of requests that Bitstamp allows per interval (in milliseconds), before banning the IP address */
+const RATE_LIMIT = {
+  requests: 600,
+  interval: 10 * 60 * 1000
+};
+/*
+ * The WebSocket API of Bitstamp, and the default settings of the market streams: the delays (in milliseconds) before
+ * reconnecting grow exponentially between the minimum and maximum, and a heartbeat is sent every heartbeatInterval.
+ * A connection that receives nothing for heartbeatTimeout is considered dead, and replaced
+ */
+const STREAM = {
+  url: 'wss://ws.bitstamp.net',
+  minReconnectDelay: 500,
+  maxReconnectDelay: 30000,
+  heartbeatInterval: 10000,
+  heartbeatTimeout: 30000
+};
+
+/* The WebSocket channels of Bitstamp by the channel types of the market streams */
+const STREAM_CHANNELS = {
+  trades: 'live_trades',
+  orderBook: 'order_book',
+  diffOrderBook: 'diff_order_book',
+  orders: 'live_orders'
+};
+
+/* Milliseconds that a local order book waits before fetching the order book again after a failed or crossed sync */
+const ORDER_BOOK_RESYNC_DELAY = 1000;
+
+/* Maximum number of rows that Bitstamp returns per user_transactions request */
+const USER_TRANSACTIONS_LIMIT = 1000;
+
+/* The candle lengths (in seconds) that the OHLC endpoint supports, and the maximum number of candles per request */
+const CANDLE_STEPS = [60, 180, 300, 900, 1800, 3600, 7200, 14400, 21600, 43200, 86400, 259200];
+const CANDLE_STEP = 3600;
+const CANDLES_LIMIT = 1000;
+
+/* The periods that the public transactions endpoint returns the trades of */
+const PUBLIC_TRADES_TIMES = ['minute', 'hour', 'day'];
+
+/* Milliseconds to cache the trading pairs info of Bitstamp for */
+const TRADING_PAIRS_CACHE_TIME = 60 * 60 * 1000;
+
 const TYPE_SELL_ORDER = 'sell';
 const TYPE_BUY_ORDER = 'buy';
 
+const ORDER_TYPE_LIMIT = 'limit';
+const ORDER_TYPE_MARKET = 'market';
+const ORDER_TYPE_INSTANT = 'instant';
+
+/* The flags that Bitstamp takes to limit how long a limit order stays open */
+const TIME_IN_FORCE_PARAMS = {
+  daily: 'daily_order',
+  ioc: 'ioc_order',
+  fok: 'fok_order'
+};
+
+/* The transaction types of the user_transactions endpoint */
 const TYPE_DEPOSIT = 0;
 const TYPE_WITHDRAWAL = 1;
 const TYPE_MARKET_TRADE = 2;
+const TYPE_SUB_ACCOUNT_TRANSFER = 14;
+const TYPE_STAKING_CREDIT = 25;
+const TYPE_STAKING_DEBIT = 26;
+const TYPE_STAKING_REWARD = 27;
+const TYPE_REFERRAL_REWARD = 32;
+const TYPE_INTER_ACCOUNT_TRANSFER = 35;
+
+/* The `kind` of the ledger entries of each transaction type. Types that are not listed are of the kind 'other' */
+const TRANSACTION_KINDS = {
+  [TYPE_DEPOSIT]: 'deposit',
+  [TYPE_WITHDRAWAL]: 'withdrawal',
+  [TYPE_MARKET_TRADE]: 'trade',
+  [TYPE_SUB_ACCOUNT_TRANSFER]: 'subAccountTransfer',
+  [TYPE_STAKING_CREDIT]: 'stakingCredit',
+  [TYPE_STAKING_DEBIT]: 'stakingDebit',
+  [TYPE_STAKING_REWARD]: 'stakingReward',
+  [TYPE_REFERRAL_REWARD]: 'referralReward',
+  [TYPE_INTER_ACCOUNT_TRANSFER]: 'interAccountTransfer'
+};
+
+/* The account that the objects of the main account are tagged with, sub-accounts are tagged with their id */
+const MAIN_ACCOUNT = 'main';
+
+/* Currencies that can be deposited to and withdrawn from an address */
+const ADDRESS_CURRENCIES = ['BTC', 'BCH', 'ETH', 'LTC', 'XRP'];
+
+/* Currencies that can be withdrawn to a bank account */
+const FIAT_WITHDRAWAL_CURRENCIES = ['EUR', 'USD'];
+
+/* The kinds of bank transfers of fiat withdrawals */
+const WITHDRAWAL_TYPE_SEPA = 'sepa';
+const WITHDRAWAL_TYPE_INTERNATIONAL = 'international';
+
+/* Currency pairs traded on Bitstamp, keyed by the symbol used in the pair-specific API endpoints */
+const CURRENCY_PAIRS = {
+  btcusd: {baseCurrency: 'BTC', quoteCurrency: 'USD'},
+  btceur: {baseCurrency: 'BTC', quoteCurrency: 'EUR'},
+  eurusd: {baseCurrency: 'EUR', quoteCurrency: 'USD'},
+  xrpusd: {baseCurrency: 'XRP', quoteCurrency: 'USD'},
+  xrpeur: {baseCurrency: 'XRP', quoteCurrency: 'EUR'},
+  xrpbtc: {baseCurrency: 'XRP', quoteCurrency: 'BTC'},
+  ltcusd: {baseCurrency: 'LTC', quoteCurrency: 'USD'},
+  ltceur: {baseCurrency: 'LTC', quoteCurrency: 'EUR'},
+  ltcbtc: {baseCurrency: 'LTC', quoteCurrency: 'BTC'},
+  ethusd: {baseCurrency: 'ETH', quoteCurrency: 'USD'},
+  etheur: {baseCurrency: 'ETH', quoteCurrency: 'EUR'},
+  ethbtc: {baseCurrency: 'ETH', quoteCurrency: 'BTC'},
+  bchusd: {baseCurrency: 'BCH', quoteCurrency: 'USD'},
+  bcheur: {baseCurrency: 'BCH', quoteCurrency: 'EUR'},
+  bchbtc: {baseCurrency: 'BCH', quoteCurrency: 'BTC'}
+};
 
 module.exports = {
   HOST: HOST,
   REQUEST_TIMEOUT: REQUEST_TIMEOUT,
+  RETRY: RETRY,
+  RATE_LIMIT: RATE_LIMIT,
+  STREAM: STREAM,
+  STREAM_CHANNELS: STREAM_CHANNELS,
+  ORDER_BOOK_RESYNC_DELAY: ORDER_BOOK_RESYNC_DELAY,
+  USER_TRANSACTIONS_LIMIT: USER_TRANSACTIONS_LIMIT,
+  CANDLE_STEPS: CANDLE_STEPS,
+  CANDLE_STEP: CANDLE_STEP,
+  CANDLES_LIMIT: CANDLES_LIMIT,
+  PUBLIC_TRADES_TIMES: PUBLIC_TRADES_TIMES,
+  TRADING_PAIRS_CACHE_TIME: TRADING_PAIRS_CACHE_TIME,
   TYPE_SELL_ORDER: TYPE_SELL_ORDER,
   TYPE_BUY_ORDER: TYPE_BUY_ORDER,
+  ORDER_TYPE_LIMIT: ORDER_TYPE_LIMIT,
+  ORDER_TYPE_MARKET: ORDER_TYPE_MARKET,
+  ORDER_TYPE_INSTANT: ORDER_TYPE_INSTANT,
+  TIME_IN_FORCE_PARAMS: TIME_IN_FORCE_PARAMS,
   TYPE_DEPOSIT: TYPE_DEPOSIT,
   TYPE_WITHDRAWAL: TYPE_WITHDRAWAL,
-  TYPE_MARKET_TRADE: TYPE_MARKET_TRADE
+  TYPE_MARKET_TRADE: TYPE_MARKET_TRADE,
+  TYPE_SUB_ACCOUNT_TRANSFER: TYPE_SUB_ACCOUNT_TRANSFER,
+  TYPE_STAKING_CREDIT: TYPE_STAKING_CREDIT,
+  TYPE_STAKING_DEBIT: TYPE_STAKING_DEBIT,
+  TYPE_STAKING_REWARD: TYPE_STAKING_REWARD,
+  TYPE_REFERRAL_REWARD: TYPE_REFERRAL_REWARD,
+  TYPE_INTER_ACCOUNT_TRANSFER: TYPE_INTER_ACCOUNT_TRANSFER,
+  TRANSACTION_KINDS: TRANSACTION_KINDS,
+  MAIN_ACCOUNT: MAIN_ACCOUNT,
+  ADDRESS_CURRENCIES: ADDRESS_CURRENCIES,
+  FIAT_WITHDRAWAL_CURRENCIES: FIAT_WITHDRAWAL_CURRENCIES,
+  WITHDRAWAL_TYPE_SEPA: WITHDRAWAL_TYPE_SEPA,
+  WITHDRAWAL_TYPE_INTERNATIONAL: WITHDRAWAL_TYPE_INTERNATIONAL,
+  CURRENCY_PAIRS: CURRENCY_PAIRS
 };
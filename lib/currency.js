@@ -1,16 +1,167 @@
+var errorCodes = require('./error_codes.js'),
+  constructError = require('./errors.js').constructError;
+
+/*
+ * The number of decimals of the amounts of each currency on Bitstamp. Loading the decimals from Bitstamp only adds the
+ * currencies that are not in here, so that the scale of the amounts never changes while the process runs.
+ */
+const DEFAULT_DECIMALS = {
+  BTC: 8,
+  BCH: 8,
+  ETH: 8,
+  LTC: 8,
+  XRP: 6,
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  CHF: 2,
+  JPY: 0
+};
+
+/* The registry of the decimals of each currency, shared by all Bitstamp instances */
+var decimalsByCurrency = Object.assign({}, DEFAULT_DECIMALS);
+
 /**
  * Returns the number of decimals after the floating point, with which
  * the amount should be formatted, depending on the currency.
  *
  * @param {string}  currency
+ * @returns {int|undefined}     Undefined for currencies that are not in the registry
+ */
+function getDecimals(currency) {
+  return decimalsByCurrency[String(currency).toUpperCase()];
+}
+
+/**
+ * @param {string}  currency
+ * @returns {boolean}   Whether the registry knows the decimals of the currency
+ */
+function hasDecimals(currency) {
+  return getDecimals(currency) !== undefined;
+}
+
+/**
+ * Adds the currencies that are not in the registry yet. The decimals of the currencies that it has are kept, since
+ * changing them would change the scale of amounts that were already converted.
+ *
+ * @param {object}  decimals    The number of decimals by currency code, eg. {XLM: 7}
+ * @returns {object}    The decimals of the currencies that were added
+ */
+function addDecimals(decimals) {
+  var added = {};
+  Object.keys(decimals).forEach(currency => {
+    if (!hasDecimals(currency)) {
+      added[currency.toUpperCase()] = decimalsByCurrency[currency.toUpperCase()] = decimals[currency];
+    }
+  });
+
+  return added;
+}
+
+/**
+ * Resets the registry to the built-in decimals.
+ */
+function resetDecimals() {
+  decimalsByCurrency = Object.assign({}, DEFAULT_DECIMALS);
+}
+
+/**
+ * Returns the decimals of a currency, and throws if the registry does not know it, since assuming a wrong number of
+ * decimals would mis-scale the amounts.
+ *
+ * @param {string}  currency
  * @returns {int}
  */
 function getDecimalsForCurrency(currency) {
-  if (currency == 'BTC') {
-    return 8;
+  var decimals = getDecimals(currency);
+  if (decimals === undefined) {
+    throw constructError('The number of decimals of the ' + currency + ' currency is unknown.',
+      errorCodes.MODULE_ERROR);
+  }
+
+  return decimals;
+}
+
+/* A decimal number, as sent by Bitstamp or as produced by Number.prototype.toString, eg. '-0.29' or '1e-7' */
+const REGEX_PATTERN_DECIMAL = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * Multiplies a decimal number by a power of ten, and rounds the result to an integer (half away from zero), without
+ * any floating point arithmetic.
+ *
+ * @param {number|string|bigint}    value   The decimal number, eg. 0.29 or '0.29000000'
+ * @param {int}                     shift   The power of ten to multiply by, which may be negative
+ * @returns {bigint|undefined}              Undefined if the value is not a decimal number
+ */
+function shiftDecimal(value, shift) {
+  var match = REGEX_PATTERN_DECIMAL.exec(String(value).trim());
+  if (!match || (!match[2] && !match[3])) {
+    return undefined;
+  }
+
+  /* The value is the digits (without the point) times ten to the power of the exponent */
+  var fraction = match[3] || '';
+  var digits = (match[2] || '') + fraction;
+  var exponent = parseInt(match[4] || '0', 10) - fraction.length + shift;
+
+  var units;
+  if (exponent >= 0) {
+    units = BigInt(digits + '0'.repeat(exponent));
   } else {
-    return 2;
+    var cut = digits.length + exponent;
+    var roundingDigit = cut >= 0 ? digits.charAt(cut) : '0';
+    units = BigInt(cut > 0 ? digits.slice(0, cut) : '0') + (roundingDigit >= '5' ? BigInt(1) : BigInt(0));
+  }
+
+  return match[1] === '-' ? -units : units;
+}
+
+/**
+ * Returns an amount of sub-units as a number if that can represent it exactly, and as a BigInt otherwise.
+ *
+ * @param {bigint}  units
+ * @returns {int|bigint}
+ */
+function toSafeInteger(units) {
+  var isSafe = units <= BigInt(Number.MAX_SAFE_INTEGER) && units >= BigInt(-Number.MAX_SAFE_INTEGER);
+  return isSafe ? Number(units) : units;
+}
+
+/**
+ * Formats an amount of smallest sub-unit as an exact decimal string in the actual currency unit.
+ * For example, for a BTC account, this function will convert 12345678 to '0.12345678'.
+ * Throws a MODULE_ERROR for currencies whose decimals are unknown, and for amounts that are not numbers, since the
+ * string is sent to Bitstamp.
+ *
+ * @param {int|bigint|string}   amount
+ * @param {string}              currency
+ * @returns {string}
+ */
+function toDecimalString(amount, currency) {
+  var decimals = getDecimalsForCurrency(currency);
+  var units = shiftDecimal(amount, 0);
+  if (units === undefined) {
+    throw constructError('The amount ' + amount + ' is not a number.', errorCodes.MODULE_ERROR);
   }
+
+  return formatUnits(units, decimals);
+}
+
+/**
+ * Formats an integer number of units as a decimal string with the given number of decimals, eg. 1250 with 3 decimals
+ * as '1.250'.
+ *
+ * @param {bigint}  units
+ * @param {int}     decimals
+ * @returns {string}
+ */
+function formatUnits(units, decimals) {
+  var negative = units < BigInt(0);
+  var digits = String(negative ? -units : units).padStart(decimals + 1, '0');
+  var integerPart = digits.slice(0, digits.length - decimals);
+  var fractionPart = digits.slice(digits.length - decimals);
+
+  return (negative ? '-' : '') + integerPart + (decimals > 0 ? '.' + fractionPart : '');
 }
 
 /**
@@ -19,15 +170,18 @@ function getDecimalsForCurrency(currency) {
  * 12345678 to 0.12345678.
  * Likewise, for a USD account, 12345 is converted to 123.45.
  * This function is the inverse of {@self::toSmallestSubUnit}
+ * Throws a MODULE_ERROR for currencies whose decimals are unknown.
  *
- * @param {int}     amount
- * @param {string}  currency
+ * @param {int|bigint}  amount
+ * @param {string}      currency
  *
- * @return number
+ * @return number   The closest number to the exact amount, see toDecimalString for an exact string
  */
 function fromSmallestSubUnit(amount, currency) {
   var decimals = getDecimalsForCurrency(currency);
-  return round(amount / Math.pow(10, decimals), decimals);
+  var units = shiftDecimal(amount, 0);
+
+  return units === undefined ? NaN : Number(formatUnits(units, decimals));
 }
 
 
@@ -37,15 +191,123 @@ function fromSmallestSubUnit(amount, currency) {
  * 0.12345678 to 12345678.
  * Likewise, for a USD account, 123.45 is converted to 12345.
  * This function is the inverse of {@self::fromSmallestSubUnit}
+ * Throws a MODULE_ERROR for currencies whose decimals are unknown.
  *
- * @param {number}  amount
- * @param {string}  currency
+ * The conversion is exact: decimal strings, as returned by Bitstamp, are converted digit by digit, and numbers by
+ * their decimal representation, so that eg. 0.29 BTC is 29000000, not 28999999.999999996 rounded.
+ *
+ * @param {number|string}   amount
+ * @param {string}          currency
  *
- * @return int
+ * @return int|bigint   A BigInt for amounts beyond Number.MAX_SAFE_INTEGER, and NaN for values that are not numbers
  */
 function toSmallestSubUnit(amount, currency) {
   var decimals = getDecimalsForCurrency(currency);
-  return Math.round(amount * Math.pow(10, decimals));
+  var units = shiftDecimal(amount, decimals);
+
+  return units === undefined ? NaN : toSafeInteger(units);
+}
+
+/**
+ * Rounds a decimal number to a number of decimals (half away from zero), without floating point arithmetic, eg. a price
+ * of 460.125 to 2 decimals is 460.13.
+ *
+ * @param {number|string}   value
+ * @param {int}             decimals
+ * @returns {number}
+ */
+function roundDecimal(value, decimals) {
+  var units = shiftDecimal(value, decimals);
+  return units === undefined ? NaN : Number(formatUnits(units, decimals));
+}
+
+/**
+ * Rounds an amount of sub-units to fewer decimals of the currency (half away from zero), eg. 123456789 satoshis to 4
+ * decimals is 123460000 satoshis.
+ * Throws a MODULE_ERROR for currencies whose decimals are unknown.
+ *
+ * @param {int|bigint}  amount
+ * @param {string}      currency
+ * @param {int}         decimals    The number of decimals of the currency to keep
+ * @return int|bigint
+ */
+function roundSubunits(amount, currency, decimals) {
+  var shift = getDecimalsForCurrency(currency) - decimals;
+  if (shift <= 0) {
+    return amount;
+  }
+
+  var units = shiftDecimal(amount, -shift);
+  return units === undefined ? NaN : toSafeInteger(units * BigInt(10) ** BigInt(shift));
+}
+
+/* The number of decimals to which prices are scaled to multiply and divide amounts by them exactly */
+const PRICE_DECIMALS = 18;
+
+/**
+ * Converts an amount of the base currency into the quote currency at a price, eg. 50000000 satoshis at 450.31 USD is
+ * 22516 cents (rounded half away from zero), without floating point arithmetic.
+ * Throws a MODULE_ERROR for currencies whose decimals are unknown.
+ *
+ * @param {int|bigint}      amount          The amount in sub-units of the base currency
+ * @param {string}          baseCurrency
+ * @param {number|string}   price           The price, in the quote currency per unit of the base currency
+ * @param {string}          quoteCurrency
+ * @return int|bigint   The amount in sub-units of the quote currency, or NaN if the amount or price is not a number
+ */
+function multiplyByPrice(amount, baseCurrency, price, quoteCurrency) {
+  var units = shiftDecimal(amount, 0);
+  var scaledPrice = shiftDecimal(price, PRICE_DECIMALS);
+  if (units === undefined || scaledPrice === undefined) {
+    return NaN;
+  }
+
+  var shift = getDecimalsForCurrency(quoteCurrency) - getDecimalsForCurrency(baseCurrency) - PRICE_DECIMALS;
+  return toSafeInteger(shiftDecimal(units * scaledPrice, shift));
+}
+
+/**
+ * Converts an amount of the quote currency into the base currency at a price, eg. 22516 cents at 450.31 USD is
+ * 50001110 satoshis (rounded down, or up with roundUp), without floating point arithmetic.
+ * Throws a MODULE_ERROR for currencies whose decimals are unknown.
+ *
+ * @param {int|bigint}      amount          The amount in sub-units of the quote currency
+ * @param {string}          quoteCurrency
+ * @param {number|string}   price           The price, in the quote currency per unit of the base currency
+ * @param {string}          baseCurrency
+ * @param {boolean}         [roundUp]       Whether to round up instead of down
+ * @return int|bigint   The amount in sub-units of the base currency, or NaN if the amount or price is not a number or
+ *                      the price is not positive
+ */
+function divideByPrice(amount, quoteCurrency, price, baseCurrency, roundUp) {
+  var units = shiftDecimal(amount, 0);
+  var scaledPrice = shiftDecimal(price, PRICE_DECIMALS);
+  if (units === undefined || scaledPrice === undefined || scaledPrice <= BigInt(0)) {
+    return NaN;
+  }
+
+  var shift = getDecimalsForCurrency(baseCurrency) - getDecimalsForCurrency(quoteCurrency) + PRICE_DECIMALS;
+  var numerator = units * BigInt(10) ** BigInt(shift);
+  var quotient = numerator / scaledPrice;
+  if (roundUp && quotient * scaledPrice < numerator) {
+    quotient += BigInt(1);
+  }
+
+  return toSafeInteger(quotient);
+}
+
+/**
+ * Adds up amounts of sub-units exactly, also when they are BigInts.
+ *
+ * @param {Array<int|bigint>}   amounts
+ * @return int|bigint   A BigInt if the sum is beyond Number.MAX_SAFE_INTEGER
+ */
+function sumSubunits(amounts) {
+  if (amounts.some(amount => typeof amount === 'number' && !Number.isInteger(amount))) {
+    return NaN;
+  }
+
+  return toSafeInteger(amounts.reduce((sum, amount) => sum + BigInt(amount), BigInt(0)));
 }
 
 /**
@@ -80,7 +342,17 @@ function round(value, precision) {
 }
 
 module.exports = {
+  getDecimals: getDecimals,
+  hasDecimals: hasDecimals,
+  addDecimals: addDecimals,
+  resetDecimals: resetDecimals,
   fromSmallestSubunit: fromSmallestSubUnit,
   toSmallestSubunit: toSmallestSubUnit,
+  toDecimalString: toDecimalString,
+  roundDecimal: roundDecimal,
+  roundSubunits: roundSubunits,
+  multiplyByPrice: multiplyByPrice,
+  divideByPrice: divideByPrice,
+  sumSubunits: sumSubunits,
   round: round
 };
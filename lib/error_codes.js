@@ -1,9 +1,29 @@
 const EXCHANGE_SERVER_ERROR = 'exchange_server_error';
 const MODULE_ERROR = 'internal_module_error';
 const INSUFFICIENT_FUNDS = 'insufficient_funds';
+const ORDER_NOT_FOUND = 'order_not_found';
+const RESPONSE_SIGNATURE_MISMATCH = 'response_signature_mismatch';
+const RATE_LIMITED = 'rate_limited';
+const INVALID_NONCE = 'invalid_nonce';
+const INVALID_SIGNATURE = 'invalid_signature';
+const PERMISSION_DENIED = 'permission_denied';
+const MINIMUM_ORDER_SIZE = 'minimum_order_size';
+const PRICE_PRECISION = 'price_precision';
+const TRADING_PAUSED = 'trading_paused';
+const INVALID_PARAMETERS = 'invalid_parameters';
 
 module.exports = {
   EXCHANGE_SERVER_ERROR: EXCHANGE_SERVER_ERROR,
   MODULE_ERROR: MODULE_ERROR,
-  INSUFFICIENT_FUNDS: INSUFFICIENT_FUNDS
+  INSUFFICIENT_FUNDS: INSUFFICIENT_FUNDS,
+  ORDER_NOT_FOUND: ORDER_NOT_FOUND,
+  RESPONSE_SIGNATURE_MISMATCH: RESPONSE_SIGNATURE_MISMATCH,
+  RATE_LIMITED: RATE_LIMITED,
+  INVALID_NONCE: INVALID_NONCE,
+  INVALID_SIGNATURE: INVALID_SIGNATURE,
+  PERMISSION_DENIED: PERMISSION_DENIED,
+  MINIMUM_ORDER_SIZE: MINIMUM_ORDER_SIZE,
+  PRICE_PRECISION: PRICE_PRECISION,
+  TRADING_PAUSED: TRADING_PAUSED,
+  INVALID_PARAMETERS: INVALID_PARAMETERS
 };
@@ -0,0 +1,26 @@
+/**
+ * Constructs and returns an Error node.js native object, attaches a message and a pre-declared error code to it,
+ * and the original error data, if provided.
+ * @param {string} message       Human readable error message
+ * @param {string} errorCode     Machine readable error message code, see error_codes.js
+ * @param {object} [errorCause]  The raw/original error data  that the system
+ *                               responded with and provides detailed information about the cause of the error
+ * @param {object} [details]     Structured information about the error, eg. the amounts of an insufficient funds error
+ * @returns {Error}
+ */
+function constructError(message, errorCode, errorCause, details) {
+  var error = new Error(message);
+  error.code = errorCode;
+  if (errorCause) {
+    error.cause = errorCause;
+  }
+  if (details) {
+    error.details = details;
+  }
+
+  return error;
+}
+
+module.exports = {
+  constructError: constructError
+};
@@ -0,0 +1,130 @@
+var Currency = require('./currency.js'),
+  constants = require('./constants.js');
+
+/**
+ * Parses a price from Bitstamp. With exact prices, the price is returned as the exact decimal string that Bitstamp
+ * sent, since a number cannot represent every price of every pair exactly.
+ *
+ * @param {string|number}   price           The price, as returned by Bitstamp
+ * @param {boolean}         exactPrices     Whether to return the price as a string
+ * @returns {number|string}
+ */
+function parsePrice(price, exactPrices) {
+  return exactPrices ? String(price) : parseFloat(price);
+}
+
+/**
+ * Reads the time of a message from Bitstamp, from the `microtimestamp` (in microseconds) if it has one, and otherwise
+ * from the `timestamp` (in seconds).
+ *
+ * @param {object}  raw     The raw message
+ * @returns {Date|null}     Null if the message has no time
+ */
+function parseTimestamp(raw) {
+  if (raw.microtimestamp) {
+    return new Date(Math.floor(parseInt(raw.microtimestamp, 10) / 1000));
+  }
+
+  return raw.timestamp ? new Date(parseInt(raw.timestamp, 10) * 1000) : null;
+}
+
+/**
+ * Converts a raw order book, from the order book endpoint or the order book channels of the WebSocket API, into the
+ * order book object returned by getOrderBook. The timestamp is the time of the order book on Bitstamp, which orders the
+ * snapshots and diffs of the order book.
+ *
+ * @param {object}  raw             The raw order book, with bids and asks as [price, amount] entries
+ * @param {string}  baseCurrency
+ * @param {string}  quoteCurrency
+ * @param {boolean} exactPrices     Whether to return the prices as strings
+ * @returns {object}
+ */
+function constructOrderBook(raw, baseCurrency, quoteCurrency, exactPrices) {
+  var convertRawEntry = entry => ({
+    price: parsePrice(entry[0], exactPrices),
+    baseAmount: Currency.toSmallestSubunit(entry[1], baseCurrency)
+  });
+
+  return {
+    baseCurrency: baseCurrency,
+    quoteCurrency: quoteCurrency,
+    timestamp: parseTimestamp(raw),
+    bids: (raw.bids || []).map(convertRawEntry),
+    asks: (raw.asks || []).map(convertRawEntry)
+  };
+}
+
+/**
+ * Converts a trade from the live trades channel of the WebSocket API, or from the public transactions endpoint, which
+ * names the id `tid` and the timestamp `date`.
+ *
+ * @param {object}  raw             The raw trade, as sent by Bitstamp
+ * @param {string}  baseCurrency
+ * @param {string}  quoteCurrency
+ * @param {boolean} exactPrices     Whether to return the price as a string
+ * @returns {object}
+ */
+function constructTrade(raw, baseCurrency, quoteCurrency, exactPrices) {
+  return {
+    externalId: String(raw.id !== undefined ? raw.id : raw.tid),
+    type: raw.type == 0 ? constants.TYPE_BUY_ORDER : constants.TYPE_SELL_ORDER,
+    baseCurrency: baseCurrency,
+    quoteCurrency: quoteCurrency,
+    price: parsePrice(raw.price_str !== undefined ? raw.price_str : raw.price, exactPrices),
+    baseAmount: Currency.toSmallestSubunit(raw.amount_str !== undefined ? raw.amount_str : raw.amount, baseCurrency),
+    tradeTime: new Date(parseInt(raw.timestamp !== undefined ? raw.timestamp : raw.date, 10) * 1000),
+    raw: raw
+  };
+}
+
+/**
+ * Converts a candle from the OHLC endpoint.
+ *
+ * @param {object}  raw             The raw candle, as returned by Bitstamp
+ * @param {string}  baseCurrency
+ * @param {string}  quoteCurrency
+ * @param {boolean} exactPrices     Whether to return the prices as strings
+ * @returns {object}
+ */
+function constructCandle(raw, baseCurrency, quoteCurrency, exactPrices) {
+  return {
+    baseCurrency: baseCurrency,
+    quoteCurrency: quoteCurrency,
+    openTime: new Date(parseInt(raw.timestamp, 10) * 1000),
+    open: parsePrice(raw.open, exactPrices),
+    high: parsePrice(raw.high, exactPrices),
+    low: parsePrice(raw.low, exactPrices),
+    close: parsePrice(raw.close, exactPrices),
+    volume: Currency.toSmallestSubunit(raw.volume, baseCurrency)
+  };
+}
+
+/**
+ * Converts an order from the live orders channel of the WebSocket API.
+ *
+ * @param {object}  raw             The raw order, as sent by Bitstamp
+ * @param {string}  baseCurrency
+ * @param {string}  quoteCurrency
+ * @param {boolean} exactPrices     Whether to return the price as a string
+ * @returns {object}
+ */
+function constructOrder(raw, baseCurrency, quoteCurrency, exactPrices) {
+  return {
+    externalId: String(raw.id),
+    type: raw.order_type == 0 ? constants.TYPE_BUY_ORDER : constants.TYPE_SELL_ORDER,
+    baseCurrency: baseCurrency,
+    quoteCurrency: quoteCurrency,
+    price: parsePrice(raw.price_str !== undefined ? raw.price_str : raw.price, exactPrices),
+    baseAmount: Currency.toSmallestSubunit(raw.amount_str !== undefined ? raw.amount_str : raw.amount, baseCurrency),
+    createTime: new Date(parseInt(raw.datetime, 10) * 1000),
+    raw: raw
+  };
+}
+
+module.exports = {
+  parsePrice: parsePrice,
+  constructOrderBook: constructOrderBook,
+  constructTrade: constructTrade,
+  constructCandle: constructCandle,
+  constructOrder: constructOrder
+};
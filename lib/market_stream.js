@@ -0,0 +1,306 @@
+var EventEmitter = require('events').EventEmitter,
+  util = require('util'),
+  WebSocket = require('ws'),
+  _ = require('lodash'),
+  MarketData = require('./market_data.js'),
+  errorCodes = require('./error_codes.js'),
+  constructError = require('./errors.js').constructError,
+  constants = require('./constants.js');
+
+/* The events of the live orders channel, and the events that the stream emits them as */
+const ORDER_EVENTS = {
+  order_created: 'created',
+  order_changed: 'changed',
+  order_deleted: 'deleted'
+};
+
+/**
+ * A stream of live market data from the WebSocket API of Bitstamp. Channels are subscribed to per currency pair, and
+ * their messages are emitted in the same format as the HTTP endpoints return them:
+ *
+ *  - 'trade':          A trade in a `trades` channel
+ *  - 'orderBook':      A snapshot of the top of the order book in an `orderBook` channel, in the format of getOrderBook
+ *  - 'orderBookDiff':  The changed levels of the order book in a `diffOrderBook` channel, in the format of getOrderBook.
+ *                      Levels with a baseAmount of 0 were removed
+ *  - 'order':          An order that was created, changed or deleted in an `orders` channel, with `event` set to
+ *                      'created', 'changed' or 'deleted'
+ *
+ * The stream connects on the first subscription. When the connection is lost, or goes silent for longer than the
+ * heartbeat timeout, it reconnects with an exponentially growing delay and subscribes to all channels again, emitting
+ * 'reconnecting' and then 'open'. Errors are emitted as 'error' events, but only if there is a listener for them, since
+ * the stream recovers from them by reconnecting.
+ *
+ * @param {object}  [options]
+ * @param {string}  [options.url]                   The URL of the WebSocket API
+ * @param {int}     [options.minReconnectDelay]     Milliseconds to wait before the first reconnect
+ * @param {int}     [options.maxReconnectDelay]     Maximum milliseconds to wait before reconnecting
+ * @param {int}     [options.heartbeatInterval]     Milliseconds between heartbeats
+ * @param {int}     [options.heartbeatTimeout]      Milliseconds without messages after which the connection is replaced
+ * @param {boolean} [options.exactPrices]           Whether to emit prices as the exact decimal strings of Bitstamp
+ * @constructor
+ */
+var MarketStream = function (options) {
+  EventEmitter.call(this);
+  options = _.defaults({}, options, constants.STREAM);
+
+  this.url = options.url;
+  this.minReconnectDelay = options.minReconnectDelay;
+  this.maxReconnectDelay = options.maxReconnectDelay;
+  this.heartbeatInterval = options.heartbeatInterval;
+  this.heartbeatTimeout = options.heartbeatTimeout;
+  this.exactPrices = Boolean(options.exactPrices);
+
+  /* The subscribed channels by their name, eg. 'live_trades_btcusd' */
+  this.subscriptions = {};
+  this.socket = null;
+  this.closed = false;
+  this.reconnectAttempts = 0;
+  this.reconnectTimer = null;
+  this.heartbeatTimer = null;
+  this.lastMessageTime = 0;
+};
+util.inherits(MarketStream, EventEmitter);
+
+/**
+ * Subscribes to a channel of a currency pair, and connects if the stream is not connected yet.
+ *
+ * @param {string}  type            The channel type: 'trades', 'orderBook', 'diffOrderBook' or 'orders'
+ * @param {string}  baseCurrency    The base currency of the currency pair
+ * @param {string}  quoteCurrency   The quote currency of the currency pair
+ * @returns {string}                The name of the channel
+ */
+MarketStream.prototype.subscribe = function (type, baseCurrency, quoteCurrency) {
+  var subscription = constructSubscription(type, baseCurrency, quoteCurrency);
+
+  this.closed = false;
+  this.subscriptions[subscription.channel] = subscription;
+  if (!this.socket) {
+    this.connect();
+  } else {
+    this._send('bts:subscribe', subscription.channel);
+  }
+
+  return subscription.channel;
+};
+
+/**
+ * Unsubscribes from a channel of a currency pair.
+ *
+ * @param {string}  type            The channel type, see subscribe
+ * @param {string}  baseCurrency    The base currency of the currency pair
+ * @param {string}  quoteCurrency   The quote currency of the currency pair
+ */
+MarketStream.prototype.unsubscribe = function (type, baseCurrency, quoteCurrency) {
+  var channel = constructSubscription(type, baseCurrency, quoteCurrency).channel;
+
+  if (this.subscriptions[channel]) {
+    delete this.subscriptions[channel];
+    this._send('bts:unsubscribe', channel);
+  }
+};
+
+/**
+ * Opens the connection, and subscribes to all channels once it is open.
+ */
+MarketStream.prototype.connect = function () {
+  var self = this;
+  var socket = new WebSocket(self.url);
+  self.socket = socket;
+
+  socket.on('open', function () {
+    self.reconnectAttempts = 0;
+    self.lastMessageTime = Date.now();
+    _.keys(self.subscriptions).forEach(channel => self._send('bts:subscribe', channel));
+    self._startHeartbeat();
+    self.emit('open');
+  });
+
+  socket.on('message', function (message) {
+    self.lastMessageTime = Date.now();
+    self._handleMessage(message);
+  });
+
+  socket.on('error', function (err) {
+    self._emitError(err);
+  });
+
+  socket.on('close', function () {
+    /* A replaced socket may close after the new one is opened */
+    if (self.socket !== socket) {
+      return;
+    }
+
+    self.socket = null;
+    self._stopHeartbeat();
+    if (!self.closed) {
+      self._scheduleReconnect();
+    }
+  });
+};
+
+/**
+ * Closes the connection for good. Subscribing again reopens it.
+ */
+MarketStream.prototype.close = function () {
+  this.closed = true;
+  clearTimeout(this.reconnectTimer);
+  this._stopHeartbeat();
+
+  if (this.socket) {
+    var socket = this.socket;
+    this.socket = null;
+    socket.close();
+  }
+  this.emit('close');
+};
+
+/**
+ * Sends an event of a channel, if the connection is open. Subscriptions are sent when the connection opens otherwise.
+ *
+ * @param {string}  event
+ * @param {string}  channel
+ */
+MarketStream.prototype._send = function (event, channel) {
+  if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+    this.socket.send(JSON.stringify({event: event, data: {channel: channel}}));
+  }
+};
+
+/**
+ * Parses a message from Bitstamp, and emits the data of the channel in the format of the module.
+ *
+ * @param {string}  message The raw message
+ */
+MarketStream.prototype._handleMessage = function (message) {
+  var data;
+  try {
+    data = JSON.parse(message);
+  } catch (e) {
+    return this._emitError(constructError('Could not parse the message from the WebSocket API.',
+      errorCodes.MODULE_ERROR, e));
+  }
+
+  if (data.event === 'bts:request_reconnect') {
+    /* Bitstamp asks clients to reconnect before maintenance; closing the socket makes the stream reconnect */
+    return this.socket && this.socket.close();
+  }
+  if (data.event === 'bts:subscription_succeeded') {
+    return this.emit('subscribed', data.channel);
+  }
+  if (data.event === 'bts:error') {
+    return this._emitError(constructError('The WebSocket API returned an error.', errorCodes.MODULE_ERROR,
+      new Error(JSON.stringify(data.data))));
+  }
+
+  var subscription = this.subscriptions[data.channel];
+  if (!subscription) {
+    return;
+  }
+  var baseCurrency = subscription.baseCurrency;
+  var quoteCurrency = subscription.quoteCurrency;
+
+  switch (subscription.type) {
+    case 'trades':
+      if (data.event === 'trade') {
+        this.emit('trade', MarketData.constructTrade(data.data, baseCurrency, quoteCurrency, this.exactPrices));
+      }
+      break;
+    case 'orderBook':
+    case 'diffOrderBook':
+      if (data.event === 'data') {
+        this.emit(subscription.type === 'orderBook' ? 'orderBook' : 'orderBookDiff',
+          MarketData.constructOrderBook(data.data, baseCurrency, quoteCurrency, this.exactPrices));
+      }
+      break;
+    case 'orders':
+      if (ORDER_EVENTS[data.event]) {
+        var order = MarketData.constructOrder(data.data, baseCurrency, quoteCurrency, this.exactPrices);
+        this.emit('order', _.extend({event: ORDER_EVENTS[data.event]}, order));
+      }
+      break;
+  }
+};
+
+/**
+ * Sends heartbeats, and replaces the connection when nothing was received for longer than the heartbeat timeout.
+ */
+MarketStream.prototype._startHeartbeat = function () {
+  var self = this;
+
+  self._stopHeartbeat();
+  self.heartbeatTimer = setInterval(function () {
+    if (Date.now() - self.lastMessageTime > self.heartbeatTimeout) {
+      /* Terminating closes the socket right away, which makes the stream reconnect */
+      return self.socket && self.socket.terminate();
+    }
+
+    if (self.socket && self.socket.readyState === WebSocket.OPEN) {
+      self.socket.send(JSON.stringify({event: 'bts:heartbeat'}));
+    }
+  }, self.heartbeatInterval);
+};
+
+MarketStream.prototype._stopHeartbeat = function () {
+  clearInterval(this.heartbeatTimer);
+  this.heartbeatTimer = null;
+};
+
+/**
+ * Reconnects after a delay that doubles with every failed attempt, up to the maximum delay.
+ */
+MarketStream.prototype._scheduleReconnect = function () {
+  var self = this;
+  var delay = Math.min(self.maxReconnectDelay, self.minReconnectDelay * Math.pow(2, self.reconnectAttempts));
+
+  self.reconnectAttempts += 1;
+  self.emit('reconnecting', {attempt: self.reconnectAttempts, delay: delay});
+  self.reconnectTimer = setTimeout(function () {
+    self.reconnectTimer = null;
+    if (!self.closed) {
+      self.connect();
+    }
+  }, delay);
+};
+
+/**
+ * Emits an error, if anyone listens for errors. The stream recovers from errors by itself, so they are informational.
+ *
+ * @param {Error}   err
+ */
+MarketStream.prototype._emitError = function (err) {
+  if (this.listenerCount('error') > 0) {
+    this.emit('error', err);
+  }
+};
+
+/**
+ * Looks up the channel of a channel type and currency pair.
+ *
+ * @param {string}  type
+ * @param {string}  baseCurrency
+ * @param {string}  quoteCurrency
+ * @returns {object}    The subscription, with the channel name, type and currencies
+ */
+function constructSubscription(type, baseCurrency, quoteCurrency) {
+  baseCurrency = (baseCurrency || '').toUpperCase();
+  quoteCurrency = (quoteCurrency || '').toUpperCase();
+
+  var pair = _.findKey(constants.CURRENCY_PAIRS, {baseCurrency: baseCurrency, quoteCurrency: quoteCurrency});
+  if (!pair) {
+    throw constructError('Bitstamp does not support the ' + baseCurrency + '/' + quoteCurrency + ' currency pair.',
+      errorCodes.MODULE_ERROR);
+  }
+  if (!constants.STREAM_CHANNELS[type]) {
+    throw constructError('The channel type must be either \'trades\', \'orderBook\', \'diffOrderBook\' or \'orders\'.',
+      errorCodes.MODULE_ERROR);
+  }
+
+  return {
+    channel: constants.STREAM_CHANNELS[type] + '_' + pair,
+    type: type,
+    baseCurrency: baseCurrency,
+    quoteCurrency: quoteCurrency
+  };
+}
+
+module.exports = MarketStream;
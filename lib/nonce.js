@@ -0,0 +1,124 @@
+var fs = require('fs');
+
+/* The last nonce handed out by a MonotonicNonceProvider in this process, shared by all instances */
+var lastNonce = 0;
+
+/* Milliseconds to wait before trying again to acquire a lock held by another process */
+const LOCK_RETRY_INTERVAL = 5;
+
+/**
+ * Computes the next nonce: the current time in tenths of milliseconds (the scale that the module has always used, so
+ * that nonces keep growing for existing API keys), or one more than the previous nonce if that is higher.
+ *
+ * @param {int}     previousNonce   The last nonce handed out
+ * @returns {int}
+ */
+function nextNonce(previousNonce) {
+  return Math.max(new Date().getTime()*10, previousNonce + 1);
+}
+
+/**
+ * Hands out strictly increasing nonces within the process, also when requests are made in the same millisecond or
+ * from several Bitstamp instances sharing one API key.
+ *
+ * Nonce providers have a single method, `next(callback)`, which returns the next nonce to the callback. Any object
+ * with that method can be passed as the `nonceProvider` setting, eg. one that increments a counter in a shared store.
+ *
+ * @constructor
+ */
+var MonotonicNonceProvider = function () {
+};
+
+/**
+ * @param {function}    callback    Returns the next nonce
+ */
+MonotonicNonceProvider.prototype.next = function (callback) {
+  lastNonce = nextNonce(lastNonce);
+  return callback(null, lastNonce);
+};
+
+/**
+ * Hands out strictly increasing nonces to all processes that use the same file, eg. several workers on one host
+ * sharing an API key. The last nonce is kept in the file, which is guarded by a lock file next to it.
+ *
+ * @param {string}  path                        The path of the file holding the last nonce
+ * @param {object}  [options]
+ * @param {int}     [options.lockTimeout]       Milliseconds to wait for the lock before giving up
+ * @param {int}     [options.staleLockTimeout]  Milliseconds after which a lock is considered left behind by a crashed
+ *                                              process, and removed
+ * @constructor
+ */
+var FileNonceProvider = function (path, options) {
+  options = options || {};
+
+  this.path = path;
+  this.lockPath = path + '.lock';
+  this.lockTimeout = options.lockTimeout || 5000;
+  this.staleLockTimeout = options.staleLockTimeout || 10000;
+};
+
+/**
+ * @param {function}    callback    Returns the next nonce
+ */
+FileNonceProvider.prototype.next = function (callback) {
+  var self = this;
+
+  self._lock(Date.now(), function (err) {
+    if (err) {
+      return callback(err);
+    }
+
+    var release = function (err, nonce) {
+      fs.unlink(self.lockPath, function () {
+        return err ? callback(err) : callback(null, nonce);
+      });
+    };
+
+    fs.readFile(self.path, 'utf8', function (err, content) {
+      if (err && err.code !== 'ENOENT') {
+        return release(err);
+      }
+
+      var nonce = nextNonce(parseInt(content, 10) || 0);
+      fs.writeFile(self.path, String(nonce), function (err) {
+        return release(err, nonce);
+      });
+    });
+  });
+};
+
+/**
+ * Acquires the lock by exclusively creating the lock file, retrying until it succeeds or times out.
+ *
+ * @param {int}         startTime   The time (in milliseconds) of the first attempt
+ * @param {function}    callback
+ */
+FileNonceProvider.prototype._lock = function (startTime, callback) {
+  var self = this;
+
+  fs.open(self.lockPath, 'wx', function (err, fd) {
+    if (!err) {
+      return fs.close(fd, callback);
+    }
+    if (err.code !== 'EEXIST') {
+      return callback(err);
+    }
+    if (Date.now() - startTime > self.lockTimeout) {
+      return callback(new Error('Timed out waiting for the nonce lock file ' + self.lockPath));
+    }
+
+    fs.stat(self.lockPath, function (statErr, stats) {
+      var retry = () => setTimeout(() => self._lock(startTime, callback), LOCK_RETRY_INTERVAL);
+
+      if (!statErr && Date.now() - stats.mtime.getTime() > self.staleLockTimeout) {
+        return fs.unlink(self.lockPath, retry);
+      }
+      return retry();
+    });
+  });
+};
+
+module.exports = {
+  MonotonicNonceProvider: MonotonicNonceProvider,
+  FileNonceProvider: FileNonceProvider
+};
@@ -0,0 +1,347 @@
+var EventEmitter = require('events').EventEmitter,
+  util = require('util'),
+  Currency = require('./currency.js'),
+  OrderBookAnalytics = require('./order_book_analytics.js'),
+  constants = require('./constants.js');
+
+/**
+ * A local copy of the order book of a currency pair, which is kept current with the `diffOrderBook` channel of a market
+ * stream instead of fetching the whole order book again.
+ *
+ * The order book is seeded from getOrderBook once the diff channel is subscribed, and the diffs received while fetching
+ * it are applied on top of it if they are not older than the fetched order book. Diffs hold the new amount of every
+ * changed level, so a diff that is older than the last applied one is dropped. Since the WebSocket API has no sequence
+ * numbers, missed diffs are detected by their effect: the order book is fetched again whenever the stream reconnects,
+ * or when the best bid reaches the best ask, which cannot happen on Bitstamp.
+ *
+ * Events:
+ *  - 'synced':     The order book was fetched and is current
+ *  - 'update':     A diff was applied, with the diff in the format of getOrderBook
+ *  - 'resync':     The order book is out of date and is fetched again, with the reason
+ *  - 'error':      Fetching the order book failed, and is retried after the resync delay. Only emitted if there is a
+ *                  listener for it
+ *
+ * @param {Bitstamp}        bitstamp                    Bitstamp module object, used to fetch the order book
+ * @param {string}          baseCurrency                The base currency of the currency pair
+ * @param {string}          quoteCurrency               The quote currency of the currency pair
+ * @param {object}          [options]
+ * @param {MarketStream}    [options.stream]            The stream to receive the diffs from. A new stream is created
+ *                                                      and closed with the order book otherwise
+ * @param {int}             [options.resyncDelay]       Milliseconds to wait before fetching the order book again after
+ *                                                      a failed or crossed sync
+ * @constructor
+ */
+var OrderBook = function (bitstamp, baseCurrency, quoteCurrency, options) {
+  EventEmitter.call(this);
+  options = options || {};
+
+  this.bitstamp = bitstamp;
+  this.baseCurrency = baseCurrency.toUpperCase();
+  this.quoteCurrency = quoteCurrency.toUpperCase();
+  this.ownsStream = !options.stream;
+  this.stream = options.stream || bitstamp.createMarketStream();
+  this.resyncDelay = options.resyncDelay !== undefined ? options.resyncDelay : constants.ORDER_BOOK_RESYNC_DELAY;
+
+  /* The levels by their price, keyed by the price as a number so that differently formatted exact prices match */
+  this.bids = new Map();
+  this.asks = new Map();
+  this.timestamp = null;
+  this.synced = false;
+  this.syncing = false;
+  /* Counts the syncs, so that a fetch that was overtaken by a newer sync is ignored */
+  this.syncId = 0;
+  this.bufferedDiffs = [];
+  this.channel = null;
+  this.resyncTimer = null;
+  this.streamListeners = null;
+};
+util.inherits(OrderBook, EventEmitter);
+
+/**
+ * Subscribes to the diffs of the order book, and fetches the order book once the subscription succeeded.
+ */
+OrderBook.prototype.start = function () {
+  var self = this;
+
+  self.streamListeners = {
+    orderBookDiff: function (diff) {
+      if (diff.baseCurrency === self.baseCurrency && diff.quoteCurrency === self.quoteCurrency) {
+        self._onDiff(diff);
+      }
+    },
+    subscribed: function (channel) {
+      /* The stream subscribes again after reconnecting, and diffs may have been missed in between */
+      if (channel === self.channel) {
+        self._sync();
+      }
+    },
+    reconnecting: function () {
+      self._markOutdated('reconnecting');
+    }
+  };
+  Object.keys(self.streamListeners).forEach(event => self.stream.on(event, self.streamListeners[event]));
+
+  self.channel = self.stream.subscribe('diffOrderBook', self.baseCurrency, self.quoteCurrency);
+};
+
+/**
+ * Stops following the order book, and closes the stream if the order book created it.
+ */
+OrderBook.prototype.stop = function () {
+  var self = this;
+
+  clearTimeout(self.resyncTimer);
+  self.resyncTimer = null;
+  self.syncId += 1;
+  self.synced = false;
+  self.syncing = false;
+  self.bufferedDiffs = [];
+
+  if (self.streamListeners) {
+    Object.keys(self.streamListeners).forEach(event => self.stream.removeListener(event, self.streamListeners[event]));
+    self.streamListeners = null;
+    self.stream.unsubscribe('diffOrderBook', self.baseCurrency, self.quoteCurrency);
+  }
+  if (self.ownsStream) {
+    self.stream.close();
+  }
+};
+
+/**
+ * @returns {object|null} The highest bid, as {price, baseAmount}, or null if there are no bids
+ */
+OrderBook.prototype.bestBid = function () {
+  return sortLevels(this.bids, true)[0] || null;
+};
+
+/**
+ * @returns {object|null} The lowest ask, as {price, baseAmount}, or null if there are no asks
+ */
+OrderBook.prototype.bestAsk = function () {
+  return sortLevels(this.asks, false)[0] || null;
+};
+
+/**
+ * Returns the amount that can be traded up to a price: the amount of all asks up to the price for a price at or above
+ * the best ask, and the amount of all bids down to the price for a price at or below the best bid.
+ *
+ * @param {number|string}   price
+ * @returns {int}   The amount in sub-units of the base currency, 0 if the price is between the best bid and best ask
+ */
+OrderBook.prototype.depthAt = function (price) {
+  price = Number(price);
+
+  var bestAsk = this.bestAsk();
+  var levels = [];
+  if (bestAsk && price >= Number(bestAsk.price)) {
+    levels = sortLevels(this.asks, false).filter(level => Number(level.price) <= price);
+  } else {
+    levels = sortLevels(this.bids, true).filter(level => Number(level.price) >= price);
+  }
+
+  return Currency.sumSubunits(levels.map(level => level.baseAmount));
+};
+
+/**
+ * @returns {object} The order book in the format of getOrderBook
+ */
+OrderBook.prototype.snapshot = function () {
+  return {
+    baseCurrency: this.baseCurrency,
+    quoteCurrency: this.quoteCurrency,
+    timestamp: this.timestamp,
+    bids: sortLevels(this.bids, true),
+    asks: sortLevels(this.asks, false)
+  };
+};
+
+/**
+ * Estimates how an order would be filled by the current order book, see OrderBookAnalytics.estimateFill.
+ *
+ * @param {string}  side        'buy' or 'sell'
+ * @param {int}     baseAmount  In sub-units of the base currency
+ * @returns {object}
+ */
+OrderBook.prototype.estimateFill = function (side, baseAmount) {
+  return OrderBookAnalytics.estimateFill(this.snapshot(), side, baseAmount);
+};
+
+/**
+ * Estimates the size of an order for an amount of the quote currency, see OrderBookAnalytics.amountForQuote.
+ *
+ * @param {string}  side        'buy' or 'sell'
+ * @param {int}     quoteAmount In sub-units of the quote currency
+ * @returns {object}
+ */
+OrderBook.prototype.amountForQuote = function (side, quoteAmount) {
+  return OrderBookAnalytics.amountForQuote(this.snapshot(), side, quoteAmount);
+};
+
+/**
+ * Sums the depth of the current order book within a percentage of the mid price, see OrderBookAnalytics.depthWithin.
+ *
+ * @param {number}  percent
+ * @returns {object}
+ */
+OrderBook.prototype.depthWithin = function (percent) {
+  return OrderBookAnalytics.depthWithin(this.snapshot(), percent);
+};
+
+/**
+ * Fetches the order book, and applies the diffs that were received meanwhile.
+ */
+OrderBook.prototype._sync = function () {
+  var self = this;
+  var syncId = ++self.syncId;
+
+  clearTimeout(self.resyncTimer);
+  self.resyncTimer = null;
+  self.synced = false;
+  self.syncing = true;
+  self.bufferedDiffs = [];
+
+  self.bitstamp.getOrderBook(self.baseCurrency, self.quoteCurrency, function (err, orderBook) {
+    if (syncId !== self.syncId) {
+      return;
+    }
+    self.syncing = false;
+
+    if (err) {
+      if (self.listenerCount('error') > 0) {
+        self.emit('error', err);
+      }
+      return self._scheduleSync();
+    }
+
+    self.bids = toLevelMap(orderBook.bids);
+    self.asks = toLevelMap(orderBook.asks);
+    self.timestamp = orderBook.timestamp;
+    self.synced = true;
+
+    var diffs = self.bufferedDiffs;
+    self.bufferedDiffs = [];
+    if (!diffs.every(diff => self._applyDiff(diff))) {
+      return;
+    }
+
+    self.emit('synced', self.snapshot());
+  });
+};
+
+/**
+ * Applies a diff once the order book is synced, or keeps it until the order book is fetched.
+ *
+ * @param {object}  diff    The diff, in the format of getOrderBook
+ */
+OrderBook.prototype._onDiff = function (diff) {
+  if (this.syncing) {
+    return this.bufferedDiffs.push(diff);
+  }
+  if (this.synced && !isOlder(diff, this.timestamp) && this._applyDiff(diff)) {
+    this.emit('update', diff);
+  }
+};
+
+/**
+ * Applies the levels of a diff, unless it is older than the order book.
+ *
+ * @param {object}  diff
+ * @returns {boolean}   False if the order book turned out to be out of date, and is fetched again
+ */
+OrderBook.prototype._applyDiff = function (diff) {
+  if (isOlder(diff, this.timestamp)) {
+    return true;
+  }
+
+  updateLevels(this.bids, diff.bids);
+  updateLevels(this.asks, diff.asks);
+  if (diff.timestamp) {
+    this.timestamp = diff.timestamp;
+  }
+
+  var bestBid = this.bestBid();
+  var bestAsk = this.bestAsk();
+  if (bestBid && bestAsk && Number(bestBid.price) >= Number(bestAsk.price)) {
+    this._markOutdated('crossed');
+    this._scheduleSync();
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Marks the order book as out of date until it is fetched again.
+ *
+ * @param {string}  reason  'reconnecting' or 'crossed'
+ */
+OrderBook.prototype._markOutdated = function (reason) {
+  if (!this.synced && !this.syncing) {
+    return;
+  }
+
+  this.syncId += 1;
+  this.synced = false;
+  this.syncing = false;
+  this.bufferedDiffs = [];
+  this.emit('resync', reason);
+};
+
+OrderBook.prototype._scheduleSync = function () {
+  var self = this;
+
+  clearTimeout(self.resyncTimer);
+  self.resyncTimer = setTimeout(function () {
+    self.resyncTimer = null;
+    self._sync();
+  }, self.resyncDelay);
+};
+
+/**
+ * @param {object}      diff
+ * @param {Date|null}   timestamp   The time of the order book
+ * @returns {boolean}   Whether the diff is older than the order book, and thus included in it already
+ */
+function isOlder(diff, timestamp) {
+  return Boolean(diff.timestamp && timestamp && diff.timestamp < timestamp);
+}
+
+/**
+ * @param {object[]}    levels  The levels of an order book, as {price, baseAmount}
+ * @returns {Map}   The amounts of the levels by their price
+ */
+function toLevelMap(levels) {
+  var map = new Map();
+  levels.forEach(level => map.set(Number(level.price), level));
+
+  return map;
+}
+
+/**
+ * Replaces the amounts of the changed levels, and removes the levels that have no amount left.
+ *
+ * @param {Map}         map
+ * @param {object[]}    levels  The changed levels
+ */
+function updateLevels(map, levels) {
+  (levels || []).forEach(function (level) {
+    if (level.baseAmount == 0) {
+      map.delete(Number(level.price));
+    } else {
+      map.set(Number(level.price), level);
+    }
+  });
+}
+
+/**
+ * @param {Map}     map
+ * @param {boolean} descending  Whether to sort the highest price first, as for bids
+ * @returns {object[]}  The levels sorted by price
+ */
+function sortLevels(map, descending) {
+  var levels = Array.from(map.values(), level => ({price: level.price, baseAmount: level.baseAmount}));
+
+  return levels.sort((a, b) => descending ? Number(b.price) - Number(a.price) : Number(a.price) - Number(b.price));
+}
+
+module.exports = OrderBook;
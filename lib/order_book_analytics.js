@@ -0,0 +1,213 @@
+var Currency = require('./currency.js'),
+  errorCodes = require('./error_codes.js'),
+  constructError = require('./errors.js').constructError,
+  constants = require('./constants.js');
+
+/*
+ * The extra decimals of the sub-units of the quote currency with which the total price is summed, so that it is only
+ * rounded once, and the average price is exact for small orders as well
+ */
+const NOTIONAL_DECIMALS = 10;
+
+/**
+ * Estimates how an order of a given size would be filled by walking the order book: a buy order takes the asks from
+ * the lowest price up, and a sell order takes the bids from the highest price down.
+ *
+ * @param {object}  orderBook   An order book in the format of getOrderBook
+ * @param {string}  side        'buy' or 'sell'
+ * @param {int}     baseAmount  The size of the order, in sub-units of the base currency
+ * @returns {object}
+ *          {
+ *            baseAmount: 50000000,     // The amount that the order book can fill, in sub-units of the base currency
+ *            quoteAmount: 22534,       // The total price, in sub-units of the quote currency
+ *            averagePrice: 450.688103261, // Null if nothing can be filled
+ *            worstPrice: 451,          // The price of the last level that is taken, null if nothing can be filled
+ *            midPrice: 450.48,         // Halfway between the best bid and ask, null if a side of the book is empty
+ *            slippagePercent: 0.0462,  // How much worse the average price is than the mid price, in percent
+ *            complete: true            // Whether the order book is deep enough to fill the whole amount
+ *          }
+ */
+function estimateFill(orderBook, side, baseAmount) {
+  var levels = getLevels(orderBook, side);
+  var remaining = toUnits(baseAmount);
+  var scale = BigInt(10) ** BigInt(NOTIONAL_DECIMALS);
+  var filled = BigInt(0);
+  var notional = BigInt(0);
+  var worstPrice = null;
+
+  levels.every(function (level) {
+    if (remaining <= BigInt(0)) {
+      return false;
+    }
+
+    var amount = BigInt(level.baseAmount) < remaining ? BigInt(level.baseAmount) : remaining;
+    filled += amount;
+    remaining -= amount;
+    notional += BigInt(Currency.multiplyByPrice(amount * scale, orderBook.baseCurrency, level.price,
+      orderBook.quoteCurrency));
+    worstPrice = level.price;
+    return true;
+  });
+
+  var averagePrice = filled > BigInt(0) ? getAveragePrice(orderBook, filled, notional) : null;
+  var midPrice = getMidPrice(orderBook);
+  var slippagePercent = null;
+  if (averagePrice !== null && midPrice !== null) {
+    var difference = side === constants.TYPE_BUY_ORDER ? averagePrice - midPrice : midPrice - averagePrice;
+    slippagePercent = difference / midPrice * 100;
+  }
+
+  return {
+    baseAmount: Currency.sumSubunits([filled]),
+    quoteAmount: Currency.sumSubunits([divideRounded(notional, scale)]),
+    averagePrice: averagePrice,
+    worstPrice: worstPrice,
+    midPrice: midPrice,
+    slippagePercent: slippagePercent,
+    complete: remaining <= BigInt(0)
+  };
+}
+
+/**
+ * Estimates the size of an order for an amount of the quote currency: the amount that a buy order can buy with at most
+ * that amount, or the amount that a sell order has to sell to receive at least that amount.
+ *
+ * @param {object}  orderBook   An order book in the format of getOrderBook
+ * @param {string}  side        'buy' or 'sell'
+ * @param {int}     quoteAmount The amount in sub-units of the quote currency
+ * @returns {object}    The estimated fill of the order, see estimateFill
+ */
+function amountForQuote(orderBook, side, quoteAmount) {
+  var levels = getLevels(orderBook, side);
+  var remaining = toUnits(quoteAmount);
+  var baseAmount = BigInt(0);
+
+  levels.every(function (level) {
+    if (remaining <= BigInt(0)) {
+      return false;
+    }
+
+    var levelQuoteAmount = BigInt(Currency.multiplyByPrice(level.baseAmount, orderBook.baseCurrency, level.price,
+      orderBook.quoteCurrency));
+    if (levelQuoteAmount <= remaining) {
+      baseAmount += BigInt(level.baseAmount);
+      remaining -= levelQuoteAmount;
+      return true;
+    }
+
+    /* A buy order must not spend more than the amount, and a sell order must receive at least the amount */
+    baseAmount += BigInt(Currency.divideByPrice(remaining, orderBook.quoteCurrency, level.price,
+      orderBook.baseCurrency, side === constants.TYPE_SELL_ORDER));
+    remaining = BigInt(0);
+    return false;
+  });
+
+  var fill = estimateFill(orderBook, side, baseAmount);
+  fill.complete = remaining <= BigInt(0);
+
+  return fill;
+}
+
+/**
+ * Sums the depth of the order book within a percentage of the mid price.
+ *
+ * @param {object}  orderBook   An order book in the format of getOrderBook
+ * @param {number}  percent     The distance from the mid price, in percent, eg. 1 for the bids down to 99% of the mid
+ *                              price and the asks up to 101% of it
+ * @returns {object}
+ *          {
+ *            midPrice: 450.48,                                 // Null if a side of the book is empty
+ *            bids: {baseAmount: 33445566, quoteAmount: 15061},  // In sub-units of the base and quote currency
+ *            asks: {baseAmount: 44556677, quoteAmount: 20079}
+ *          }
+ */
+function depthWithin(orderBook, percent) {
+  var midPrice = getMidPrice(orderBook);
+  if (midPrice === null) {
+    return {midPrice: null, bids: {baseAmount: 0, quoteAmount: 0}, asks: {baseAmount: 0, quoteAmount: 0}};
+  }
+
+  var sumLevels = function (levels) {
+    return {
+      baseAmount: Currency.sumSubunits(levels.map(level => level.baseAmount)),
+      quoteAmount: Currency.sumSubunits(levels.map(level => Currency.multiplyByPrice(level.baseAmount,
+        orderBook.baseCurrency, level.price, orderBook.quoteCurrency)))
+    };
+  };
+
+  return {
+    midPrice: midPrice,
+    bids: sumLevels(orderBook.bids.filter(level => Number(level.price) >= midPrice * (1 - percent / 100))),
+    asks: sumLevels(orderBook.asks.filter(level => Number(level.price) <= midPrice * (1 + percent / 100)))
+  };
+}
+
+/**
+ * @param {int|bigint}  amount  An amount in sub-units
+ * @returns {bigint}
+ */
+function toUnits(amount) {
+  if (typeof amount !== 'bigint' && !Number.isInteger(amount)) {
+    throw constructError('The amount must be an integer number of sub-units.', errorCodes.MODULE_ERROR);
+  }
+
+  return BigInt(amount);
+}
+
+/**
+ * @param {object}  orderBook
+ * @param {string}  side
+ * @returns {object[]}  The levels that an order of the side takes, best price first
+ */
+function getLevels(orderBook, side) {
+  if (side === constants.TYPE_BUY_ORDER) {
+    return orderBook.asks.slice().sort((a, b) => Number(a.price) - Number(b.price));
+  }
+  if (side === constants.TYPE_SELL_ORDER) {
+    return orderBook.bids.slice().sort((a, b) => Number(b.price) - Number(a.price));
+  }
+
+  throw constructError('The side must be either \'buy\' or \'sell\'.', errorCodes.MODULE_ERROR);
+}
+
+/**
+ * @param {object}  orderBook
+ * @returns {number|null}   Halfway between the best bid and ask, or null if a side of the order book is empty
+ */
+function getMidPrice(orderBook) {
+  var bestBid = getLevels(orderBook, constants.TYPE_SELL_ORDER)[0];
+  var bestAsk = getLevels(orderBook, constants.TYPE_BUY_ORDER)[0];
+
+  return bestBid && bestAsk ? (Number(bestBid.price) + Number(bestAsk.price)) / 2 : null;
+}
+
+/**
+ * Divides the total price by the amount, and rounds the result to the decimals of the total price.
+ *
+ * @param {object}  orderBook
+ * @param {bigint}  baseAmount  In sub-units of the base currency
+ * @param {bigint}  notional    The total price, in sub-units of the quote currency with the notional decimals
+ * @returns {number}
+ */
+function getAveragePrice(orderBook, baseAmount, notional) {
+  var shift = Currency.getDecimals(orderBook.baseCurrency) - Currency.getDecimals(orderBook.quoteCurrency);
+  var scaledPrice = shift >= 0 ? divideRounded(notional * BigInt(10) ** BigInt(shift), baseAmount) :
+    divideRounded(notional, baseAmount * BigInt(10) ** BigInt(-shift));
+
+  return Number(scaledPrice) / Math.pow(10, NOTIONAL_DECIMALS);
+}
+
+/**
+ * @param {bigint}  dividend    A positive number
+ * @param {bigint}  divisor     A positive number
+ * @returns {bigint}    The quotient, rounded half up
+ */
+function divideRounded(dividend, divisor) {
+  return (dividend * BigInt(2) / divisor + BigInt(1)) / BigInt(2);
+}
+
+module.exports = {
+  estimateFill: estimateFill,
+  amountForQuote: amountForQuote,
+  depthWithin: depthWithin
+};
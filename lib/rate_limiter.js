@@ -0,0 +1,81 @@
+/* The rate limiters shared by the Bitstamp instances of each API key */
+var limitersByKey = {};
+
+/**
+ * A token bucket rate limiter, which runs at most `requests` tasks per `interval` milliseconds on average, and lets
+ * a full bucket of tasks run at once. Tasks that exceed the limit are queued, and run in order as tokens refill.
+ *
+ * @param {object}  options
+ * @param {int}     options.requests    The number of requests allowed per interval
+ * @param {int}     options.interval    The length of the interval, in milliseconds
+ * @constructor
+ */
+var RateLimiter = function (options) {
+  this.capacity = options.requests;
+  this.tokens = options.requests;
+  this.refillRate = options.requests / options.interval;
+  this.lastRefill = Date.now();
+  this.queue = [];
+  this.timer = null;
+};
+
+/**
+ * Returns the rate limiter of an API key, and creates it with the given options if the key has none yet. Without a
+ * key, a new rate limiter is returned.
+ *
+ * @param {string}  key         The API key
+ * @param {object}  options     See the constructor
+ * @returns {RateLimiter}
+ */
+RateLimiter.forKey = function (key, options) {
+  if (!key) {
+    return new RateLimiter(options);
+  }
+  if (!limitersByKey[key]) {
+    limitersByKey[key] = new RateLimiter(options);
+  }
+
+  return limitersByKey[key];
+};
+
+/**
+ * Runs a task as soon as the rate limit allows it.
+ *
+ * @param {function}    task    The task to run
+ */
+RateLimiter.prototype.schedule = function (task) {
+  this.queue.push(task);
+  this._drain();
+};
+
+/**
+ * @returns {int} The number of tasks waiting to run
+ */
+RateLimiter.prototype.queueDepth = function () {
+  return this.queue.length;
+};
+
+/**
+ * Runs the queued tasks that there are tokens for, and waits for the next token if tasks are left.
+ */
+RateLimiter.prototype._drain = function () {
+  var self = this;
+  var now = Date.now();
+
+  self.tokens = Math.min(self.capacity, self.tokens + (now - self.lastRefill) * self.refillRate);
+  self.lastRefill = now;
+
+  while (self.queue.length > 0 && self.tokens >= 1) {
+    self.tokens -= 1;
+    self.queue.shift()();
+  }
+
+  if (self.queue.length > 0 && !self.timer) {
+    self.timer = setTimeout(function () {
+      self.timer = null;
+      self._drain();
+    }, Math.ceil((1 - self.tokens) / self.refillRate));
+  }
+};
+
+module.exports = RateLimiter;
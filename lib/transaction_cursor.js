@@ -0,0 +1,130 @@
+var _ = require('lodash'),
+  constants = require('./constants.js');
+
+/**
+ * A resumable cursor over the rows of the Bitstamp `user_transactions` endpoint.
+ *
+ * By default the cursor walks the history from the newest transaction backwards, page by page, advancing the offset
+ * by the number of rows actually received. When new transactions arrive while paging, the older rows shift down and
+ * reappear on the next page, so rows with the id of a row from the previous page are skipped.
+ *
+ * If `sinceId` is given, the cursor instead walks forward from that transaction id, using the `since_id` parameter
+ * of Bitstamp.
+ *
+ * @param {Bitstamp}    bitstamp                    Bitstamp module object, used to make the requests
+ * @param {object}      [options]
+ * @param {Date}        [options.since]             Stop at the first transaction older than this date
+ * @param {int}         [options.sinceId]           Walk forward, starting at this transaction id
+ * @param {int}         [options.sinceTimestamp]    Only request transactions from this UNIX timestamp (seconds) onwards
+ * @param {int}         [options.limit]             Number of transactions to request per page
+ * @param {object}      [options.position]          The `position` of an earlier cursor, to resume from
+ * @constructor
+ */
+var TransactionCursor = function (bitstamp, options) {
+  options = options || {};
+
+  this.bitstamp = bitstamp;
+  this.since = options.since || null;
+  this.sinceTimestamp = options.sinceTimestamp || null;
+  this.limit = options.limit || constants.USER_TRANSACTIONS_LIMIT;
+  this.done = false;
+
+  this.position = _.defaults({}, options.position, {
+    sort: options.sinceId ? 'asc' : 'desc',
+    offset: 0,
+    lastId: options.sinceId ? options.sinceId - 1 : null,
+    lastPageIds: []
+  });
+};
+
+/**
+ * Fetches the next page of transactions.
+ *
+ * @param {function}    callback    Returns an array with the new raw transactions of the page, as returned by Bitstamp.
+ *                                  Once the end is reached, `done` is set on the cursor and an empty array is returned
+ */
+TransactionCursor.prototype.next = function (callback) {
+  var self = this;
+  var position = self.position;
+
+  if (self.done) {
+    return callback(null, []);
+  }
+
+  var params = {limit: self.limit, sort: position.sort};
+  if (position.sort === 'asc') {
+    /* Bitstamp includes the transaction with the given id itself */
+    params.since_id = position.lastId + 1;
+  } else {
+    params.offset = position.offset;
+    if (self.sinceTimestamp) {
+      params.since_timestamp = self.sinceTimestamp;
+    }
+  }
+
+  self.bitstamp._post('v2/user_transactions', params, {idempotent: true}, function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    var transactions = [];
+    _.every(res, function (tx) {
+      if (_.includes(position.lastPageIds, tx.id)) {
+        return true;
+      }
+
+      /* Transactions are sorted descending, so all the following ones are older as well */
+      if (position.sort === 'desc' && self.since && self.since > new Date(tx.datetime)) {
+        self.done = true;
+        return false;
+      }
+
+      position.lastId = tx.id;
+      transactions.push(tx);
+      return true;
+    });
+    position.lastPageIds = _.map(res, 'id');
+
+    /* A page that is not full is the last one */
+    if (res.length < self.limit) {
+      self.done = true;
+    }
+    position.offset += res.length;
+
+    return callback(null, transactions);
+  });
+};
+
+/**
+ * Makes the cursor usable with `for await`, yielding the raw transactions one by one, while only holding a single
+ * page in memory.
+ *
+ * @returns {object} An async iterator
+ */
+TransactionCursor.prototype[Symbol.asyncIterator] = function () {
+  var self = this;
+  var buffer = [];
+
+  var next = function () {
+    if (buffer.length > 0) {
+      return Promise.resolve({value: buffer.shift(), done: false});
+    }
+    if (self.done) {
+      return Promise.resolve({value: undefined, done: true});
+    }
+
+    return new Promise(function (resolve, reject) {
+      self.next(function (err, transactions) {
+        if (err) {
+          return reject(err);
+        }
+        buffer = transactions;
+        resolve(next());
+      });
+    });
+  };
+
+  return {next: next};
+};
+
+module.exports = TransactionCursor;
@@ -14,13 +14,23 @@ var getTickerResponse =
 
 var getBalanceResponse =
 {
-  btc_reserved: '6.123',
-  fee: '0.2500',
+  btc_reserved: '0.02345609',
   btc_available: '0.10000069',
-  usd_reserved: '0.0',
+  usd_reserved: '2.00',
   btc_balance: '0.12345678',
   usd_balance: '51.00',
-  usd_available: '49.00'
+  usd_available: '49.00',
+  eth_reserved: '0.00000000',
+  eth_available: '1.50000000',
+  eth_balance: '1.50000000',
+  eur_reserved: '0.00',
+  eur_available: '10.50',
+  eur_balance: '10.50',
+  btcusd_fee: '0.2500',
+  ethbtc_fee: '0.2000',
+  etheur_fee: '0.2500',
+  ethusd_fee: '0.2500',
+  eth_withdrawal_fee: '0.00100000'
 };
 
 var getOrderBookResponse =
@@ -146,6 +156,91 @@ var listTransactionsResponse =
     }
   ];
 
+/* The v2 user_transactions endpoint may send the type of the transactions as a string */
+var listTransactionsStringTypesResponse =
+  [
+    { usd: '-124.37',
+      btc: '0.04906037',
+      btc_usd: '2535.01',
+      order_id: 24870681,
+      fee: '0.14000000',
+      type: '2',
+      id: 16180467,
+      datetime: '2017-06-14 20:28:33' },
+    {
+      usd: '0.00',
+      btc: '0.10000000',
+      btc_usd: '0.00',
+      order_id: null,
+      fee: '0.00',
+      type: '0',
+      id: 10609931,
+      datetime: '2016-02-15 12:25:49'
+    },
+    {
+      usd: '0.00',
+      btc: '-13.00000000',
+      btc_usd: '0.00',
+      order_id: null,
+      fee: '0.00',
+      type: '1',
+      id: 9214142,
+      datetime: '2015-09-03 11:40:46'
+    }
+  ];
+
+var getTradeEthEurResponse =
+{
+  status: 'Finished',
+  transactions: [
+    {
+      tid: 9099301,
+      fee: '1.05',
+      price: '280.10',
+      eur: '420.15',
+      eth: '1.50000000'
+    }
+  ]
+};
+
+var listTransactionsMultiPairResponse =
+  [
+    { eur: '420.15',
+      eth: '-1.50000000',
+      eth_eur: '280.10',
+      order_id: 24890001,
+      fee: '1.05',
+      type: 2,
+      id: 16190001,
+      datetime: '2017-06-15 10:00:00' },
+    { btc: '-0.16000000',
+      ltc: '10.00000000',
+      ltc_btc: '0.01600000',
+      order_id: 24890002,
+      fee: '0.00040000',
+      type: 2,
+      id: 16190002,
+      datetime: '2017-06-15 09:00:00' },
+    {
+      eur: '2500.00',
+      btc: '0.00000000',
+      order_id: null,
+      fee: '0.00',
+      type: 0,
+      id: 16190003,
+      datetime: '2017-06-15 08:00:00'
+    },
+    {
+      xrp: '-500.00000000',
+      usd: '0.00',
+      order_id: null,
+      fee: '0.00',
+      type: 1,
+      id: 16190004,
+      datetime: '2017-06-15 07:00:00'
+    }
+  ];
+
 var placeTradeResponse =
 {
   price: '460',
@@ -155,6 +250,70 @@ var placeTradeResponse =
   datetime: '2016-02-16 14:56:00.272057'
 };
 
+var listOpenTradesResponse =
+  [
+    {
+      id: '111788524',
+      datetime: '2016-02-16 14:56:00',
+      type: '1',
+      price: '460.00',
+      amount: '0.01250000',
+      currency_pair: 'BTC/USD'
+    },
+    {
+      id: '111788525',
+      datetime: '2016-02-16 15:01:12',
+      type: '0',
+      price: '280.00',
+      amount: '2.00000000',
+      currency_pair: 'ETH/EUR'
+    },
+    {
+      id: '111788526',
+      datetime: '2016-02-16 15:03:45',
+      type: '1',
+      price: '0.25000',
+      amount: '150.0000000',
+      currency_pair: 'XLM/EUR'
+    }
+  ];
+
+var cancelTradeResponse =
+{
+  id: 111788524,
+  amount: '0.00750000',
+  price: '460.00',
+  type: 1
+};
+
+var getTradeCancelledResponse =
+{
+  status: 'Canceled',
+  transactions: [
+    {
+      tid: 9099311,
+      fee: '0.01',
+      price: '460.00',
+      usd: '2.30',
+      btc: '0.00500000'
+    }
+  ]
+};
+
+var cancelAllTradesResponse =
+{
+  success: true,
+  canceled: [
+    {id: 111788524, amount: '0.00750000', price: '460.00', type: 1, currency_pair: 'BTC/USD'},
+    {id: 111788525, amount: '2.00000000', price: '280.00', type: 0, currency_pair: 'ETH/EUR'}
+  ]
+};
+
+var orderNotFoundResponse =
+{
+  error: 'Order not found'
+};
+
 var placeBuyTradeInsufficientFundsResponse =
   {
     error: {
@@ -168,6 +327,188 @@ var placeSellTradeInsufficientFundsResponse =
       "__all__": ["You have only 0.14141414 BTC available. Check your account balance for details."]
     }
   };
+var minimumOrderSizeResponse =
+  {
+    status: 'error',
+    reason: {
+      "__all__": ["Minimum order size is 10.00 EUR."]
+    }
+  };
+
+var pricePrecisionResponse =
+  {
+    status: 'error',
+    reason: {
+      "price": ["Ensure that there are no more than 2 decimal places."]
+    }
+  };
+
+var invalidParametersResponse =
+  {
+    status: 'error',
+    reason: {
+      "amount": ["This field is required."]
+    },
+    code: 'API0002'
+  };
+
+var invalidNonceResponse =
+  {
+    status: 'error',
+    reason: 'Invalid nonce',
+    code: 'API0004'
+  };
+var withdrawCryptoResponse =
+  {
+    id: 2345678
+  };
+
+var withdrawFiatResponse =
+  {
+    withdrawal_id: 3456789
+  };
+
+var listWithdrawalRequestsResponse =
+  [
+    {
+      id: 2345679,
+      datetime: '2018-03-12 09:26:33',
+      type: 14,
+      currency: 'XRP',
+      amount: '20.00000000',
+      status: 1,
+      address: 'rDsbeomae4FXwgQTJp9Rs64Qg9vDiTCdBv'
+    },
+    {
+      id: 2345678,
+      datetime: '2018-03-12 08:12:01',
+      type: 1,
+      currency: 'BTC',
+      amount: '0.50000000',
+      status: 2,
+      address: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2',
+      transaction_id: '6b0cf4d8a3c6e31f8d1b6a0bd2f6c2f62a3a85b1e93d0e2d2e4c9f0a1b2c3d4e'
+    },
+    {
+      id: 3456789,
+      datetime: '2018-03-11 17:45:10',
+      type: 0,
+      currency: 'EUR',
+      amount: '1500.00',
+      status: 3
+    }
+  ];
+
+var withdrawalStatusResponse =
+  {
+    status: 'Finished',
+    transaction_id: '6b0cf4d8a3c6e31f8d1b6a0bd2f6c2f62a3a85b1e93d0e2d2e4c9f0a1b2c3d4e'
+  };
+var depositAddressResponse =
+  {
+    address: 'rDsbeomae4FXwgQTJp9Rs64Qg9vDiTCdBv',
+    destination_tag: 89764325
+  };
+
+var unconfirmedBtcResponse =
+{
+  deposits: [
+    {
+      amount: '0.50000000',
+      address: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2',
+      confirmations: 1
+    },
+    {
+      amount: '0.01250000',
+      address: '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy',
+      confirmations: 0
+    }
+  ]
+};
+var currenciesResponse =
+  [
+    {name: 'Bitcoin', currency: 'BTC', type: 'crypto', symbol: '\u20bf', decimals: 8, deposit: 'Enabled',
+      withdrawal: 'Enabled'},
+    {name: 'XRP', currency: 'XRP', type: 'crypto', symbol: 'XRP', decimals: 6, deposit: 'Enabled',
+      withdrawal: 'Enabled'},
+    {name: 'Stellar Lumens', currency: 'XLM', type: 'crypto', symbol: 'XLM', decimals: 7, deposit: 'Enabled',
+      withdrawal: 'Enabled'},
+    {name: 'Euro', currency: 'EUR', type: 'fiat', symbol: '\u20ac', decimals: 2, deposit: 'Enabled',
+      withdrawal: 'Enabled'}
+  ];
+
+var tradingPairsInfoResponse =
+  [
+    {name: 'BTC/USD', url_symbol: 'btcusd', base_decimals: 8, counter_decimals: 2, minimum_order: '5.0 USD',
+      trading: 'Enabled', description: 'Bitcoin / U.S. dollar'},
+    {name: 'EUR/USD', url_symbol: 'eurusd', base_decimals: 5, counter_decimals: 5, minimum_order: '5.0 USD',
+      trading: 'Enabled', description: 'Euro / U.S. dollar'},
+    {name: 'XLM/EUR', url_symbol: 'xlmeur', base_decimals: 7, counter_decimals: 5, minimum_order: '5.0 EUR',
+      trading: 'Enabled', description: 'Stellar Lumen / Euro'},
+    {name: 'ETH/USD', url_symbol: 'ethusd', base_decimals: 4, counter_decimals: 2, minimum_order: '5.0 USD',
+      trading: 'Enabled', description: 'Ether / U.S. dollar'},
+    {name: 'LTC/EUR', url_symbol: 'ltceur', base_decimals: 8, counter_decimals: 2, minimum_order: '5.0 EUR',
+      trading: 'Disabled', description: 'Litecoin / Euro'},
+    {name: 'BTC/EUR', url_symbol: 'btceur', base_decimals: 8, counter_decimals: 2, minimum_order: '5.0 EUR',
+      trading: 'Enabled', description: 'Bitcoin / Euro'},
+    {name: 'XRP/USD', url_symbol: 'xrpusd', base_decimals: 8, counter_decimals: 5, minimum_order: '5.0 USD',
+      trading: 'Enabled', description: 'XRP / U.S. dollar'}
+  ];
+
+var ohlcResponse =
+{
+  data: {
+    pair: 'BTC/USD',
+    ohlc: [
+      {high: '598.50', timestamp: '1470837600', volume: '12.34567890', low: '595.20', close: '597.30', open: '596.09'},
+      {high: '599.00', timestamp: '1470841200', volume: '0.50000000', low: '596.80', close: '598.10', open: '597.30'}
+    ]
+  }
+};
+
+var publicTransactionsResponse = [
+  {date: '1470839254', tid: '61234567', price: '596.09', type: '1', amount: '0.01250000'},
+  {date: '1470839250', tid: '61234566', price: '596.11', type: '0', amount: '1.50000000'}
+];
+
+var eurUsdResponse = {sell: '1.0983', buy: '1.1119'};
+
+var ledgerTransactionsResponse = [
+  {usd: '-124.37', btc: '0.04906037', btc_usd: '2535.01', order_id: 24870681, fee: '0.14', type: 2, id: 16180467,
+    datetime: '2017-06-14 20:28:33'},
+  {usd: '0.00', btc: '-0.50000000', eth: '0.00000000', order_id: null, fee: '0.00', type: '14', id: 16180400,
+    datetime: '2017-06-14 18:00:00'},
+  {usd: '0.00', eth: '0.01250000', order_id: null, fee: '0.00', type: 27, id: 16180300, datetime: '2017-06-13 00:00:00'},
+  {usd: '5.00', btc: '0.00000000', order_id: null, fee: '0.00', type: 32, id: 16180200, datetime: '2017-06-12 00:00:00'},
+  {usd: '0.00', eth: '-1.00000000', order_id: null, fee: '0.00', type: 26, id: 16180150, datetime: '2017-06-11 12:00:00'},
+  {eur: '0.00', xlm: '100.0000000', order_id: null, fee: '0.00', type: 99, id: 16180120, datetime: '2017-06-11 06:00:00'},
+  {usd: '0.00', btc: '-1.00000000', order_id: null, fee: '0.00050000', type: 1, id: 16180100,
+    datetime: '2017-06-11 00:00:00'},
+  {usd: '0.00', btc: '2.00000000', order_id: null, fee: '0.00', type: 0, id: 16180000, datetime: '2017-06-10 00:00:00'}
+];
+
+/* A history that adds up to reconcileBalanceResponse, except for EUR */
+var reconcileTransactionsResponse = [
+  {usd: '0.00', xlm: '100.0000000', order_id: null, fee: '0.00', type: 99, id: 5, datetime: '2017-06-15 00:00:00'},
+  {usd: '0.00', btc: '-1.00000000', order_id: null, fee: '0.00050000', type: 1, id: 4, datetime: '2017-06-14 21:00:00'},
+  {usd: '-124.37', btc: '0.04906037', btc_usd: '2535.01', order_id: 24870681, fee: '0.14', type: 2, id: 3,
+    datetime: '2017-06-14 20:28:33'},
+  {usd: '1000.00', btc: '0.00000000', order_id: null, fee: '0.00', type: 0, id: 2, datetime: '2017-06-11 00:00:00'},
+  {usd: '0.00', btc: '2.00000000', order_id: null, fee: '0.00', type: 0, id: 1, datetime: '2017-06-10 00:00:00'}
+];
+
+var reconcileBalanceResponse = {
+  btc_available: '1.00000000',
+  btc_reserved: '0.04856037',
+  btc_balance: '1.04856037',
+  usd_available: '875.49',
+  usd_reserved: '0.00',
+  usd_balance: '875.49',
+  eur_available: '10.00',
+  eur_reserved: '0.00',
+  eur_balance: '10.00',
+  btcusd_fee: '0.2500'
+};
 
 module.exports = {
   getTickerResponse: getTickerResponse,
@@ -176,7 +517,33 @@ module.exports = {
   getTradeSellResponse: getTradeSellResponse,
   getTradeBuyResponse: getTradeBuyResponse,
   listTransactionsResponse: listTransactionsResponse,
+  listTransactionsStringTypesResponse: listTransactionsStringTypesResponse,
+  getTradeEthEurResponse: getTradeEthEurResponse,
+  listTransactionsMultiPairResponse: listTransactionsMultiPairResponse,
   placeTradeResponse: placeTradeResponse,
+  listOpenTradesResponse: listOpenTradesResponse,
+  cancelTradeResponse: cancelTradeResponse,
+  getTradeCancelledResponse: getTradeCancelledResponse,
+  cancelAllTradesResponse: cancelAllTradesResponse,
+  orderNotFoundResponse: orderNotFoundResponse,
   placeBuyTradeInsufficientFundsResponse: placeBuyTradeInsufficientFundsResponse,
-  placeSellTradeInsufficientFundsResponse: placeSellTradeInsufficientFundsResponse
+  placeSellTradeInsufficientFundsResponse: placeSellTradeInsufficientFundsResponse,
+  minimumOrderSizeResponse: minimumOrderSizeResponse,
+  pricePrecisionResponse: pricePrecisionResponse,
+  invalidParametersResponse: invalidParametersResponse,
+  invalidNonceResponse: invalidNonceResponse,
+  withdrawCryptoResponse: withdrawCryptoResponse,
+  withdrawFiatResponse: withdrawFiatResponse,
+  listWithdrawalRequestsResponse: listWithdrawalRequestsResponse,
+  withdrawalStatusResponse: withdrawalStatusResponse,
+  depositAddressResponse: depositAddressResponse,
+  unconfirmedBtcResponse: unconfirmedBtcResponse,
+  tradingPairsInfoResponse: tradingPairsInfoResponse,
+  currenciesResponse: currenciesResponse,
+  ohlcResponse: ohlcResponse,
+  publicTransactionsResponse: publicTransactionsResponse,
+  eurUsdResponse: eurUsdResponse,
+  ledgerTransactionsResponse: ledgerTransactionsResponse,
+  reconcileTransactionsResponse: reconcileTransactionsResponse,
+  reconcileBalanceResponse: reconcileBalanceResponse
 };
@@ -1,9 +1,13 @@
 var sinon = require('sinon'),
+  crypto = require('crypto'),
   request = require('request'),
+  async = require('async'),
   responses = require('./../responses.js'),
   should = require('chai').should(),
   expect = require('chai').expect,
   exchange = require('../../index.js'),
+  Currency = require('../../lib/currency.js'),
+  _ = require('lodash'),
   constants = require('../../lib/constants.js'),
   errorCodes = require('../../lib/error_codes.js');
 
@@ -15,6 +19,22 @@ describe('Bitstamp Exchange Service Tests ->', function () {
     host: "http://localhost:3000"
   });
 
+  /**
+   * Fetches the trading pairs info into the cache of an instance, since orders are checked against it before they are
+   * placed.
+   */
+  function cacheTradingPairs(instance, done) {
+    sinon.stub(request, 'get').yields(null, {}, JSON.stringify(responses.tradingPairsInfoResponse));
+    instance.getTradingPairs(function (err) {
+      request.get.restore();
+      done(err);
+    });
+  }
+
+  before(function (done) {
+    cacheTradingPairs(bitstamp, done);
+  });
+
   /* =================   Testing response data consistency   ================= */
 
   describe('Get Ticker endpoint', function () {
@@ -66,6 +86,60 @@ describe('Bitstamp Exchange Service Tests ->', function () {
   });
 
   /* GET ORDER BOOK */
+  describe('Hourly ticker and conversion rate endpoints', function () {
+    afterEach(function () {
+      request.get.restore();
+    });
+
+    it('returns the hourly ticker in the format of getTicker', function (done) {
+      sinon.stub(request, 'get').yields(null, {}, JSON.stringify(responses.getTickerResponse));
+
+      bitstamp.getHourlyTicker('eth', 'eur', function (err, ticker) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(request.get.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/ticker_hour/etheur/');
+        expect(ticker).to.deep.equal({
+          baseCurrency: 'ETH',
+          quoteCurrency: 'EUR',
+          bid: 596.09,
+          ask: 596.11,
+          lastPrice: 596.09,
+          high24Hours: 597.53,
+          low24Hours: 579.43,
+          vwap24Hours: 586.35,
+          volume24Hours: 359669846615
+        });
+
+        done();
+      });
+    });
+
+    it('returns the EUR/USD conversion rates as exact decimals', function (done) {
+      sinon.stub(request, 'get').yields(null, {}, JSON.stringify(responses.eurUsdResponse));
+
+      bitstamp.getConversionRate('eur', 'usd').then(function (rate) {
+        expect(request.get.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/eur_usd/');
+        expect(rate).to.deep.equal({baseCurrency: 'EUR', quoteCurrency: 'USD', buy: '1.1119', sell: '1.0983'});
+
+        done();
+      }).catch(done);
+    });
+
+    it('rejects conversions other than EUR to USD', function (done) {
+      sinon.stub(request, 'get');
+
+      bitstamp.getConversionRate('USD', 'EUR', function (err) {
+        expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+        expect(err.message).to.equal('Bitstamp only has a conversion rate from EUR to USD.');
+        expect(request.get.called).to.equal(false);
+
+        done();
+      });
+    });
+  });
+
   describe('Get Order Book endpoint', function () {
     before(function (done) {
       sinon.stub(request, 'get').yields(null, {}, JSON.stringify(responses.getOrderBookResponse));
@@ -107,185 +181,241 @@ describe('Bitstamp Exchange Service Tests ->', function () {
     });
   });
 
-  /* GET BALANCE */
-  describe('Get Balance endpoint', function () {
-    before(function (done) {
-      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.getBalanceResponse));
-      done();
+  /* MARKET HISTORY */
+  describe('Candles and public trades endpoints', function () {
+    afterEach(function () {
+      request.get.restore();
     });
 
-    after(function (done) {
-      request.post.restore();
-      done();
+    /**
+     * Answers OHLC requests with hourly candles from the requested start, up to the given last open time.
+     */
+    function stubOhlc(lastOpenTime) {
+      sinon.stub(request, 'get', function (options, callback) {
+        var ohlc = [];
+        for (var time = options.qs.start; time <= lastOpenTime && ohlc.length < options.qs.limit; time += 3600) {
+          ohlc.push({timestamp: String(time), open: '596.09', high: '598.50', low: '595.20', close: '597.30',
+            volume: '0.01250000'});
+        }
+
+        callback(null, {}, JSON.stringify({data: {pair: 'BTC/USD', ohlc: ohlc}}));
+      });
+    }
+
+    it('returns the candles of a currency pair', function (done) {
+      sinon.stub(request, 'get').yields(null, {}, JSON.stringify(responses.ohlcResponse));
+
+      bitstamp.getCandles('BTC', 'USD', {step: 3600, start: new Date('2016-08-10T14:00:00Z'), limit: 2},
+        function (err, candles) {
+          if (err) {
+            return done(err);
+          }
+
+          expect(request.get.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/ohlc/btcusd/');
+          expect(request.get.firstCall.args[0].qs).to.deep.equal({step: 3600, start: 1470837600, limit: 2});
+          expect(candles).to.deep.equal([
+            {
+              baseCurrency: 'BTC',
+              quoteCurrency: 'USD',
+              openTime: new Date('2016-08-10T14:00:00Z'),
+              open: 596.09,
+              high: 598.5,
+              low: 595.2,
+              close: 597.3,
+              volume: 1234567890
+            },
+            {
+              baseCurrency: 'BTC',
+              quoteCurrency: 'USD',
+              openTime: new Date('2016-08-10T15:00:00Z'),
+              open: 597.3,
+              high: 599,
+              low: 596.8,
+              close: 598.1,
+              volume: 50000000
+            }
+          ]);
+
+          done();
+        });
     });
 
-    it('gets the balance of the account', function (done) {
-      bitstamp.getBalance(function (err, result) {
+    it('pages through long ranges of candles up to the end', function (done) {
+      var start = new Date('2016-01-01T00:00:00Z');
+      var end = new Date(start.getTime() + 2499 * 3600 * 1000);
+      stubOhlc(toSeconds(end) + 100 * 3600);
+
+      bitstamp.getCandles('BTC', 'USD', {start: start, end: end}).then(function (candles) {
+        expect(request.get.callCount).to.equal(3);
+        expect(request.get.secondCall.args[0].qs.start).to.equal(toSeconds(start) + 1000 * 3600);
+        expect(candles).to.have.length(2500);
+        expect(candles[0].openTime).to.deep.equal(start);
+        expect(_.last(candles).openTime).to.deep.equal(end);
+
+        done();
+      }).catch(done);
+    });
+
+    it('pages through candles until the present, or until the limit', function (done) {
+      var start = new Date('2016-01-01T00:00:00Z');
+      stubOhlc(toSeconds(start) + 1499 * 3600);
+
+      bitstamp.getCandles('BTC', 'USD', {start: start}, function (err, candles) {
         if (err) {
           return done(err);
         }
+        expect(candles).to.have.length(1500);
+        request.get.restore();
 
-        request.post.called.should.be.equal(true);
-        result.should.be.an('object');
+        stubOhlc(toSeconds(start) + 5000 * 3600);
+        bitstamp.getCandles('BTC', 'USD', {start: start, limit: 1200}, function (err, candles) {
+          if (err) {
+            return done(err);
+          }
 
-        expect(result).to.have.property('available');
-        expect(result).to.have.property('total');
-        expect(result.available.USD).to.equal(4900);
-        expect(result.available.BTC).to.equal(10000069);
+          expect(request.get.secondCall.args[0].qs.limit).to.equal(200);
+          expect(candles).to.have.length(1200);
 
-        expect(result.total.USD).to.equal(5100);
-        expect(result.total.BTC).to.equal(12345678);
+          done();
+        });
+      });
+    });
+
+    it('returns the latest candles before the end without a start', function (done) {
+      var end = new Date('2016-08-10T14:27:34Z');
+      stubOhlc(toSeconds(end));
+
+      bitstamp.getCandles('BTC', 'USD', {step: 3600, end: end, limit: 24}, function (err, candles) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(candles).to.have.length(24);
+        expect(_.last(candles).openTime).to.deep.equal(new Date('2016-08-10T14:00:00Z'));
 
         done();
       });
     });
-  });
 
-  /* GET TRADE - sell */
-  describe('Get Trade endpoint - SELL order', function () {
-    before(function (done) {
-      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.getTradeSellResponse));
-      done();
-    });
+    it('rejects unsupported steps', function (done) {
+      sinon.stub(request, 'get');
 
-    after(function (done) {
-      request.post.restore();
-      done();
+      bitstamp.getCandles('BTC', 'USD', {step: 120}, function (err) {
+        expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+        expect(request.get.called).to.equal(false);
+
+        done();
+      });
     });
 
-    var trade = {
-      raw: {
-        id: 108670705,
-        orderType: 'sell'
-      },
-      createTime: '2015-09-03 11:40:46'
-    };
-    it('gets the requested sell trade', function (done) {
-      bitstamp.getTrade(trade, function (err, result) {
+    it('returns the public trades of a currency pair', function (done) {
+      sinon.stub(request, 'get').yields(null, {}, JSON.stringify(responses.publicTransactionsResponse));
+
+      bitstamp.getPublicTrades('btc', 'eur', {time: 'day'}, function (err, trades) {
         if (err) {
           return done(err);
         }
 
-        request.post.called.should.be.equal(true);
-        result.should.be.an('object');
-
-        expect(result.id).to.be.an('undefined');
-        expect(result.externalId).to.be.a('string');
-        expect(result.externalId).to.equal(trade.raw.id.toString());
-        expect(result.type).to.equal('limit');
-        expect(result.state).to.equal('closed');
-        expect(result.baseAmount).to.equal(-2029780550);
-        expect(result.baseCurrency).to.equal('BTC');
-        expect(result.quoteAmount).to.equal(514075);
-        expect(result.quoteCurrency).to.equal('USD');
-        expect(result.feeAmount).to.equal(1928);
-        expect(result.feeCurrency).to.equal('USD');
-        // Raw ID from raw input trade should be echoed back in raw output
-        expect(result.raw.id).to.equal(trade.raw.id);
-        expect(result.raw).to.have.property('status');
-        expect(result.raw).to.have.property('transactions');
-        expect((result.raw.transactions).length).to.equal(2);
+        expect(request.get.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/transactions/btceur/');
+        expect(request.get.firstCall.args[0].qs).to.deep.equal({time: 'day'});
+        expect(_.map(trades, trade => _.omit(trade, 'raw'))).to.deep.equal([
+          {
+            externalId: '61234567',
+            type: 'sell',
+            baseCurrency: 'BTC',
+            quoteCurrency: 'EUR',
+            price: 596.09,
+            baseAmount: 1250000,
+            tradeTime: new Date('2016-08-10T14:27:34.000Z')
+          },
+          {
+            externalId: '61234566',
+            type: 'buy',
+            baseCurrency: 'BTC',
+            quoteCurrency: 'EUR',
+            price: 596.11,
+            baseAmount: 150000000,
+            tradeTime: new Date('2016-08-10T14:27:30.000Z')
+          }
+        ]);
 
         done();
       });
     });
-  });
-
-  /* GET TRADE - buy */
-  describe('Get Trade endpoint - BUY order', function () {
-    before(function (done) {
-      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.getTradeBuyResponse));
-      done();
-    });
 
-    after(function (done) {
-      request.post.restore();
-      done();
-    });
+    it('requests the trades of the last hour by default, and rejects other periods', function (done) {
+      sinon.stub(request, 'get').yields(null, {}, JSON.stringify([]));
 
-    var trade = {
-      raw: {
-        id: 108670705,
-        orderType: 'buy',
-        datetime: '2015-09-03 11:40:46'
-      }
-    };
-    it('gets the requested buy trade', function (done) {
-      bitstamp.getTrade(trade, function (err, result) {
+      bitstamp.getPublicTrades('BTC', 'USD', function (err, trades) {
         if (err) {
           return done(err);
         }
+        expect(request.get.firstCall.args[0].qs).to.deep.equal({time: 'hour'});
+        expect(trades).to.deep.equal([]);
 
-        request.post.called.should.be.equal(true);
-        result.should.be.an('object');
-
-        expect(result).to.have.property('baseAmount');
-        expect(result.externalId).to.be.a('string');
-        expect(result.externalId).to.equal(trade.raw.id.toString());
-        expect(result.baseAmount).to.equal(2029780550);
-        expect(result.quoteAmount).to.equal(-514075);
-        expect(result.feeAmount).to.equal(1928);
-        // Raw ID from raw input trade should be echoed back in raw output
-        expect(result.raw.id).to.equal(trade.raw.id);
-        expect((result.raw.transactions).length).to.equal(2);
+        bitstamp.getPublicTrades('BTC', 'USD', {time: 'week'}, function (err) {
+          expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+          expect(request.get.calledOnce).to.equal(true);
 
-        done();
+          done();
+        });
       });
     });
+
+    function toSeconds(date) {
+      return date.getTime() / 1000;
+    }
   });
 
-  /* GET TRANSACTIONS - all */
-  describe('List Transactions endpoint - ALL, with NULL argument for lastTx', function () {
-    before(function (done) {
-      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.listTransactionsResponse));
-      done();
+  /* EXACT PRICES */
+  describe('Exact prices setting', function () {
+    var bitstampExact = new exchange({
+      key: 'apikey',
+      secret: 'apisecret',
+      clientId: 'clientid',
+      host: 'http://localhost:3000',
+      exactPrices: true
     });
 
-    after(function (done) {
-      request.post.restore();
-      done();
+    afterEach(function () {
+      request.get.restore();
     });
 
-    it('gets all transactions that exist in the Bitstamp account', function (done) {
-      bitstamp.listTransactions(null, function (err, result) {
+    it('returns the prices of the ticker as the decimal strings of Bitstamp', function (done) {
+      sinon.stub(request, 'get').yields(null, {}, JSON.stringify(responses.getTickerResponse));
+
+      bitstampExact.getTicker('BTC', 'USD', function (err, ticker) {
         if (err) {
           return done(err);
         }
 
-        request.post.called.should.be.equal(true);
-        result.should.be.an('array');
+        expect(ticker.bid).to.equal(responses.getTickerResponse.bid);
+        expect(ticker.lastPrice).to.equal(responses.getTickerResponse.last);
 
-        expect(result.length).to.equal(3);
+        done();
+      });
+    });
 
-        expect(result[0].id).to.be.an('undefined');
-        expect(result[0].externalId).to.equal('10609931');
-        expect(result[0].timestamp).to.equal('2016-02-15T12:25:49.000Z');
-        expect(result[0].state).to.equal('completed');
-        expect(result[0].amount).to.equal(10000000);
-        expect(result[0].currency).to.equal('BTC');
-        expect(result[0].type).to.equal('deposit');
-        expect(result[0]).to.have.property('raw');
-        expect(result[0].createTime).to.be.an('undefined');
+    it('returns the prices of the order book as the decimal strings of Bitstamp', function (done) {
+      sinon.stub(request, 'get').yields(null, {}, JSON.stringify(responses.getOrderBookResponse));
 
-        expect(result[1].id).to.be.an('undefined');
-        expect(result[1].externalId).to.equal('9214142');
-        expect(result[1].timestamp).to.equal('2015-09-03T11:40:46.000Z');
-        expect(result[1].state).to.equal('completed');
-        expect(result[1].amount).to.equal(-1300000000);
-        expect(result[1].currency).to.equal('BTC');
-        expect(result[1].type).to.equal('withdrawal');
-        expect(result[1]).to.have.property('raw');
-        expect(result[1].createTime).to.be.an('undefined');
+      bitstampExact.getOrderBook('BTC', 'USD', function (err, orderBook) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(orderBook.bids[0].price).to.equal(responses.getOrderBookResponse.bids[0][0]);
+        expect(orderBook.asks[0].price).to.equal(responses.getOrderBookResponse.asks[0][0]);
 
         done();
       });
     });
   });
 
-  /* GET TRANSACTIONS - from lastTx given */
-  describe('List Transactions endpoint - from lastTx', function () {
+  /* GET BALANCE */
+  describe('Get Balance endpoint', function () {
     before(function (done) {
-      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.listTransactionsResponse));
+      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.getBalanceResponse));
       done();
     });
 
@@ -294,354 +424,1956 @@ describe('Bitstamp Exchange Service Tests ->', function () {
       done();
     });
 
-    var latestTransaction = {
-      raw: {
-        id: 9214142,
-        datetime: '2015-09-03 11:40:46'
-      }
-    };
-    it('gets transactions after the lastTx provided, including', function (done) {
-      bitstamp.listTransactions(latestTransaction, function (err, result) {
+    it('gets the balance of the account', function (done) {
+      bitstamp.getBalance(function (err, result) {
         if (err) {
           return done(err);
         }
 
         request.post.called.should.be.equal(true);
-        result.should.be.an('array');
-
-        expect(result.length).to.equal(2);
+        result.should.be.an('object');
 
-        expect(result[0].id).to.be.an('undefined');
-        expect(result[0].externalId).to.equal('10609931');
-        expect(result[0].timestamp).to.equal('2016-02-15T12:25:49.000Z');
-        expect(result[0].state).to.equal('completed');
-        expect(result[0].amount).to.equal(10000000);
-        expect(result[0].currency).to.equal('BTC');
-        expect(result[0].type).to.equal('deposit');
-        expect(result[0]).to.have.property('raw');
-        expect(result[0].createTime).to.be.an('undefined');
+        expect(result).to.have.property('available');
+        expect(result).to.have.property('total');
+        expect(result.available.USD).to.equal(4900);
+        expect(result.available.BTC).to.equal(10000069);
 
-        expect(result[1].id).to.be.an('undefined');
-        expect(result[1].externalId).to.equal('9214142');
-        expect(result[1].timestamp).to.equal('2015-09-03T11:40:46.000Z');
-        expect(result[1].state).to.equal('completed');
-        expect(result[1].amount).to.equal(-1300000000);
-        expect(result[1].currency).to.equal('BTC');
-        expect(result[1].type).to.equal('withdrawal');
-        expect(result[1]).to.have.property('raw');
-        expect(result[1].createTime).to.be.an('undefined');
+        expect(result.total.USD).to.equal(5100);
+        expect(result.total.BTC).to.equal(12345678);
 
         done();
       });
     });
-  });
 
-  /* GET Trades - all */
-  describe('List Trades endpoint - ALL, with NULL argument for lastTrade', function () {
-    before(function (done) {
-      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.listTransactionsResponse));
-      done();
-    });
+    it('returns the amounts of all currencies and the fees of all pairs', function (done) {
+      bitstamp.getBalance(function (err, result) {
+        if (err) {
+          return done(err);
+        }
 
-    after(function (done) {
+        expect(request.post.lastCall.args[0].url).to.equal('http://localhost:3000/api/v2/balance/');
+        expect(result.available).to.deep.equal({BTC: 10000069, USD: 4900, ETH: 150000000, EUR: 1050});
+        expect(result.reserved).to.deep.equal({BTC: 2345609, USD: 200, ETH: 0, EUR: 0});
+        expect(result.total.ETH).to.equal(150000000);
+        expect(result.fees).to.deep.equal({'BTC/USD': 0.25, 'ETH/BTC': 0.2, 'ETH/EUR': 0.25, 'ETH/USD': 0.25});
+
+        done();
+      });
+    });
+
+    describe('Currencies that the module does not know', function () {
+      var xlmBalanceResponse = {
+        xlm_available: '10.0000000', xlm_reserved: '0.0000000', xlm_balance: '10.0000000', xlmeur_fee: '0.5000',
+        eur_available: '0.00', eur_reserved: '0.00', eur_balance: '0.00'
+      };
+      var instance;
+
+      beforeEach(function () {
+        instance = new exchange({key: 'apikey', secret: 'apisecret', clientId: 'clientId', host: 'http://localhost:3000'});
+        request.post.yields(null, {}, JSON.stringify(xlmBalanceResponse));
+        sinon.stub(request, 'get').yields(null, {}, JSON.stringify(responses.currenciesResponse));
+        request.get.withArgs(sinon.match({url: 'http://localhost:3000/api/v2/trading-pairs-info/'}))
+          .yields(null, {}, JSON.stringify([]));
+      });
+
+      afterEach(function () {
+        request.post.yields(null, {}, JSON.stringify(responses.getBalanceResponse));
+        request.get.restore();
+        Currency.resetDecimals();
+      });
+
+      it('loads the decimals of the currencies once, and names the fees of their pairs', function (done) {
+        instance.getBalance(function (err, result) {
+          if (err) {
+            return done(err);
+          }
+
+          expect(request.get.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/currencies/');
+          expect(result.fees).to.deep.equal({'XLM/EUR': 0.5});
+          expect(result.total).to.have.property('XLM');
+          expect(result.total.XLM).to.equal(100000000);
+
+          instance.getBalance(function (err) {
+            expect(request.get.callCount).to.equal(2);
+            expect(request.get.secondCall.args[0].url).to.equal('http://localhost:3000/api/v2/trading-pairs-info/');
+
+            done(err);
+          });
+        });
+      });
+
+      it('returns the amounts that cannot be scaled as decimal strings', function (done) {
+        request.get.yields(null, {}, JSON.stringify([]));
+
+        instance.getBalance(function (err, result) {
+          if (err) {
+            return done(err);
+          }
+
+          expect(result.available.XLM).to.equal('10.0000000');
+          expect(result.total).to.deep.equal({XLM: '10.0000000', EUR: 0});
+
+          done();
+        });
+      });
+
+      it('returns the balance if the decimals cannot be loaded', function (done) {
+        request.get.yields(new Error('ECONNRESET'));
+
+        instance.getBalance(function (err, result) {
+          if (err) {
+            return done(err);
+          }
+
+          expect(result.total.XLM).to.equal('10.0000000');
+          expect(instance.currencyDecimalsLoaded).to.equal(false);
+
+          done();
+        });
+      });
+    });
+  });
+
+  /* LOAD CURRENCY DECIMALS */
+  describe('Load Currency Decimals endpoint', function () {
+    before(function () {
+      sinon.stub(request, 'get').yields(null, {}, JSON.stringify(responses.currenciesResponse));
+    });
+
+    after(function () {
+      request.get.restore();
+      Currency.resetDecimals();
+    });
+
+    it('registers the decimals of the currencies that the module does not know', function (done) {
+      bitstamp.loadCurrencyDecimals(function (err, decimals) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(request.get.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/currencies/');
+        expect(decimals).to.deep.equal({XLM: 7});
+        expect(Currency.getDecimals('XLM')).to.equal(7);
+        expect(Currency.getDecimals('BTC')).to.equal(8);
+
+        done();
+      });
+    });
+
+    it('seeds the decimals of the currencies that are left out from the trading pairs info', function () {
+      var instance = new exchange({host: 'http://localhost:3000'});
+      request.get.yields(null, {}, JSON.stringify([{currency: 'XRP', decimals: 6}]));
+      request.get.withArgs(sinon.match({url: 'http://localhost:3000/api/v2/trading-pairs-info/'}))
+        .yields(null, {}, JSON.stringify(responses.tradingPairsInfoResponse));
+      Currency.resetDecimals();
+
+      return instance.loadCurrencyDecimals()
+        .then(decimals => {
+          request.get.yields(null, {}, JSON.stringify(responses.currenciesResponse));
+
+          expect(decimals).to.deep.equal({XLM: 7});
+          expect(Currency.getDecimals('XLM')).to.equal(7);
+        });
+    });
+
+    it('never changes the decimals of the known currencies', function () {
+      request.get.yields(null, {}, JSON.stringify([{currency: 'XRP', decimals: 8}, {currency: 'ETH', decimals: 18}]));
+
+      return bitstamp.loadCurrencyDecimals()
+        .then(decimals => {
+          request.get.yields(null, {}, JSON.stringify(responses.currenciesResponse));
+
+          expect(decimals).to.deep.equal({});
+          expect(Currency.getDecimals('XRP')).to.equal(6);
+          expect(Currency.getDecimals('ETH')).to.equal(8);
+        });
+    });
+  });
+
+  /* TRADING PAIRS - order validation */
+  describe('Trading Pairs endpoint and order validation', function () {
+    var settings = {
+      key: 'apikey',
+      secret: 'apisecret',
+      clientId: 'clientid',
+      host: 'http://localhost:3000'
+    };
+
+    beforeEach(function () {
+      sinon.stub(request, 'get').yields(null, {}, JSON.stringify(responses.tradingPairsInfoResponse));
+      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.placeTradeResponse));
+    });
+
+    afterEach(function () {
+      request.get.restore();
       request.post.restore();
-      done();
     });
 
-    it('gets all trades that exist in the Bitstamp account', function () {
-      return bitstamp.listTrades(null)
-      .then((result) => {
-        request.post.called.should.be.equal(true);
-        result.should.be.an('array');
+    it('returns the trading pairs, and caches them', function (done) {
+      var bitstampPairs = new exchange(settings);
 
-        expect(result.length).to.equal(3);
+      bitstampPairs.getTradingPairs(function (err) {
+        if (err) {
+          return done(err);
+        }
 
-        expect(result[0]).to.deep.equal({
-          baseAmount: 4906037,
-          baseCurrency: "BTC",
-          externalId: "24870681",
-          feeAmount: 14,
-          feeCurrency: "USD",
-          quoteAmount: -12437,
-          quoteCurrency: "USD",
-          tradeTime: new Date('2017-06-14 20:28:33'),
-          raw: {
-            usd: '-124.37',
-            btc: '0.04906037',
-            btc_usd: '2535.01',
-            order_id: 24870681,
-            fee: '0.14000000',
-            type: 2,
-            id: 16180467,
-            datetime: '2017-06-14 20:28:33'
-          },
-          state: "closed",
-          type: "limit"
+        bitstampPairs.getTradingPairs(function (err, pairs) {
+          if (err) {
+            return done(err);
+          }
+
+          expect(request.get.callCount).to.equal(1);
+          expect(pairs[0]).to.deep.equal({
+            baseCurrency: 'BTC',
+            quoteCurrency: 'USD',
+            symbol: 'btcusd',
+            baseDecimals: 8,
+            counterDecimals: 2,
+            minimumOrder: {amount: 500, currency: 'USD'},
+            enabled: true,
+            description: 'Bitcoin / U.S. dollar',
+            raw: responses.tradingPairsInfoResponse[0]
+          });
+          expect(pairs[4].enabled).to.equal(false);
+
+          done();
         });
+      });
+    });
 
-        expect(result[1]).to.deep.equal({
-          baseAmount: 9790521,
-          baseCurrency: "BTC",
-          externalId: "24882718",
-          feeAmount: 28,
-          feeCurrency: "USD",
-          quoteAmount: -24926,
-          quoteCurrency: "USD",
-          tradeTime: new Date('2016-06-14 20:46:46'),
-          raw: {
-            btc: "0.09790521",
-            btc_usd: "2545.96",
-            datetime: "2016-06-14 20:46:46",
-            fee: "0.28000000",
-            id: 16181386,
-            order_id: 24882718,
-            type: 2,
-            usd: "-249.26",
-          },
-          state: "closed",
-          type: "limit"
+    it('does not check orders with the validateOrders setting turned off', function (done) {
+      new exchange(_.extend({validateOrders: false}, settings)).placeTrade(10000, 460.123, 'BTC', 'USD', function (err) {
+        expect(err).to.equal(null);
+        expect(request.get.called).to.equal(false);
+
+        done();
+      });
+    });
+
+    it('rejects base amounts with more decimals than the pair allows', function (done) {
+      new exchange(settings).placeTrade(123456789, 460, 'ETH', 'USD', function (err) {
+        expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+        expect(err.message).to.equal('The base amount has more than the 4 decimals that the ETH/USD currency pair ' +
+          'allows.');
+        expect(request.post.called).to.equal(false);
+
+        done();
+      });
+    });
+
+    it('rejects prices with more decimals than the pair allows', function (done) {
+      new exchange(settings).placeTrade(1250000, 460.123, 'BTC', 'USD',
+        function (err) {
+          expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+          expect(err.message).to.equal('The limit price has more than the 2 decimals that the BTC/USD currency pair ' +
+            'allows.');
+          expect(request.post.called).to.equal(false);
+
+          done();
         });
+    });
 
-        expect(result[2]).to.deep.equal({
-          baseAmount: 2174610,
-          baseCurrency: "BTC",
-          externalId: "24880122",
-          feeAmount: 7,
-          feeCurrency: "USD",
-          quoteAmount: -5521,
-          quoteCurrency: "USD",
-          tradeTime: new Date('2016-06-14 20:42:58'),
-          raw: {
-            btc: "0.02174610",
-            btc_usd: "2538.97",
-            datetime: "2016-06-14 20:42:58",
-            fee: "0.07000000",
-            id: 16181233,
-            order_id: 24880122,
-            type: 2,
-            usd: "-55.21",
-          },
-          state: "closed",
-          type: "limit"
+    it('rejects orders below the minimum order size', function (done) {
+      new exchange(settings).placeTrade(10000, 460, 'BTC', 'USD', function (err) {
+        expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+        expect(err.message).to.equal('The value of the order is below the minimum order size of 5.00 USD of the ' +
+          'BTC/USD currency pair.');
+        expect(err.details).to.deep.equal({minimum: {amount: 500, currency: 'USD'}});
+        expect(request.post.called).to.equal(false);
+
+        done();
+      });
+    });
+
+    it('computes the value of the order exactly', function (done) {
+      /* 0.01875 BTC at 266.40 USD is exactly 4.995 USD, which is 4.994999999999999 in floating point */
+      new exchange(settings).placeTrade(1875000, 266.4, 'BTC', 'USD', function (err) {
+        expect(err).to.equal(null);
+        expect(request.post.called).to.equal(true);
+
+        done();
+      });
+    });
+
+    it('rejects orders in disabled pairs', function (done) {
+      new exchange(settings).placeTrade(100000000, 100, 'LTC', 'EUR', function (err) {
+        expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+        expect(err.message).to.equal('Trading in the LTC/EUR currency pair is disabled on Bitstamp.');
+
+        done();
+      });
+    });
+
+    it('rounds the amount and the price to the decimals of the pair with the roundOrders setting', function (done) {
+      new exchange(_.extend({roundOrders: true}, settings)).placeTrade(-123456789, 460.125, 'ETH', 'USD',
+        function (err, trade) {
+          if (err) {
+            return done(err);
+          }
+
+          expect(request.post.firstCall.args[0].form).to.include({amount: '1.23460000', price: 460.13});
+          expect(trade.baseAmount).to.equal(-123460000);
+          expect(trade.limitPrice).to.equal(460.13);
+
+          done();
         });
+    });
+  });
+
+  /* GET TRADE - sell */
+  describe('Get Trade endpoint - SELL order', function () {
+    before(function (done) {
+      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.getTradeSellResponse));
+      done();
+    });
+
+    after(function (done) {
+      request.post.restore();
+      done();
+    });
+
+    var trade = {
+      raw: {
+        id: 108670705,
+        orderType: 'sell'
+      },
+      createTime: '2015-09-03 11:40:46'
+    };
+    it('gets the requested sell trade', function (done) {
+      bitstamp.getTrade(trade, function (err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        request.post.called.should.be.equal(true);
+        result.should.be.an('object');
+
+        expect(result.id).to.be.an('undefined');
+        expect(result.externalId).to.be.a('string');
+        expect(result.externalId).to.equal(trade.raw.id.toString());
+        expect(result.type).to.equal('limit');
+        expect(result.state).to.equal('closed');
+        expect(result.baseAmount).to.equal(-2029780550);
+        expect(result.baseCurrency).to.equal('BTC');
+        expect(result.quoteAmount).to.equal(514075);
+        expect(result.quoteCurrency).to.equal('USD');
+        expect(result.feeAmount).to.equal(1928);
+        expect(result.feeCurrency).to.equal('USD');
+        // Raw ID from raw input trade should be echoed back in raw output
+        expect(result.raw.id).to.equal(trade.raw.id);
+        expect(result.raw).to.have.property('status');
+        expect(result.raw).to.have.property('transactions');
+        expect((result.raw.transactions).length).to.equal(2);
 
+        done();
       });
     });
   });
 
-  /* GET TRADES - from lastTrade given */
-  describe('List Trades endpoint - from lastTrade', function () {
+  /* GET TRADE - buy */
+  describe('Get Trade endpoint - BUY order', function () {
     before(function (done) {
-      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.listTransactionsResponse));
+      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.getTradeBuyResponse));
+      done();
+    });
+
+    after(function (done) {
+      request.post.restore();
       done();
     });
 
-    after(function (done) {
-      request.post.restore();
-      done();
+    var trade = {
+      raw: {
+        id: 108670705,
+        orderType: 'buy',
+        datetime: '2015-09-03 11:40:46'
+      }
+    };
+    it('gets the requested buy trade', function (done) {
+      bitstamp.getTrade(trade, function (err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        request.post.called.should.be.equal(true);
+        result.should.be.an('object');
+
+        expect(result).to.have.property('baseAmount');
+        expect(result.externalId).to.be.a('string');
+        expect(result.externalId).to.equal(trade.raw.id.toString());
+        expect(result.baseAmount).to.equal(2029780550);
+        expect(result.quoteAmount).to.equal(-514075);
+        expect(result.feeAmount).to.equal(1928);
+        // Raw ID from raw input trade should be echoed back in raw output
+        expect(result.raw.id).to.equal(trade.raw.id);
+        expect((result.raw.transactions).length).to.equal(2);
+
+        done();
+      });
+    });
+  });
+
+  /* GET TRANSACTIONS - all */
+  describe('List Transactions endpoint - ALL, with NULL argument for lastTx', function () {
+    before(function (done) {
+      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.listTransactionsResponse));
+      done();
+    });
+
+    after(function (done) {
+      request.post.restore();
+      done();
+    });
+
+    it('gets all transactions that exist in the Bitstamp account', function (done) {
+      bitstamp.listTransactions(null, function (err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        request.post.called.should.be.equal(true);
+        result.should.be.an('array');
+
+        expect(result.length).to.equal(3);
+
+        expect(result[0].id).to.be.an('undefined');
+        expect(result[0].externalId).to.equal('10609931');
+        expect(result[0].timestamp).to.equal('2016-02-15T12:25:49.000Z');
+        expect(result[0].state).to.equal('completed');
+        expect(result[0].amount).to.equal(10000000);
+        expect(result[0].currency).to.equal('BTC');
+        expect(result[0].type).to.equal('deposit');
+        expect(result[0]).to.have.property('raw');
+        expect(result[0].createTime).to.be.an('undefined');
+
+        expect(result[1].id).to.be.an('undefined');
+        expect(result[1].externalId).to.equal('9214142');
+        expect(result[1].timestamp).to.equal('2015-09-03T11:40:46.000Z');
+        expect(result[1].state).to.equal('completed');
+        expect(result[1].amount).to.equal(-1300000000);
+        expect(result[1].currency).to.equal('BTC');
+        expect(result[1].type).to.equal('withdrawal');
+        expect(result[1]).to.have.property('raw');
+        expect(result[1].createTime).to.be.an('undefined');
+
+        done();
+      });
+    });
+  });
+
+  describe('List Ledger Entries endpoint', function () {
+    afterEach(function () {
+      request.post.restore();
+    });
+
+    it('returns every transaction type with its kind, signed amounts and fee', function (done) {
+      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.ledgerTransactionsResponse));
+
+      bitstamp.listLedgerEntries(null, function (err, entries) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(request.post.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/user_transactions/');
+        expect(_.map(entries, entry => _.omit(entry, 'raw'))).to.deep.equal([
+          {externalId: '16180467', kind: 'trade', type: 2, timestamp: '2017-06-14T20:28:33.000Z', orderId: '24870681',
+            amounts: {USD: -12437, BTC: 4906037}, feeCurrency: 'USD', feeAmount: -14, account: 'main'},
+          {externalId: '16180400', kind: 'subAccountTransfer', type: 14, timestamp: '2017-06-14T18:00:00.000Z',
+            orderId: null, amounts: {BTC: -50000000}, feeCurrency: 'BTC', feeAmount: 0, account: 'main'},
+          {externalId: '16180300', kind: 'stakingReward', type: 27, timestamp: '2017-06-13T00:00:00.000Z',
+            orderId: null, amounts: {ETH: 1250000}, feeCurrency: 'ETH', feeAmount: 0, account: 'main'},
+          {externalId: '16180200', kind: 'referralReward', type: 32, timestamp: '2017-06-12T00:00:00.000Z',
+            orderId: null, amounts: {USD: 500}, feeCurrency: 'USD', feeAmount: 0, account: 'main'},
+          {externalId: '16180150', kind: 'stakingDebit', type: 26, timestamp: '2017-06-11T12:00:00.000Z',
+            orderId: null, amounts: {ETH: -100000000}, feeCurrency: 'ETH', feeAmount: 0, account: 'main'},
+          {externalId: '16180120', kind: 'other', type: 99, timestamp: '2017-06-11T06:00:00.000Z',
+            orderId: null, amounts: {}, feeCurrency: null, feeAmount: 0, account: 'main'},
+          {externalId: '16180100', kind: 'withdrawal', type: 1, timestamp: '2017-06-11T00:00:00.000Z',
+            orderId: null, amounts: {BTC: -100000000}, feeCurrency: 'BTC', feeAmount: -50000, account: 'main'},
+          {externalId: '16180000', kind: 'deposit', type: 0, timestamp: '2017-06-10T00:00:00.000Z',
+            orderId: null, amounts: {BTC: 200000000}, feeCurrency: 'BTC', feeAmount: 0, account: 'main'}
+        ]);
+
+        done();
+      });
+    });
+
+    it('includes the amounts of currencies once their decimals are known', function (done) {
+      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.ledgerTransactionsResponse));
+      Currency.addDecimals({XLM: 7});
+
+      bitstamp.listLedgerEntries(null).then(function (entries) {
+        Currency.resetDecimals();
+        expect(_.find(entries, {externalId: '16180120'}).amounts).to.deep.equal({XLM: 1000000000});
+
+        done();
+      }).catch(function (err) {
+        Currency.resetDecimals();
+        done(err);
+      });
+    });
+  });
+
+  describe('Reconcile endpoint', function () {
+    beforeEach(function () {
+      sinon.stub(request, 'post', function (options, callback) {
+        var response = _.includes(options.url, 'v2/balance') ? responses.reconcileBalanceResponse :
+          responses.reconcileTransactionsResponse;
+        callback(null, {}, JSON.stringify(response));
+      });
+    });
+
+    afterEach(function () {
+      request.post.restore();
+    });
+
+    it('compares the replayed history with the balance of each currency', function (done) {
+      bitstamp.reconcile(function (err, report) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(request.post.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/balance/');
+        expect(report.reconciled).to.equal(false);
+        expect(_.keys(report.currencies)).to.deep.equal(['BTC', 'EUR', 'USD']);
+        expect(report.account).to.equal('main');
+        expect(report.currencies.BTC).to.deep.equal({balance: 104856037, ledger: 104856037, difference: 0,
+          entries: []});
+        expect(_.omit(report.currencies.EUR, 'entries')).to.deep.equal({balance: 1000, ledger: 0, difference: 1000});
+        expect(report.currencies.EUR.entries).to.deep.equal([]);
+
+        /* The USD deposit of 1000.00, minus the 124.37 and the fee of 0.14 for the bought bitcoins */
+        expect(_.omit(report.currencies.USD, 'entries')).to.deep.equal({balance: 87549, ledger: 87549, difference: 0});
+
+        expect(report.unexplainedEntries).to.have.length(1);
+        expect(report.unexplainedEntries[0].reason).to.equal('unknownType');
+        expect(report.unexplainedEntries[0].entry.externalId).to.equal('5');
+
+        done();
+      });
+    });
+
+    it('returns the entries that moved a currency with a difference', function (done) {
+      Currency.addDecimals({XLM: 7});
+
+      bitstamp.reconcile().then(function (report) {
+        Currency.resetDecimals();
+
+        expect(report.currencies.XLM).to.deep.include({balance: 0, ledger: 1000000000, difference: -1000000000});
+        expect(_.map(report.currencies.XLM.entries, 'externalId')).to.deep.equal(['5']);
+
+        done();
+      }).catch(function (err) {
+        Currency.resetDecimals();
+        done(err);
+      });
+    });
+
+    it('does not reconcile balances that cannot be scaled', function (done) {
+      var instance = new exchange({key: 'apikey', secret: 'apisecret', clientId: 'clientId',
+        host: 'http://localhost:3000'});
+      var balanceResponse = _.extend({xlm_available: '5.0000000', xlm_reserved: '0.0000000', xlm_balance: '5.0000000'},
+        responses.reconcileBalanceResponse);
+      request.post.restore();
+      sinon.stub(request, 'post', function (options, callback) {
+        var response = _.includes(options.url, 'v2/balance') ? balanceResponse : responses.reconcileTransactionsResponse;
+        callback(null, {}, JSON.stringify(response));
+      });
+      sinon.stub(request, 'get').yields(null, {}, JSON.stringify([]));
+
+      instance.reconcile(function (err, report) {
+        request.get.restore();
+        if (err) {
+          return done(err);
+        }
+
+        expect(report.currencies.XLM).to.deep.equal({balance: '5.0000000', ledger: null, difference: null, entries: []});
+        expect(report.reconciled).to.equal(false);
+
+        done();
+      });
+    });
+  });
+
+  describe('Sub-accounts', function () {
+    var subAccount = bitstamp.forSubAccount('123456', {key: 'subkey', secret: 'subsecret', clientId: 'subclient'});
+
+    afterEach(function () {
+      request.post.restore();
+    });
+
+    it('signs the requests of a sub-account with its own credentials, and tags its balance and transactions', function (done) {
+      sinon.stub(request, 'post', function (options, callback) {
+        var response = _.includes(options.url, 'v2/balance') ? responses.getBalanceResponse :
+          responses.listTransactionsResponse;
+        callback(null, {}, JSON.stringify(response));
+      });
+
+      subAccount.getBalance(function (err, balance) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(request.post.firstCall.args[0].form.key).to.equal('subkey');
+        expect(balance.account).to.equal('123456');
+        expect(balance.total.BTC).to.equal(12345678);
+
+        async.parallel([
+          callback => subAccount.listTransactions(null, callback),
+          callback => subAccount.listTrades(null, callback),
+          callback => bitstamp.listLedgerEntries(null, callback)
+        ], function (err, results) {
+          if (err) {
+            return done(err);
+          }
+
+          expect(_.uniq(_.map(results[0], 'account'))).to.deep.equal(['123456']);
+          expect(_.uniq(_.map(results[1], 'account'))).to.deep.equal(['123456']);
+          expect(_.uniq(_.map(results[2], 'account'))).to.deep.equal(['main']);
+
+          done();
+        });
+      });
+    });
+
+    it('never uses the credentials of the main account for a sub-account', function (done) {
+      sinon.stub(request, 'post');
+
+      bitstamp.forSubAccount('654321', {}).getBalance(function (err) {
+        expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+        expect(request.post.called).to.equal(false);
+        expect(() => bitstamp.forSubAccount(null, {})).to.throw('The id of the sub-account is required.');
+
+        done();
+      });
+    });
+
+    it('transfers funds from the main account to a sub-account and back', function (done) {
+      sinon.stub(request, 'post').yields(null, {}, JSON.stringify({status: 'ok'}));
+
+      bitstamp.transferFromMain('btc', 50000000, '123456', function (err, transfer) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(request.post.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/transfer-from-main/');
+        expect(request.post.firstCall.args[0].form).to.deep.include({amount: '0.50000000', currency: 'BTC',
+          subAccount: '123456'});
+        expect(transfer).to.deep.equal({currency: 'BTC', amount: 50000000, fromAccount: 'main', toAccount: '123456',
+          raw: {status: 'ok'}});
+
+        /* With the credentials of the sub-account, Bitstamp transfers from that sub-account */
+        subAccount.transferToMain('EUR', 1050).then(function (transfer) {
+          expect(request.post.secondCall.args[0].url).to.equal('http://localhost:3000/api/v2/transfer-to-main/');
+          expect(request.post.secondCall.args[0].form.key).to.equal('subkey');
+          expect(request.post.secondCall.args[0].form.subAccount).to.be.an('undefined');
+          expect(transfer).to.deep.include({currency: 'EUR', amount: 1050, fromAccount: '123456', toAccount: 'main'});
+
+          done();
+        }).catch(done);
+      });
+    });
+
+    it('requires the sub-account and a positive amount to transfer', function (done) {
+      sinon.stub(request, 'post');
+
+      async.series([
+        callback => bitstamp.transferToMain('BTC', 100, null, err => callback(null, err)),
+        callback => bitstamp.transferFromMain('BTC', 100, null, err => callback(null, err)),
+        callback => bitstamp.transferFromMain('BTC', 0.5, '123456', err => callback(null, err))
+      ], function (err, errors) {
+        expect(_.map(errors, 'code')).to.deep.equal([errorCodes.MODULE_ERROR, errorCodes.MODULE_ERROR,
+          errorCodes.MODULE_ERROR]);
+        expect(request.post.called).to.equal(false);
+
+        done();
+      });
+    });
+  });
+
+  /* GET TRANSACTIONS - from lastTx given */
+  describe('List Transactions endpoint - from lastTx', function () {
+    before(function (done) {
+      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.listTransactionsResponse));
+      done();
+    });
+
+    after(function (done) {
+      request.post.restore();
+      done();
+    });
+
+    var latestTransaction = {
+      raw: {
+        id: 9214142,
+        datetime: '2015-09-03 11:40:46'
+      }
+    };
+    it('gets transactions after the lastTx provided, including', function (done) {
+      bitstamp.listTransactions(latestTransaction, function (err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        request.post.called.should.be.equal(true);
+        result.should.be.an('array');
+
+        expect(result.length).to.equal(2);
+
+        expect(result[0].id).to.be.an('undefined');
+        expect(result[0].externalId).to.equal('10609931');
+        expect(result[0].timestamp).to.equal('2016-02-15T12:25:49.000Z');
+        expect(result[0].state).to.equal('completed');
+        expect(result[0].amount).to.equal(10000000);
+        expect(result[0].currency).to.equal('BTC');
+        expect(result[0].type).to.equal('deposit');
+        expect(result[0]).to.have.property('raw');
+        expect(result[0].createTime).to.be.an('undefined');
+
+        expect(result[1].id).to.be.an('undefined');
+        expect(result[1].externalId).to.equal('9214142');
+        expect(result[1].timestamp).to.equal('2015-09-03T11:40:46.000Z');
+        expect(result[1].state).to.equal('completed');
+        expect(result[1].amount).to.equal(-1300000000);
+        expect(result[1].currency).to.equal('BTC');
+        expect(result[1].type).to.equal('withdrawal');
+        expect(result[1]).to.have.property('raw');
+        expect(result[1].createTime).to.be.an('undefined');
+
+        done();
+      });
+    });
+  });
+
+  /* GET Trades - all */
+  describe('List Trades endpoint - ALL, with NULL argument for lastTrade', function () {
+    before(function (done) {
+      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.listTransactionsResponse));
+      done();
+    });
+
+    after(function (done) {
+      request.post.restore();
+      done();
+    });
+
+    it('gets all trades that exist in the Bitstamp account', function () {
+      return bitstamp.listTrades(null)
+      .then((result) => {
+        request.post.called.should.be.equal(true);
+        result.should.be.an('array');
+
+        expect(result.length).to.equal(3);
+
+        expect(result[0]).to.deep.equal({
+          baseAmount: 4906037,
+          baseCurrency: "BTC",
+          externalId: "24870681",
+          feeAmount: 14,
+          feeCurrency: "USD",
+          quoteAmount: -12437,
+          quoteCurrency: "USD",
+          tradeTime: new Date('2017-06-14 20:28:33'),
+          account: 'main',
+          raw: {
+            usd: '-124.37',
+            btc: '0.04906037',
+            btc_usd: '2535.01',
+            order_id: 24870681,
+            fee: '0.14000000',
+            type: 2,
+            id: 16180467,
+            datetime: '2017-06-14 20:28:33'
+          },
+          state: "closed",
+          type: "limit"
+        });
+
+        expect(result[1]).to.deep.equal({
+          baseAmount: 9790521,
+          baseCurrency: "BTC",
+          externalId: "24882718",
+          feeAmount: 28,
+          feeCurrency: "USD",
+          quoteAmount: -24926,
+          quoteCurrency: "USD",
+          tradeTime: new Date('2016-06-14 20:46:46'),
+          account: 'main',
+          raw: {
+            btc: "0.09790521",
+            btc_usd: "2545.96",
+            datetime: "2016-06-14 20:46:46",
+            fee: "0.28000000",
+            id: 16181386,
+            order_id: 24882718,
+            type: 2,
+            usd: "-249.26",
+          },
+          state: "closed",
+          type: "limit"
+        });
+
+        expect(result[2]).to.deep.equal({
+          baseAmount: 2174610,
+          baseCurrency: "BTC",
+          externalId: "24880122",
+          feeAmount: 7,
+          feeCurrency: "USD",
+          quoteAmount: -5521,
+          quoteCurrency: "USD",
+          tradeTime: new Date('2016-06-14 20:42:58'),
+          account: 'main',
+          raw: {
+            btc: "0.02174610",
+            btc_usd: "2538.97",
+            datetime: "2016-06-14 20:42:58",
+            fee: "0.07000000",
+            id: 16181233,
+            order_id: 24880122,
+            type: 2,
+            usd: "-55.21",
+          },
+          state: "closed",
+          type: "limit"
+        });
+
+      });
+    });
+  });
+
+  /* GET TRANSACTIONS and TRADES - types sent as strings */
+  describe('List Transactions and Trades endpoints - with the types as strings', function () {
+    before(function (done) {
+      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.listTransactionsStringTypesResponse));
+      done();
+    });
+
+    after(function (done) {
+      request.post.restore();
+      done();
+    });
+
+    it('gets the deposits and withdrawals', function () {
+      return bitstamp.listTransactions(null)
+        .then(result => {
+          expect(result.map(tx => tx.externalId)).to.deep.equal(['10609931', '9214142']);
+          expect(result.map(tx => tx.type)).to.deep.equal(['deposit', 'withdrawal']);
+        });
+    });
+
+    it('gets the trades', function () {
+      return bitstamp.listTrades(null)
+        .then(result => {
+          expect(result.length).to.equal(1);
+          expect(result[0].externalId).to.equal('24870681');
+          expect(result[0].baseAmount).to.equal(4906037);
+          expect(result[0].quoteAmount).to.equal(-12437);
+        });
+    });
+  });
+
+  /* GET TRADES - from lastTrade given */
+  describe('List Trades endpoint - from lastTrade', function () {
+    before(function (done) {
+      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.listTransactionsResponse));
+      done();
+    });
+
+    after(function (done) {
+      request.post.restore();
+      done();
+    });
+
+    var latestTrade = {
+      raw: {
+        id: 9214142,
+        datetime: '2017-01-01 00:00:00'
+      }
+    };
+
+    var latestTrade2 = {
+      raw: {
+        transactions: [
+          {
+            id: 9214142,
+            datetime: '2017-01-01 00:00:00'
+          }
+        ]
+      }
+    };
+
+
+    it('gets trades after the lastTx provided, including', function () {
+      return bitstamp.listTrades(latestTrade)
+      .then(result => {
+
+        request.post.called.should.be.equal(true);
+        result.should.be.an('array');
+
+        expect(result.length).to.equal(1);
+
+
+        expect(result[0]).to.deep.equal({
+          baseAmount: 4906037,
+          baseCurrency: "BTC",
+          externalId: "24870681",
+          feeAmount: 14,
+          feeCurrency: "USD",
+          quoteAmount: -12437,
+          quoteCurrency: "USD",
+          tradeTime: new Date('2017-06-14 20:28:33'),
+          account: 'main',
+          raw: {
+            usd: '-124.37',
+            btc: '0.04906037',
+            btc_usd: '2535.01',
+            order_id: 24870681,
+            fee: '0.14000000',
+            type: 2,
+            id: 16180467,
+            datetime: '2017-06-14 20:28:33'
+          },
+          state: "closed",
+          type: "limit"
+        }
+        );
+
+      });
+    });
+
+    it('gets trades after the lastTx provided, including (handle different format of raw', function () {
+      return bitstamp.listTrades(latestTrade2)
+        .then(result => {
+
+          request.post.called.should.be.equal(true);
+          result.should.be.an('array');
+
+          expect(result.length).to.equal(1);
+
+
+          expect(result[0]).to.deep.equal({
+            baseAmount: 4906037,
+            baseCurrency: "BTC",
+            externalId: "24870681",
+            feeAmount: 14,
+            feeCurrency: "USD",
+            quoteAmount: -12437,
+            quoteCurrency: "USD",
+            tradeTime: new Date('2017-06-14 20:28:33'),
+            account: 'main',
+            raw: {
+              usd: '-124.37',
+              btc: '0.04906037',
+              btc_usd: '2535.01',
+              order_id: 24870681,
+              fee: '0.14000000',
+              type: 2,
+              id: 16180467,
+              datetime: '2017-06-14 20:28:33'
+            },
+            state: "closed",
+            type: "limit"
+          }
+          );
+
+        });
+    });
+  });
+
+  /* PLACE TRADE - sell order */
+  describe('Place Trade endpoint - sell order', function () {
+    let requestPostStub;
+
+    beforeEach(function() {
+      requestPostStub = sinon.stub(request, 'post');
+    });
+
+    afterEach(function () {
+      requestPostStub.restore();
+    });
+
+    it('places a sell trade on the exchange and returns a response object', function (done) {
+      requestPostStub.yields(null, {}, JSON.stringify(responses.placeTradeResponse));;
+
+      bitstamp.placeTrade(-1250000, 460.00, 'BTC', 'USD', function (err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        request.post.called.should.be.equal(true);
+        result.should.be.an('object');
+
+        expect(result.id).to.be.an('undefined');
+        expect(result.externalId).to.be.a('string');
+        expect(result.externalId).to.equal(responses.placeTradeResponse.id.toString());
+        expect(result.type).to.equal('limit');
+        expect(result.state).to.equal('open');
+        expect(result.baseAmount).to.equal(-1250000);
+        expect(result.baseCurrency).to.equal('BTC');
+        expect(result.quoteCurrency).to.equal('USD');
+        expect(result.limitPrice).to.equal(460);
+        expect(result).to.have.property('raw');
+        expect(result.raw.orderType).to.equal(constants.TYPE_SELL_ORDER);
+        expect(result.createTime).to.be.an('undefined');
+
+        done();
+      });
+    });
+
+    it('returns "insufficient_funds" error if trade cannot be placed due to insufficient funds', function(done) {
+      requestPostStub.yields(null, {}, JSON.stringify(responses.placeSellTradeInsufficientFundsResponse))
+
+      bitstamp.placeTrade(-1250000, 460.00, 'BTC', 'USD', function(err, result) {
+        if (!err) {
+          return done(err);
+        }
+
+        expect(result).to.equal(undefined);
+        expect(err.message).to.equal(responses.placeSellTradeInsufficientFundsResponse.error['__all__'][0]);
+        expect(err.code).to.equal(errorCodes.INSUFFICIENT_FUNDS);
+        expect(err.cause).to.equal(undefined);
+        expect(err.details).to.deep.equal({available: {amount: 14141414, currency: 'BTC'}});
+
+        done();
+
+      });
+    });
+  });
+
+  /* PLACE TRADE - sell order */
+  describe('Place Trade endpoint - buy order', function () {
+    let requestPostStub;
+
+    beforeEach(function() {
+      requestPostStub = sinon.stub(request, 'post');
+    });
+
+    afterEach(function () {
+      requestPostStub.restore();
+    });
+
+    it('places a buy trade on the exchange and returns a response object', function (done) {
+      requestPostStub.yields(null, {}, JSON.stringify(responses.placeTradeResponse))
+
+      bitstamp.placeTrade(1250000, 460.00, 'BTC', 'USD', function (err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        request.post.called.should.be.equal(true);
+        result.should.be.an('object');
+
+        expect(result.id).to.be.an('undefined');
+        expect(result.externalId).to.be.a('string');
+        expect(result.externalId).to.equal(responses.placeTradeResponse.id.toString());
+        expect(result.baseAmount).to.equal(1250000);
+        expect(result.raw.orderType).to.equal(constants.TYPE_BUY_ORDER);
+
+        done();
+      });
+    });
+
+    it('returns "insufficient_funds" error if trade cannot be placed due to insufficient funds', function(done) {
+      requestPostStub.yields(null, {}, JSON.stringify(responses.placeBuyTradeInsufficientFundsResponse))
+
+      bitstamp.placeTrade(1250000, 460.00, 'BTC', 'USD', function(err, result) {
+        if (!err) {
+          return done(err);
+        }
+
+        expect(result).to.equal(undefined);
+        expect(err.message).to.equal(responses.placeBuyTradeInsufficientFundsResponse.error['__all__'][0]);
+        expect(err.code).to.equal(errorCodes.INSUFFICIENT_FUNDS);
+        expect(err.cause).to.equal(undefined);
+        expect(err.details).to.deep.equal({
+          required: {amount: 35923, currency: 'USD'},
+          available: {amount: 12516, currency: 'USD'}
+        });
+
+        done();
+
+      });
+    });
+
+    it('returns "insufficient_funds" error for the error format of the v2 API', function(done) {
+      requestPostStub.yields(null, {}, JSON.stringify({
+        status: 'error',
+        reason: responses.placeBuyTradeInsufficientFundsResponse.error
+      }));
+
+      bitstamp.placeTrade(1250000, 460.00, 'BTC', 'USD', function(err, result) {
+        expect(result).to.equal(undefined);
+        expect(err.code).to.equal(errorCodes.INSUFFICIENT_FUNDS);
+
+        done();
+      });
+    });
+  });
+
+  /* ERRORS - known errors in the body of responses */
+  describe('Errors from the body of responses', function () {
+    let requestPostStub;
+    /* Sends the orders that break the rules of the pair to Bitstamp, to get its errors */
+    const bitstampUnchecked = new exchange({
+      key: 'apikey',
+      secret: 'apisecret',
+      clientId: 'clientId',
+      host: 'http://localhost:3000',
+      validateOrders: false
+    });
+
+    beforeEach(function() {
+      requestPostStub = sinon.stub(request, 'post');
+    });
+
+    afterEach(function () {
+      requestPostStub.restore();
+    });
+
+    it('returns "minimum_order_size" error with the minimum amount', function (done) {
+      requestPostStub.yields(null, {}, JSON.stringify(responses.minimumOrderSizeResponse));
+
+      bitstampUnchecked.placeTrade(10000, 5.00, 'BTC', 'EUR', function (err) {
+        expect(err.code).to.equal(errorCodes.MINIMUM_ORDER_SIZE);
+        expect(err.message).to.equal('Minimum order size is 10.00 EUR.');
+        expect(err.details).to.deep.equal({minimum: {amount: 1000, currency: 'EUR'}});
+
+        done();
+      });
+    });
+
+    it('returns "price_precision" error with the allowed number of decimals', function (done) {
+      requestPostStub.yields(null, {}, JSON.stringify(responses.pricePrecisionResponse));
+
+      bitstampUnchecked.placeTrade(10000, 460.123, 'BTC', 'USD', function (err) {
+        expect(err.code).to.equal(errorCodes.PRICE_PRECISION);
+        expect(err.details).to.deep.equal({decimals: 2});
+
+        done();
+      });
+    });
+
+    it('returns "invalid_parameters" error with the errors of each field and the code of Bitstamp', function (done) {
+      requestPostStub.yields(null, {}, JSON.stringify(responses.invalidParametersResponse));
+
+      bitstampUnchecked.placeTrade(10000, 460, 'BTC', 'USD', function (err) {
+        expect(err.code).to.equal(errorCodes.INVALID_PARAMETERS);
+        expect(err.message).to.contain('amount: This field is required.');
+        expect(err.details).to.deep.equal({
+          fields: {amount: ['This field is required.']},
+          exchangeCode: 'API0002'
+        });
+
+        done();
+      });
+    });
+
+    it('returns "invalid_nonce", "invalid_signature", "permission_denied" and "trading_paused" errors', function (done) {
+      const cases = [
+        [responses.invalidNonceResponse, errorCodes.INVALID_NONCE],
+        [{status: 'error', reason: 'Invalid signature'}, errorCodes.INVALID_SIGNATURE],
+        [{error: 'No permission found'}, errorCodes.PERMISSION_DENIED],
+        [{error: {'__all__': ['Trading is currently paused.']}}, errorCodes.TRADING_PAUSED]
+      ];
+
+      async.eachSeries(cases, function (testCase, next) {
+        requestPostStub.yields(null, {}, JSON.stringify(testCase[0]));
+
+        bitstamp.getBalance(function (err) {
+          expect(err.code).to.equal(testCase[1]);
+          expect(err.cause).to.equal(undefined);
+          next();
+        });
+      }, function () {
+        expect(requestPostStub.callCount).to.equal(cases.length);
+        done();
+      });
+    });
+
+    it('keeps the code of Bitstamp in the details', function (done) {
+      requestPostStub.yields(null, {}, JSON.stringify(responses.invalidNonceResponse));
+
+      bitstamp.getBalance(function (err) {
+        expect(err.details).to.deep.equal({exchangeCode: 'API0004'});
+
+        done();
+      });
+    });
+  });
+
+  /* DEPOSITS */
+  describe('Deposit endpoints', function () {
+    let requestPostStub;
+
+    beforeEach(function() {
+      requestPostStub = sinon.stub(request, 'post');
+    });
+
+    afterEach(function () {
+      requestPostStub.restore();
+    });
+
+    it('returns the deposit address of a currency, with the destination tag of XRP', function (done) {
+      requestPostStub.yields(null, {}, JSON.stringify(responses.depositAddressResponse));
+
+      bitstamp.getDepositAddress('xrp', function (err, depositAddress) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(requestPostStub.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/xrp_address/');
+        expect(depositAddress).to.deep.equal({
+          currency: 'XRP',
+          address: 'rDsbeomae4FXwgQTJp9Rs64Qg9vDiTCdBv',
+          destinationTag: '89764325',
+          raw: responses.depositAddressResponse
+        });
+
+        done();
+      });
+    });
+
+    it('returns an error for a currency that cannot be deposited to an address', function (done) {
+      bitstamp.getDepositAddress('USD', function (err) {
+        expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+        expect(requestPostStub.called).to.equal(false);
+
+        done();
+      });
+    });
+
+    it('lists the unconfirmed bitcoin deposits as pending deposits', function (done) {
+      requestPostStub.yields(null, {}, JSON.stringify(responses.unconfirmedBtcResponse));
+
+      bitstamp.listPendingDeposits(function (err, deposits) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(requestPostStub.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/btc_unconfirmed/');
+        expect(deposits).to.have.length(2);
+        expect(deposits[0]).to.deep.equal({
+          externalId: null,
+          timestamp: null,
+          state: 'pending',
+          amount: 50000000,
+          currency: 'BTC',
+          type: 'deposit',
+          address: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2',
+          confirmations: 1,
+          raw: responses.unconfirmedBtcResponse.deposits[0]
+        });
+        expect(deposits[1].amount).to.equal(1250000);
+
+        done();
+      });
+    });
+  });
+
+  /* WITHDRAWALS */
+  describe('Withdrawal endpoints', function () {
+    let requestPostStub;
+
+    beforeEach(function() {
+      requestPostStub = sinon.stub(request, 'post');
+    });
+
+    afterEach(function () {
+      requestPostStub.restore();
+    });
+
+    it('withdraws a crypto currency with a destination tag', function (done) {
+      requestPostStub.yields(null, {}, JSON.stringify(responses.withdrawCryptoResponse));
+
+      bitstamp.withdrawCrypto('XRP', 20000000, 'rDsbeomae4FXwgQTJp9Rs64Qg9vDiTCdBv', {destinationTag: '12345'},
+        function (err, withdrawal) {
+          if (err) {
+            return done(err);
+          }
+
+          expect(requestPostStub.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/xrp_withdrawal/');
+          expect(requestPostStub.firstCall.args[0].form).to.include({
+            amount: '20.000000',
+            address: 'rDsbeomae4FXwgQTJp9Rs64Qg9vDiTCdBv',
+            destination_tag: '12345'
+          });
+          expect(withdrawal).to.deep.equal({
+            externalId: '2345678',
+            state: 'pending',
+            amount: -20000000,
+            currency: 'XRP',
+            type: 'withdrawal',
+            address: 'rDsbeomae4FXwgQTJp9Rs64Qg9vDiTCdBv',
+            raw: responses.withdrawCryptoResponse
+          });
+
+          done();
+        });
+    });
+
+    it('withdraws bitcoins without retrying on transient errors', function (done) {
+      requestPostStub.yields(null, {statusCode: 502}, 'Bad Gateway');
+
+      bitstamp.withdrawBitcoin(50000000, '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2', function (err) {
+        expect(err.code).to.equal(errorCodes.EXCHANGE_SERVER_ERROR);
+        expect(requestPostStub.callCount).to.equal(1);
+        expect(requestPostStub.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/btc_withdrawal/');
+        expect(requestPostStub.firstCall.args[0].form.amount).to.equal('0.50000000');
+
+        done();
+      });
+    });
+
+    it('sends the exact amount, also for small amounts and amounts beyond the safe integers', function () {
+      requestPostStub.yields(null, {}, JSON.stringify(responses.withdrawCryptoResponse));
+
+      return bitstamp.withdrawCrypto('BTC', 10, '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2')
+        .then(() => bitstamp.withdrawCrypto('BTC', BigInt('12345678901234567891'), '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2'))
+        .then(() => {
+          expect(requestPostStub.firstCall.args[0].form.amount).to.equal('0.00000010');
+          expect(requestPostStub.secondCall.args[0].form.amount).to.equal('123456789012.34567891');
+        });
+    });
+
+    it('returns an error for a currency that cannot be withdrawn to an address', function (done) {
+      bitstamp.withdrawCrypto('EUR', 100, 'address', function (err) {
+        expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+        expect(requestPostStub.called).to.equal(false);
+
+        done();
+      });
+    });
+
+    it('withdraws fiat by SEPA transfer', function (done) {
+      requestPostStub.yields(null, {}, JSON.stringify(responses.withdrawFiatResponse));
+
+      bitstamp.withdrawFiat({
+        type: 'sepa',
+        amount: 150000,
+        currency: 'EUR',
+        name: 'John Doe',
+        iban: 'SI56191000000123438',
+        bic: 'BSLJSI2X',
+        address: 'Main Street 1',
+        postalCode: '1000',
+        city: 'Ljubljana',
+        country: 'SI'
+      }, function (err, withdrawal) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(requestPostStub.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/withdrawal/open/');
+        expect(requestPostStub.firstCall.args[0].form).to.include({
+          type: 'sepa',
+          amount: '1500.00',
+          account_currency: 'EUR',
+          postal_code: '1000'
+        });
+        expect(requestPostStub.firstCall.args[0].form).to.not.have.property('bank_name');
+        expect(withdrawal.externalId).to.equal('3456789');
+        expect(withdrawal.amount).to.equal(-150000);
+        expect(withdrawal.state).to.equal('pending');
+
+        done();
+      });
+    });
+
+    it('requires the bank details for international transfers', function (done) {
+      bitstamp.withdrawFiat({
+        type: 'international',
+        amount: 150000,
+        currency: 'USD',
+        name: 'John Doe',
+        iban: 'SI56191000000123438',
+        bic: 'BSLJSI2X',
+        address: 'Main Street 1',
+        postalCode: '1000',
+        city: 'Ljubljana',
+        country: 'SI'
+      }, function (err) {
+        expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+        expect(err.message).to.equal('The withdrawal must have a bankName.');
+        expect(requestPostStub.called).to.equal(false);
+
+        done();
+      });
+    });
+
+    it('lists the withdrawal requests with normalized states', function (done) {
+      requestPostStub.yields(null, {}, JSON.stringify(responses.listWithdrawalRequestsResponse));
+
+      bitstamp.listWithdrawalRequests({since: new Date(Date.now() - 3600 * 1000)}, function (err, withdrawals) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(requestPostStub.firstCall.args[0].form.timedelta).to.be.within(3600, 3601);
+        expect(withdrawals.map(withdrawal => withdrawal.state)).to.deep.equal(['relayed', 'completed', 'cancelled']);
+        expect(withdrawals[0]).to.include({
+          externalId: '2345679',
+          timestamp: '2018-03-12T09:26:33.000Z',
+          amount: -20000000,
+          currency: 'XRP',
+          type: 'withdrawal'
+        });
+        expect(withdrawals[2].amount).to.equal(-150000);
+
+        done();
+      });
+    });
+
+    it('returns the status of a withdrawal', function (done) {
+      requestPostStub.yields(null, {}, JSON.stringify(responses.withdrawalStatusResponse));
+
+      bitstamp.getWithdrawalStatus({externalId: '2345678'}, function (err, status) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(requestPostStub.firstCall.args[0].form.id).to.equal('2345678');
+        expect(status).to.deep.equal({
+          externalId: '2345678',
+          state: 'completed',
+          transactionId: responses.withdrawalStatusResponse.transaction_id,
+          raw: responses.withdrawalStatusResponse
+        });
+
+        done();
+      });
+    });
+  });
+
+  /* ITERATE TRANSACTIONS - paging */
+  describe('Iterate Transactions - paging through the history', function () {
+    var requestPostStub;
+    var rows = responses.listTransactionsResponse;
+
+    beforeEach(function () {
+      requestPostStub = sinon.stub(request, 'post');
+    });
+
+    afterEach(function () {
+      requestPostStub.restore();
+    });
+
+    it('advances the offset by the page size and skips rows that shifted into the next page', function (done) {
+      /* A new transaction arrives after the first page, shifting rows[1] onto the second page */
+      requestPostStub.onCall(0).yields(null, {}, JSON.stringify(rows.slice(0, 2)));
+      requestPostStub.onCall(1).yields(null, {}, JSON.stringify(rows.slice(1, 3)));
+      requestPostStub.onCall(2).yields(null, {}, JSON.stringify(rows.slice(3, 4)));
+
+      var cursor = bitstamp.iterateTransactions({limit: 2});
+      var ids = [];
+      var fetchPage = function () {
+        cursor.next(function (err, transactions) {
+          if (err) {
+            return done(err);
+          }
+          ids = ids.concat(transactions.map(tx => tx.id));
+          if (!cursor.done) {
+            return fetchPage();
+          }
+
+          expect(requestPostStub.callCount).to.equal(3);
+          expect(requestPostStub.getCall(0).args[0].form.offset).to.equal(0);
+          expect(requestPostStub.getCall(1).args[0].form.offset).to.equal(2);
+          expect(requestPostStub.getCall(2).args[0].form.offset).to.equal(4);
+          expect(ids).to.deep.equal([16180467, 16181386, 16181233, 10609931]);
+
+          done();
+        });
+      };
+      fetchPage();
+    });
+
+    it('walks forward with since_id and can be consumed as an async iterator', async function () {
+      requestPostStub.onCall(0).yields(null, {}, JSON.stringify([rows[6], rows[5]]));
+      requestPostStub.onCall(1).yields(null, {}, JSON.stringify([rows[4]]));
+
+      var ids = [];
+      var cursor = bitstamp.iterateTransactions({sinceId: 9099290, limit: 2});
+      for await (const tx of cursor) {
+        ids.push(tx.id);
+      }
+
+      expect(ids).to.deep.equal([9099290, 9214109, 9214142]);
+      expect(requestPostStub.getCall(0).args[0].form.sort).to.equal('asc');
+      expect(requestPostStub.getCall(0).args[0].form.since_id).to.equal(9099290);
+      expect(requestPostStub.getCall(1).args[0].form.since_id).to.equal(9214110);
+      expect(cursor.position.lastId).to.equal(9214142);
+    });
+  });
+
+  /* PLACE ORDER - order types */
+  describe('Place Order endpoint - order types', function () {
+    var requestPostStub;
+
+    beforeEach(function () {
+      requestPostStub = sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.placeTradeResponse));
+    });
+
+    afterEach(function () {
+      requestPostStub.restore();
+    });
+
+    it('places a market sell order', function (done) {
+      bitstamp.placeOrder({type: 'market', baseAmount: -1250000, baseCurrency: 'BTC', quoteCurrency: 'EUR'},
+        function (err, result) {
+          if (err) {
+            return done(err);
+          }
+
+          expect(requestPostStub.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/sell/market/btceur/');
+          expect(requestPostStub.firstCall.args[0].form.amount).to.equal('0.01250000');
+          expect(requestPostStub.firstCall.args[0].form.price).to.equal(undefined);
+          expect(result.type).to.equal('market');
+          expect(result.baseAmount).to.equal(-1250000);
+          expect(result.limitPrice).to.equal(undefined);
+          expect(result.raw.orderType).to.equal(constants.TYPE_SELL_ORDER);
+
+          done();
+        });
+    });
+
+    it('places an instant buy order for an amount in quote currency', function () {
+      return bitstamp.placeOrder({type: 'instant', quoteAmount: 10000, baseCurrency: 'BTC', quoteCurrency: 'USD'})
+        .then(result => {
+          expect(requestPostStub.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/buy/instant/btcusd/');
+          expect(requestPostStub.firstCall.args[0].form.amount).to.equal('100.00');
+          expect(requestPostStub.firstCall.args[0].form.amount_in_counter).to.equal(undefined);
+          expect(result.type).to.equal('instant');
+          expect(result.quoteAmount).to.equal(10000);
+          expect(result.baseAmount).to.equal(undefined);
+          expect(result.raw.orderType).to.equal(constants.TYPE_BUY_ORDER);
+        });
+    });
+
+    it('places an instant sell order for an amount in quote currency', function () {
+      return bitstamp.placeOrder({type: 'instant', quoteAmount: -10000, baseCurrency: 'BTC', quoteCurrency: 'USD'})
+        .then(() => {
+          expect(requestPostStub.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/sell/instant/btcusd/');
+          expect(requestPostStub.firstCall.args[0].form.amount_in_counter).to.equal('True');
+        });
+    });
+
+    it('places a limit order with a take profit price and time in force', function () {
+      return bitstamp.placeOrder({
+        baseAmount: 1250000,
+        limitPrice: 460,
+        takeProfitPrice: 500,
+        timeInForce: 'ioc',
+        baseCurrency: 'BTC',
+        quoteCurrency: 'USD'
+      })
+        .then(result => {
+          var form = requestPostStub.firstCall.args[0].form;
+          expect(requestPostStub.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/buy/btcusd/');
+          expect(form.price).to.equal(460);
+          expect(form.limit_price).to.equal(500);
+          expect(form.ioc_order).to.equal('True');
+          expect(result.type).to.equal('limit');
+          expect(result.limitPrice).to.equal(460);
+        });
+    });
+
+    it('returns an error about an unknown time in force', function () {
+      return bitstamp.placeOrder({baseAmount: 1250000, limitPrice: 460, timeInForce: 'gtc', baseCurrency: 'BTC',
+        quoteCurrency: 'USD'})
+        .then(() => {
+          throw new Error('Expected placeOrder to reject');
+        }, err => {
+          expect(requestPostStub.called).to.equal(false);
+          expect(err.message).to.equal('The time in force must be either \'daily\', \'ioc\' or \'fok\'.');
+          expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+        });
+    });
+
+    it('returns an error about an instant buy order with a base amount', function () {
+      return bitstamp.placeOrder({type: 'instant', baseAmount: 1250000, baseCurrency: 'BTC', quoteCurrency: 'USD'})
+        .then(() => {
+          throw new Error('Expected placeOrder to reject');
+        }, err => {
+          expect(requestPostStub.called).to.equal(false);
+          expect(err.message).to.equal('Instant buy orders must be placed with a quote amount.');
+          expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+        });
+    });
+  });
+
+  /* LIST OPEN TRADES */
+  describe('List Open Trades endpoint', function () {
+    before(function (done) {
+      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.listOpenTradesResponse));
+      done();
+    });
+
+    after(function (done) {
+      request.post.restore();
+      done();
+    });
+
+    it('lists the open trades of all currency pairs in the format of placeTrade', function (done) {
+      bitstamp.listOpenTrades(function (err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(request.post.lastCall.args[0].url).to.equal('http://localhost:3000/api/v2/open_orders/all/');
+        expect(result.length).to.equal(3);
+
+        expect(result[0].externalId).to.equal('111788524');
+        expect(result[0].type).to.equal('limit');
+        expect(result[0].state).to.equal('open');
+        expect(result[0].baseAmount).to.equal(-1250000);
+        expect(result[0].baseCurrency).to.equal('BTC');
+        expect(result[0].quoteCurrency).to.equal('USD');
+        expect(result[0].limitPrice).to.equal(460);
+        expect(result[0].raw.orderType).to.equal(constants.TYPE_SELL_ORDER);
+
+        expect(result[1].baseAmount).to.equal(200000000);
+        expect(result[1].baseCurrency).to.equal('ETH');
+        expect(result[1].quoteCurrency).to.equal('EUR');
+        expect(result[1].raw.orderType).to.equal(constants.TYPE_BUY_ORDER);
+
+        /* The decimals of XLM are unknown, so its amount cannot be scaled */
+        expect(result[2].baseAmount).to.equal(null);
+        expect(result[2].baseCurrency).to.equal('XLM');
+
+        done();
+      });
+    });
+
+    it('lists the open trades of a single currency pair', function () {
+      return bitstamp.listOpenTrades('btc', 'usd')
+        .then(() => {
+          expect(request.post.lastCall.args[0].url).to.equal('http://localhost:3000/api/v2/open_orders/btcusd/');
+        });
+    });
+  });
+
+  /* CANCEL TRADE */
+  describe('Cancel Trade endpoint', function () {
+    var requestPostStub;
+
+    beforeEach(function () {
+      requestPostStub = sinon.stub(request, 'post');
     });
 
-    var latestTrade = {
-      raw: {
-        id: 9214142,
-        datetime: '2017-01-01 00:00:00'
-      }
-    };
+    afterEach(function () {
+      requestPostStub.restore();
+    });
 
-    var latestTrade2 = {
+    var trade = {
+      externalId: '111788524',
+      baseAmount: -1250000,
+      baseCurrency: 'BTC',
+      quoteCurrency: 'USD',
       raw: {
-        transactions: [
-          {
-            id: 9214142,
-            datetime: '2017-01-01 00:00:00'
-          }
-        ]
+        id: 111788524,
+        orderType: 'sell'
       }
     };
 
+    it('cancels the trade and returns the filled portion', function (done) {
+      requestPostStub.onCall(0).yields(null, {}, JSON.stringify(responses.cancelTradeResponse));
+      requestPostStub.onCall(1).yields(null, {}, JSON.stringify(responses.getTradeCancelledResponse));
 
-    it('gets trades after the lastTx provided, including', function () {
-      return bitstamp.listTrades(latestTrade)
-      .then(result => {
-
-        request.post.called.should.be.equal(true);
-        result.should.be.an('array');
+      bitstamp.cancelTrade(trade, function (err, result) {
+        if (err) {
+          return done(err);
+        }
 
-        expect(result.length).to.equal(1);
+        expect(requestPostStub.getCall(0).args[0].url).to.equal('http://localhost:3000/api/v2/cancel_order/');
+        expect(requestPostStub.getCall(0).args[0].form.id).to.equal(111788524);
+        expect(result.externalId).to.equal('111788524');
+        expect(result.state).to.equal('cancelled');
+        expect(result.baseAmount).to.equal(-500000);
+        expect(result.quoteAmount).to.equal(230);
+        expect(result.feeAmount).to.equal(1);
 
+        done();
+      });
+    });
 
-        expect(result[0]).to.deep.equal({
-          baseAmount: 4906037,
-          baseCurrency: "BTC",
-          externalId: "24870681",
-          feeAmount: 14,
-          feeCurrency: "USD",
-          quoteAmount: -12437,
-          quoteCurrency: "USD",
-          tradeTime: new Date('2017-06-14 20:28:33'),
-          raw: {
-            usd: '-124.37',
-            btc: '0.04906037',
-            btc_usd: '2535.01',
-            order_id: 24870681,
-            fee: '0.14000000',
-            type: 2,
-            id: 16180467,
-            datetime: '2017-06-14 20:28:33'
-          },
-          state: "closed",
-          type: "limit"
-        }
-        );
+    it('checks the trade before cancelling it', function (done) {
+      bitstamp.cancelTrade({raw: {id: 1}}, function (err) {
+        expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+        expect(err.message).to.contain('raw orderType');
+        expect(requestPostStub.called).to.equal(false);
 
+        done();
       });
     });
 
-    it('gets trades after the lastTx provided, including (handle different format of raw', function () {
-      return bitstamp.listTrades(latestTrade2)
-        .then(result => {
+    it('returns the cancelled trade with unknown amounts if its status cannot be fetched', function (done) {
+      requestPostStub.onCall(0).yields(null, {}, JSON.stringify(responses.cancelTradeResponse));
+      requestPostStub.onCall(1).yields(null, {statusCode: 500}, 'Internal Server Error');
 
-          request.post.called.should.be.equal(true);
-          result.should.be.an('array');
+      bitstamp.cancelTrade(trade, function (err, result) {
+        if (err) {
+          return done(err);
+        }
 
-          expect(result.length).to.equal(1);
+        expect(result).to.deep.include({externalId: '111788524', state: 'cancelled', baseAmount: null,
+          quoteAmount: null, feeAmount: null, baseCurrency: 'BTC', quoteCurrency: 'USD'});
+        expect(result.raw).to.deep.equal(responses.cancelTradeResponse);
 
+        done();
+      });
+    });
 
-          expect(result[0]).to.deep.equal({
-            baseAmount: 4906037,
-            baseCurrency: "BTC",
-            externalId: "24870681",
-            feeAmount: 14,
-            feeCurrency: "USD",
-            quoteAmount: -12437,
-            quoteCurrency: "USD",
-            tradeTime: new Date('2017-06-14 20:28:33'),
-            raw: {
-              usd: '-124.37',
-              btc: '0.04906037',
-              btc_usd: '2535.01',
-              order_id: 24870681,
-              fee: '0.14000000',
-              type: 2,
-              id: 16180467,
-              datetime: '2017-06-14 20:28:33'
-            },
-            state: "closed",
-            type: "limit"
-          }
-          );
+    it('returns "order_not_found" error if the order does not exist', function (done) {
+      requestPostStub.yields(null, {}, JSON.stringify(responses.orderNotFoundResponse));
 
-        });
+      bitstamp.cancelTrade(trade, function (err, result) {
+        expect(result).to.equal(undefined);
+        expect(requestPostStub.calledOnce).to.equal(true);
+        expect(err.message).to.equal('Order not found');
+        expect(err.code).to.equal(errorCodes.ORDER_NOT_FOUND);
+
+        done();
+      });
     });
   });
 
-  /* PLACE TRADE - sell order */
-  describe('Place Trade endpoint - sell order', function () {
-    let requestPostStub;
+  /* CANCEL ALL TRADES */
+  describe('Cancel All Trades endpoint', function () {
+    var requestPostStub;
 
-    beforeEach(function() {
+    beforeEach(function () {
       requestPostStub = sinon.stub(request, 'post');
+      requestPostStub.onCall(0).yields(null, {}, JSON.stringify(responses.cancelAllTradesResponse));
+      requestPostStub.yields(null, {}, JSON.stringify(responses.getTradeCancelledResponse));
     });
 
     afterEach(function () {
       requestPostStub.restore();
     });
 
-    it('places a sell trade on the exchange and returns a response object', function (done) {
-      requestPostStub.yields(null, {}, JSON.stringify(responses.placeTradeResponse));;
+    it('cancels the trades of all currency pairs', function () {
+      return bitstamp.cancelAllTrades()
+        .then(result => {
+          expect(requestPostStub.getCall(0).args[0].url).to.equal('http://localhost:3000/api/v2/cancel_all_orders/');
+          expect(result.length).to.equal(2);
+
+          expect(result[0].externalId).to.equal('111788524');
+          expect(result[0].state).to.equal('cancelled');
+          expect(result[0].baseCurrency).to.equal('BTC');
+          expect(result[0].baseAmount).to.equal(-500000);
+
+          expect(result[1].externalId).to.equal('111788525');
+          expect(result[1].baseCurrency).to.equal('ETH');
+          expect(result[1].quoteCurrency).to.equal('EUR');
+          expect(result[1].raw.id).to.equal(111788525);
+        });
+    });
 
-      bitstamp.placeTrade(-1250000, 460.00, 'BTC', 'USD', function (err, result) {
+    it('returns all cancelled trades when the status of one of them cannot be fetched', function () {
+      requestPostStub.onCall(2).yields(null, {}, JSON.stringify(responses.orderNotFoundResponse));
+
+      return bitstamp.cancelAllTrades()
+        .then(result => {
+          expect(result.length).to.equal(2);
+          expect(result[0].baseAmount).to.equal(-500000);
+          expect(result[1]).to.deep.include({externalId: '111788525', state: 'cancelled', baseAmount: null,
+            baseCurrency: 'ETH', quoteCurrency: 'EUR'});
+          expect(result[1].raw.id).to.equal(111788525);
+        });
+    });
+
+    it('cancels the trades of a single currency pair', function (done) {
+      bitstamp.cancelAllTrades('BTC', 'USD', function (err) {
         if (err) {
           return done(err);
         }
 
-        request.post.called.should.be.equal(true);
-        result.should.be.an('object');
-
-        expect(result.id).to.be.an('undefined');
-        expect(result.externalId).to.be.a('string');
-        expect(result.externalId).to.equal(responses.placeTradeResponse.id.toString());
-        expect(result.type).to.equal('limit');
-        expect(result.state).to.equal('open');
-        expect(result.baseAmount).to.equal(-1250000);
-        expect(result.baseCurrency).to.equal('BTC');
-        expect(result.quoteCurrency).to.equal('USD');
-        expect(result.limitPrice).to.equal(460);
-        expect(result).to.have.property('raw');
-        expect(result.raw.orderType).to.equal(constants.TYPE_SELL_ORDER);
-        expect(result.createTime).to.be.an('undefined');
+        expect(requestPostStub.getCall(0).args[0].url).to.equal('http://localhost:3000/api/v2/cancel_all_orders/btcusd/');
 
         done();
       });
     });
+  });
 
-    it('returns "insufficient_funds" error if trade cannot be placed due to insufficient funds', function(done) {
-      requestPostStub.yields(null, {}, JSON.stringify(responses.placeSellTradeInsufficientFundsResponse))
+  /* =================   Testing currency pairs other than BTC/USD   ================= */
 
-      bitstamp.placeTrade(-1250000, 460.00, 'BTC', 'USD', function(err, result) {
-        if (!err) {
+  describe('Get Ticker endpoint - ETH/EUR', function () {
+    before(function (done) {
+      sinon.stub(request, 'get').yields(null, {}, JSON.stringify(responses.getTickerResponse));
+      done();
+    });
+
+    after(function (done) {
+      request.get.restore();
+      done();
+    });
+
+    it('requests the ticker of the currency pair', function (done) {
+      bitstamp.getTicker('eth', 'eur', function (err, ticker) {
+        if (err) {
           return done(err);
         }
 
-        expect(result).to.equal(undefined);
-        expect(err.message).to.equal(responses.placeSellTradeInsufficientFundsResponse.error['__all__'][0]);
-        expect(err.code).to.equal(errorCodes.INSUFFICIENT_FUNDS);
-        expect(err.cause).to.equal(undefined);
+        expect(request.get.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/ticker/etheur/');
+        expect(ticker.baseCurrency).to.equal('ETH');
+        expect(ticker.quoteCurrency).to.equal('EUR');
+        expect(ticker.volume24Hours).to.equal(359669846615);
 
         done();
-
       });
     });
   });
 
-  /* PLACE TRADE - sell order */
-  describe('Place Trade endpoint - buy order', function () {
-    let requestPostStub;
+  describe('Get Order Book endpoint - LTC/BTC', function () {
+    before(function (done) {
+      sinon.stub(request, 'get').yields(null, {}, JSON.stringify(responses.getOrderBookResponse));
+      done();
+    });
 
-    beforeEach(function() {
-      requestPostStub = sinon.stub(request, 'post');
+    after(function (done) {
+      request.get.restore();
+      done();
     });
 
-    afterEach(function () {
-      requestPostStub.restore();
+    it('requests the order book of the currency pair', function (done) {
+      bitstamp.getOrderBook('LTC', 'BTC', function (err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(request.get.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/order_book/ltcbtc/');
+        expect(result.baseCurrency).to.equal('LTC');
+        expect(result.quoteCurrency).to.equal('BTC');
+        expect(result.asks[0].baseAmount).to.equal(1967704402);
+
+        done();
+      });
     });
+  });
 
-    it('places a buy trade on the exchange and returns a response object', function (done) {
-      requestPostStub.yields(null, {}, JSON.stringify(responses.placeTradeResponse))
+  describe('Place Trade endpoint - XRP/USD', function () {
+    before(function (done) {
+      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.placeTradeResponse));
+      done();
+    });
 
-      bitstamp.placeTrade(1250000, 460.00, 'BTC', 'USD', function (err, result) {
+    after(function (done) {
+      request.post.restore();
+      done();
+    });
+
+    it('places the trade on the order endpoint of the currency pair', function (done) {
+      bitstamp.placeTrade(-12500000, 0.5, 'XRP', 'USD', function (err, result) {
         if (err) {
           return done(err);
         }
 
-        request.post.called.should.be.equal(true);
-        result.should.be.an('object');
-
-        expect(result.id).to.be.an('undefined');
-        expect(result.externalId).to.be.a('string');
-        expect(result.externalId).to.equal(responses.placeTradeResponse.id.toString());
-        expect(result.baseAmount).to.equal(1250000);
-        expect(result.raw.orderType).to.equal(constants.TYPE_BUY_ORDER);
+        expect(request.post.firstCall.args[0].url).to.equal('http://localhost:3000/api/v2/sell/xrpusd/');
+        expect(request.post.firstCall.args[0].form.amount).to.equal('12.500000');
+        expect(result.baseCurrency).to.equal('XRP');
+        expect(result.quoteCurrency).to.equal('USD');
+        expect(result.baseAmount).to.equal(-12500000);
 
         done();
       });
     });
+  });
 
-    it('returns "insufficient_funds" error if trade cannot be placed due to insufficient funds', function(done) {
-      requestPostStub.yields(null, {}, JSON.stringify(responses.placeBuyTradeInsufficientFundsResponse))
+  describe('Get Trade endpoint - ETH/EUR', function () {
+    before(function (done) {
+      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.getTradeEthEurResponse));
+      done();
+    });
 
-      bitstamp.placeTrade(1250000, 460.00, 'BTC', 'USD', function(err, result) {
-        if (!err) {
+    after(function (done) {
+      request.post.restore();
+      done();
+    });
+
+    var trade = {
+      baseCurrency: 'ETH',
+      quoteCurrency: 'EUR',
+      raw: {
+        id: 108670706,
+        orderType: 'buy'
+      }
+    };
+    it('reads the amounts from the fields of the currency pair', function (done) {
+      bitstamp.getTrade(trade, function (err, result) {
+        if (err) {
           return done(err);
         }
 
-        expect(result).to.equal(undefined);
-        expect(err.message).to.equal(responses.placeBuyTradeInsufficientFundsResponse.error['__all__'][0]);
-        expect(err.code).to.equal(errorCodes.INSUFFICIENT_FUNDS);
-        expect(err.cause).to.equal(undefined);
+        expect(result.baseCurrency).to.equal('ETH');
+        expect(result.quoteCurrency).to.equal('EUR');
+        expect(result.feeCurrency).to.equal('EUR');
+        expect(result.baseAmount).to.equal(150000000);
+        expect(result.quoteAmount).to.equal(-42015);
+        expect(result.feeAmount).to.equal(105);
+
+        done();
+      });
+    });
+  });
+
+  describe('List Trades endpoint - multiple currency pairs', function () {
+    before(function (done) {
+      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.listTransactionsMultiPairResponse));
+      done();
+    });
+
+    after(function (done) {
+      request.post.restore();
+      done();
+    });
+
+    it('maps each trade to its own currency pair', function () {
+      return bitstamp.listTrades(null)
+        .then(result => {
+          expect(result.length).to.equal(2);
+
+          expect(result[0].baseCurrency).to.equal('ETH');
+          expect(result[0].quoteCurrency).to.equal('EUR');
+          expect(result[0].baseAmount).to.equal(-150000000);
+          expect(result[0].quoteAmount).to.equal(42015);
+          expect(result[0].feeCurrency).to.equal('EUR');
+          expect(result[0].feeAmount).to.equal(105);
+
+          expect(result[1].baseCurrency).to.equal('LTC');
+          expect(result[1].quoteCurrency).to.equal('BTC');
+          expect(result[1].baseAmount).to.equal(1000000000);
+          expect(result[1].quoteAmount).to.equal(-16000000);
+          expect(result[1].feeAmount).to.equal(40000);
+        });
+    });
+  });
+
+  describe('List Transactions endpoint - multiple currencies', function () {
+    before(function (done) {
+      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.listTransactionsMultiPairResponse));
+      done();
+    });
+
+    after(function (done) {
+      request.post.restore();
+      done();
+    });
+
+    it('reads the amount from the field of the transferred currency', function (done) {
+      bitstamp.listTransactions(null, function (err, result) {
+        if (err) {
+          return done(err);
+        }
 
-        done();
+        expect(result.length).to.equal(2);
+        expect(result[0].currency).to.equal('EUR');
+        expect(result[0].amount).to.equal(250000);
+        expect(result[0].type).to.equal('deposit');
+        expect(result[1].currency).to.equal('XRP');
+        expect(result[1].amount).to.equal(-500000000);
+        expect(result[1].type).to.equal('withdrawal');
 
+        done();
       });
     });
   });
@@ -665,7 +2397,7 @@ describe('Bitstamp Exchange Service Tests ->', function () {
         request.get.called.should.be.equal(false);
 
         expect(result).to.equal(undefined);
-        expect(err.message).to.equal('Bitstamp only supports BTC and USD as base and quote currencies, respectively.');
+        expect(err.message).to.equal('Bitstamp does not support the BSTC/EUR currency pair.');
         expect(err.code).to.equal(errorCodes.MODULE_ERROR);
         expect(err.cause).to.equal(undefined);
 
@@ -749,7 +2481,7 @@ describe('Bitstamp Exchange Service Tests ->', function () {
       bitstamp.placeTrade(-123456, 460.84, 'bStc', 'EUR', function (err, result) {
         request.post.called.should.be.equal(false);
         expect(result).to.equal(undefined);
-        expect(err.message).to.equal('Base and Quote currencies should be BTC and USD, respectively');
+        expect(err.message).to.equal('Bitstamp does not support the BSTC/EUR currency pair.');
         expect(err.code).to.equal(errorCodes.MODULE_ERROR);
         expect(err.cause).to.equal(undefined);
 
@@ -774,13 +2506,26 @@ describe('Bitstamp Exchange Service Tests ->', function () {
       bitstamp.placeTrade(null, 460.84, 'BTC', 'USD', function (err, result) {
         request.post.called.should.be.equal(false);
         expect(result).to.equal(undefined);
-        expect(err.message).to.equal('The base amount must be a number.');
+        expect(err.message).to.equal('The base amount must be a non-zero integer number of sub-units.');
         expect(err.code).to.equal(errorCodes.MODULE_ERROR);
         expect(err.cause).to.equal(undefined);
 
         done();
       });
     });
+
+    it('rejects amounts that are not a whole number of sub-units before making a request', function (done) {
+      async.mapSeries([NaN, Infinity, 1.5], (baseAmount, callback) => {
+        bitstamp.placeOrder({type: 'limit', baseAmount: baseAmount, limitPrice: 460, baseCurrency: 'BTC',
+          quoteCurrency: 'USD'}, err => callback(null, err));
+      }, function (err, errors) {
+        expect(_.map(errors, 'code')).to.deep.equal([errorCodes.MODULE_ERROR, errorCodes.MODULE_ERROR,
+          errorCodes.MODULE_ERROR]);
+        request.post.called.should.be.equal(false);
+
+        done();
+      });
+    });
   });
 
   /* PLACE TRADE - wrong limitPrice input */
@@ -806,6 +2551,478 @@ describe('Bitstamp Exchange Service Tests ->', function () {
         done();
       });
     });
+
+    it('returns an error about a limit price of zero', function (done) {
+      bitstamp.placeTrade(-123456, 0, 'BTC', 'USD', function (err) {
+        request.post.called.should.be.equal(false);
+        expect(err.message).to.equal('The limit price must be a positive number.');
+        expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+
+        done();
+      });
+    });
+
+    it('returns an error about a take profit price of zero', function () {
+      return bitstamp.placeOrder({baseAmount: 1250000, limitPrice: 460, takeProfitPrice: 0, baseCurrency: 'BTC',
+        quoteCurrency: 'USD'})
+        .then(() => {
+          throw new Error('Expected placeOrder to reject');
+        }, err => {
+          request.post.called.should.be.equal(false);
+          expect(err.message).to.equal('The take profit price must be a positive number.');
+          expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+        });
+    });
+  });
+
+  /* =================   Testing retries   ================= */
+
+  describe('Retries of transient errors', function () {
+    var requestGetStub, requestPostStub;
+    var networkError = new Error('ETIMEDOUT');
+    var bitstampWithRetries = new exchange({
+      key: 'apikey',
+      secret: 'apisecret',
+      clientId: 'clientId',
+      host: 'http://localhost:3000',
+      retry: {retries: 2, minTimeout: 1, maxTimeout: 2}
+    });
+
+    before(function (done) {
+      cacheTradingPairs(bitstampWithRetries, done);
+    });
+
+    beforeEach(function () {
+      requestGetStub = sinon.stub(request, 'get');
+      requestPostStub = sinon.stub(request, 'post');
+    });
+
+    afterEach(function () {
+      requestGetStub.restore();
+      requestPostStub.restore();
+    });
+
+    it('retries idempotent requests on 5xx responses, timeouts and maintenance pages', function (done) {
+      requestGetStub.onCall(0).yields(null, {statusCode: 503}, 'Service Unavailable');
+      requestGetStub.onCall(1).yields(null, {statusCode: 200}, '<html>Down for maintenance</html>');
+      requestGetStub.onCall(2).yields(null, {statusCode: 200}, JSON.stringify(responses.getTickerResponse));
+
+      bitstampWithRetries.getTicker('BTC', 'USD', function (err, ticker) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(requestGetStub.callCount).to.equal(3);
+        expect(ticker.bid).to.equal(596.09);
+
+        done();
+      });
+    });
+
+    it('signs every attempt of a POST request with a new nonce', function (done) {
+      requestPostStub.onCall(0).yields(networkError);
+      requestPostStub.onCall(1).yields(null, {statusCode: 200}, JSON.stringify(responses.getBalanceResponse));
+
+      bitstampWithRetries.getBalance(function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(requestPostStub.callCount).to.equal(2);
+        expect(requestPostStub.getCall(1).args[0].form.nonce).to.be.above(requestPostStub.getCall(0).args[0].form.nonce);
+
+        done();
+      });
+    });
+
+    it('attaches the attempts to the cause of the final error', function (done) {
+      requestPostStub.yields(networkError);
+
+      bitstampWithRetries.getBalance(function (err, result) {
+        expect(result).to.equal(undefined);
+        expect(requestPostStub.callCount).to.equal(3);
+        expect(err.code).to.equal(errorCodes.EXCHANGE_SERVER_ERROR);
+        expect(err.cause.cause).to.equal(networkError);
+        expect(err.cause.attempts.length).to.equal(3);
+        expect(err.cause.attempts[0]).to.deep.equal({
+          message: 'There is an error in the response from the Bitstamp service...',
+          code: errorCodes.EXCHANGE_SERVER_ERROR,
+          cause: networkError
+        });
+
+        done();
+      });
+    });
+
+    it('does not retry errors reported by Bitstamp', function (done) {
+      requestPostStub.yields(null, {statusCode: 200}, JSON.stringify(responses.orderNotFoundResponse));
+
+      bitstampWithRetries.getTrade({raw: {id: 1, orderType: 'buy'}}, function (err) {
+        expect(requestPostStub.callCount).to.equal(1);
+        expect(err.code).to.equal(errorCodes.ORDER_NOT_FOUND);
+        expect(err.cause).to.equal(undefined);
+
+        done();
+      });
+    });
+
+    it('does not retry 4xx responses that are not JSON', function (done) {
+      requestGetStub.yields(null, {statusCode: 404}, '<html>Not Found</html>');
+
+      bitstampWithRetries.getTicker('BTC', 'USD', function (err) {
+        expect(requestGetStub.callCount).to.equal(1);
+        expect(err.code).to.equal(errorCodes.EXCHANGE_SERVER_ERROR);
+        expect(err.cause.message).to.equal('HTTP 404: <html>Not Found</html>');
+
+        done();
+      });
+    });
+
+    it('never retries placing a trade', function (done) {
+      requestPostStub.yields(networkError);
+
+      bitstampWithRetries.placeTrade(1250000, 460.00, 'BTC', 'USD', function (err) {
+        expect(requestPostStub.callCount).to.equal(1);
+        expect(err.cause).to.equal(networkError);
+
+        done();
+      });
+    });
+  });
+
+  /* =================   Testing the rate limit   ================= */
+
+  describe('Rate limit', function () {
+    var requestGetStub;
+
+    beforeEach(function () {
+      requestGetStub = sinon.stub(request, 'get');
+    });
+
+    afterEach(function () {
+      requestGetStub.restore();
+    });
+
+    it('queues requests beyond the limit, shared by instances with the same API key', function (done) {
+      var settings = {key: 'ratelimitedkey', host: 'http://localhost:3000', rateLimit: {requests: 1, interval: 20}};
+      var first = new exchange(settings);
+      var second = new exchange(settings);
+      requestGetStub.yields(null, {}, JSON.stringify(responses.getTickerResponse));
+
+      first.getTicker('BTC', 'USD', function () {});
+      second.getTicker('BTC', 'USD', function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(requestGetStub.callCount).to.equal(2);
+        expect(first.getQueueDepth()).to.equal(0);
+
+        done();
+      });
+
+      expect(requestGetStub.callCount).to.equal(1);
+      expect(first.getQueueDepth()).to.equal(1);
+      expect(second.getQueueDepth()).to.equal(1);
+    });
+
+    it('returns "rate_limited" error when Bitstamp rejects a request because of the limit', function (done) {
+      requestGetStub.yields(null, {statusCode: 429}, 'Too Many Requests');
+
+      bitstamp.getTicker('BTC', 'USD', function (err, result) {
+        expect(result).to.equal(undefined);
+        expect(err.message).to.equal('Bitstamp rejected the request, because the request limit was exceeded.');
+        expect(err.code).to.equal(errorCodes.RATE_LIMITED);
+
+        done();
+      });
+    });
+
+    it('returns "rate_limited" error when Bitstamp bans the client with an HTML page', function (done) {
+      requestGetStub.yields(null, {statusCode: 403}, '<html>Forbidden</html>');
+
+      bitstamp.getTicker('BTC', 'USD', function (err) {
+        expect(requestGetStub.callCount).to.equal(1);
+        expect(err.code).to.equal(errorCodes.RATE_LIMITED);
+
+        done();
+      });
+    });
+  });
+
+  /* =================   Testing the nonce provider   ================= */
+
+  describe('Nonce provider', function () {
+    before(function (done) {
+      sinon.stub(request, 'post').yields(null, {}, JSON.stringify(responses.getBalanceResponse));
+      done();
+    });
+
+    after(function (done) {
+      request.post.restore();
+      done();
+    });
+
+    it('signs requests with the nonce of the configured provider', function (done) {
+      var bitstampWithProvider = new exchange({
+        key: 'apikey',
+        secret: 'apisecret',
+        clientId: 'clientId',
+        host: 'http://localhost:3000',
+        nonceProvider: {next: callback => callback(null, 42)}
+      });
+
+      bitstampWithProvider.getBalance(function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        var form = request.post.firstCall.args[0].form;
+        expect(form.nonce).to.equal(42);
+        expect(form.signature).to.equal(crypto.createHmac('sha256', 'apisecret').update('42clientIdapikey')
+          .digest('hex').toUpperCase());
+
+        done();
+      });
+    });
+
+    it('returns an error if the provider fails', function (done) {
+      var providerError = new Error('Store unavailable');
+      var bitstampWithProvider = new exchange({
+        key: 'apikey',
+        secret: 'apisecret',
+        clientId: 'clientId',
+        nonceProvider: {next: callback => callback(providerError)}
+      });
+
+      bitstampWithProvider.getBalance(function (err, result) {
+        expect(result).to.equal(undefined);
+        expect(err.message).to.equal('Could not generate a nonce for the request.');
+        expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+        expect(err.cause).to.equal(providerError);
+
+        done();
+      });
+    });
+  });
+
+  /* =================   Testing the v2 authentication   ================= */
+
+  describe('v2 authentication', function () {
+    var requestPostStub;
+    var bitstampV2 = new exchange({
+      key: 'apikey',
+      secret: 'apisecret',
+      clientId: 'clientId',
+      host: 'http://localhost:3000',
+      authVersion: 'v2'
+    });
+
+    before(function (done) {
+      cacheTradingPairs(bitstampV2, done);
+    });
+
+    var hmac = message => crypto.createHmac('sha256', 'apisecret').update(message).digest('hex');
+
+    /* Responds with the given body, signed for the nonce and timestamp of the request */
+    var respondSigned = function (body, secret) {
+      requestPostStub.restore();
+      requestPostStub = sinon.stub(request, 'post', function (options, callback) {
+        var contentType = 'application/json';
+        var message = options.headers['X-Auth-Nonce'] + options.headers['X-Auth-Timestamp'] + contentType + body;
+        var signature = crypto.createHmac('sha256', secret).update(message).digest('hex');
+        callback(null, {statusCode: 200, headers: {'content-type': contentType, 'x-server-auth-signature': signature}},
+          body);
+      });
+    };
+
+    beforeEach(function () {
+      requestPostStub = sinon.stub(request, 'post');
+    });
+
+    afterEach(function () {
+      requestPostStub.restore();
+    });
+
+    it('signs the request in the X-Auth headers', function (done) {
+      respondSigned(JSON.stringify(responses.placeTradeResponse), 'apisecret');
+
+      bitstampV2.placeTrade(-1250000, 460.00, 'BTC', 'USD', function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        var options = requestPostStub.firstCall.args[0];
+        var headers = options.headers;
+        expect(options.form).to.equal(undefined);
+        expect(options.body).to.equal('amount=0.01250000&price=460');
+        expect(headers['X-Auth']).to.equal('BITSTAMP apikey');
+        expect(headers['X-Auth-Version']).to.equal('v2');
+        expect(headers['X-Auth-Nonce']).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+        expect(headers['Content-Type']).to.equal('application/x-www-form-urlencoded');
+        expect(headers['X-Auth-Signature']).to.equal(hmac('BITSTAMP apikeyPOSTlocalhost:3000/api/v2/sell/btcusd/' +
+          'application/x-www-form-urlencoded' + headers['X-Auth-Nonce'] + headers['X-Auth-Timestamp'] + 'v2' +
+          'amount=0.01250000&price=460'));
+
+        done();
+      });
+    });
+
+    it('fetches the status of a trade from the v2 endpoint', function (done) {
+      respondSigned(JSON.stringify(responses.getTradeCancelledResponse), 'apisecret');
+
+      bitstampV2.getTrade({baseCurrency: 'BTC', quoteCurrency: 'USD', raw: {id: 111788524, orderType: 'sell'}},
+        function (err, trade) {
+          if (err) {
+            return done(err);
+          }
+
+          var options = requestPostStub.firstCall.args[0];
+          var headers = options.headers;
+          expect(options.url).to.equal('http://localhost:3000/api/v2/order_status/');
+          expect(options.body).to.equal('id=111788524');
+          expect(headers['X-Auth-Signature']).to.equal(hmac('BITSTAMP apikeyPOSTlocalhost:3000/api/v2/order_status/' +
+            'application/x-www-form-urlencoded' + headers['X-Auth-Nonce'] + headers['X-Auth-Timestamp'] + 'v2' +
+            'id=111788524'));
+          expect(trade.baseAmount).to.equal(-500000);
+
+          done();
+        });
+    });
+
+    it('does not need a client ID', function (done) {
+      var bitstampWithoutClientId = new exchange({
+        key: 'apikey',
+        secret: 'apisecret',
+        host: 'http://localhost:3000',
+        authVersion: 'v2'
+      });
+      respondSigned(JSON.stringify(responses.getBalanceResponse), 'apisecret');
+
+      bitstampWithoutClientId.getBalance(function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(requestPostStub.calledOnce).to.equal(true);
+        expect(requestPostStub.firstCall.args[0].headers['X-Auth']).to.equal('BITSTAMP apikey');
+
+        done();
+      });
+    });
+
+    it('still needs the key and secret', function (done) {
+      new exchange({key: 'apikey', host: 'http://localhost:3000', authVersion: 'v2'}).getBalance(function (err) {
+        expect(requestPostStub.called).to.equal(false);
+        expect(err.message).to.equal('Must provide key and secret to make this API request.');
+        expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+
+        done();
+      });
+    });
+
+    it('leaves out the content type for requests without a body', function (done) {
+      respondSigned(JSON.stringify(responses.getBalanceResponse), 'apisecret');
+
+      bitstampV2.getBalance(function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        var headers = requestPostStub.firstCall.args[0].headers;
+        expect(headers['Content-Type']).to.equal(undefined);
+        expect(headers['X-Auth-Signature']).to.equal(hmac('BITSTAMP apikeyPOSTlocalhost:3000/api/v2/balance/' +
+          headers['X-Auth-Nonce'] + headers['X-Auth-Timestamp'] + 'v2'));
+
+        done();
+      });
+    });
+
+    it('returns an error for a response that is not signed with the API secret', function (done) {
+      respondSigned(JSON.stringify(responses.getBalanceResponse), 'othersecret');
+
+      bitstampV2.getBalance(function (err, result) {
+        expect(result).to.equal(undefined);
+        expect(err.message).to.equal('The signature of the response from the exchange server is invalid.');
+        expect(err.code).to.equal(errorCodes.RESPONSE_SIGNATURE_MISMATCH);
+
+        done();
+      });
+    });
+  });
+
+  /* =================   Testing the Promise API   ================= */
+
+  describe('Promise API', function () {
+    var requestGetStub, requestPostStub;
+
+    beforeEach(function () {
+      requestGetStub = sinon.stub(request, 'get');
+      requestPostStub = sinon.stub(request, 'post');
+    });
+
+    afterEach(function () {
+      requestGetStub.restore();
+      requestPostStub.restore();
+    });
+
+    it('resolves with the result when no callback is passed', function () {
+      requestGetStub.yields(null, {}, JSON.stringify(responses.getTickerResponse));
+
+      return bitstamp.getTicker('BTC', 'USD')
+        .then(ticker => {
+          expect(ticker.baseCurrency).to.equal('BTC');
+          expect(ticker.bid).to.equal(596.09);
+        });
+    });
+
+    it('rejects with the error codes of the module', function () {
+      requestPostStub.yields(null, {}, JSON.stringify(responses.placeBuyTradeInsufficientFundsResponse));
+
+      return bitstamp.placeTrade(1250000, 460.00, 'BTC', 'USD')
+        .then(() => {
+          throw new Error('Expected placeTrade to reject');
+        }, err => {
+          expect(err.code).to.equal(errorCodes.INSUFFICIENT_FUNDS);
+        });
+    });
+
+    it('rejects with a module error for invalid input', function () {
+      return bitstamp.getOrderBook('BTC', 'DKK')
+        .then(() => {
+          throw new Error('Expected getOrderBook to reject');
+        }, err => {
+          expect(requestGetStub.called).to.equal(false);
+          expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+        });
+    });
+
+    it('rejects with a module error when credentials are missing', function () {
+      var publicBitstamp = new exchange({host: 'http://localhost:3000'});
+
+      return publicBitstamp.getBalance()
+        .then(() => {
+          throw new Error('Expected getBalance to reject');
+        }, err => {
+          expect(requestPostStub.called).to.equal(false);
+          expect(err.message).to.equal('Must provide key, secret and client ID to make this API request.');
+          expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+        });
+    });
+
+    it('still honours callbacks, also for listTrades', function (done) {
+      requestPostStub.yields(null, {}, JSON.stringify(responses.listTransactionsResponse));
+
+      bitstamp.listTrades(null, function (err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(result.length).to.equal(3);
+
+        done();
+      });
+    });
   });
 
   /* =================   Testing wrong requests OR errors in the response   ================= */
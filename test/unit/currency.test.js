@@ -0,0 +1,107 @@
+var expect = require('chai').expect,
+  Currency = require('../../lib/currency.js'),
+  errorCodes = require('../../lib/error_codes.js');
+
+describe('Currency tests ->', function () {
+
+  afterEach(function () {
+    Currency.resetDecimals();
+  });
+
+  it('scales amounts with the decimals of the currency', function () {
+    expect(Currency.toSmallestSubunit(0.12345678, 'BTC')).to.equal(12345678);
+    expect(Currency.toSmallestSubunit(1.5, 'ETH')).to.equal(150000000);
+    expect(Currency.toSmallestSubunit(20.5, 'XRP')).to.equal(20500000);
+    expect(Currency.toSmallestSubunit(123.45, 'USD')).to.equal(12345);
+    expect(Currency.toSmallestSubunit(1500, 'JPY')).to.equal(1500);
+    expect(Currency.fromSmallestSubunit(20500000, 'XRP')).to.equal(20.5);
+  });
+
+  it('converts decimal strings and numbers exactly', function () {
+    expect(Currency.toSmallestSubunit(0.29, 'BTC')).to.equal(29000000);
+    expect(Currency.toSmallestSubunit('0.29000000', 'BTC')).to.equal(29000000);
+    expect(Currency.toSmallestSubunit('-1.005', 'USD')).to.equal(-101);
+    expect(Currency.toSmallestSubunit('1.004', 'USD')).to.equal(100);
+    expect(Currency.toSmallestSubunit(1e-7, 'BTC')).to.equal(10);
+    expect(Currency.toSmallestSubunit('.5', 'USD')).to.equal(50);
+    expect(Currency.toSmallestSubunit('not a number', 'USD')).to.be.NaN;
+  });
+
+  it('returns a BigInt for amounts beyond the safe integer range', function () {
+    var units = Currency.toSmallestSubunit('123456789012.12345678', 'BTC');
+
+    expect(typeof units).to.equal('bigint');
+    expect(units === BigInt('12345678901212345678')).to.equal(true);
+    expect(Currency.toDecimalString(units, 'BTC')).to.equal('123456789012.12345678');
+  });
+
+  it('formats sub-units as exact decimal strings', function () {
+    expect(Currency.toDecimalString(1250000, 'BTC')).to.equal('0.01250000');
+    expect(Currency.toDecimalString(-5, 'USD')).to.equal('-0.05');
+    expect(Currency.toDecimalString(1500, 'JPY')).to.equal('1500');
+    expect(Currency.fromSmallestSubunit(29000000, 'BTC')).to.equal(0.29);
+  });
+
+  it('throws a module error for amounts that cannot be formatted', function () {
+    var codes = [NaN, Infinity, 'not a number'].map(function (amount) {
+      try {
+        Currency.toDecimalString(amount, 'BTC');
+      } catch (err) {
+        return err.code;
+      }
+    });
+
+    expect(codes).to.deep.equal([errorCodes.MODULE_ERROR, errorCodes.MODULE_ERROR, errorCodes.MODULE_ERROR]);
+    expect(Currency.fromSmallestSubunit(NaN, 'BTC')).to.be.NaN;
+  });
+
+  it('adds up sub-units exactly, also beyond the safe integer range', function () {
+    expect(Currency.sumSubunits([10000000, 19000000])).to.equal(29000000);
+    expect(Currency.sumSubunits([Number.MAX_SAFE_INTEGER, 1]) === BigInt(Number.MAX_SAFE_INTEGER) + BigInt(1))
+      .to.equal(true);
+    expect(Currency.sumSubunits([1, NaN])).to.be.NaN;
+  });
+
+  it('multiplies and divides amounts by prices exactly', function () {
+    expect(Currency.multiplyByPrice(50000000, 'BTC', 450.31, 'USD')).to.equal(22516);
+    expect(Currency.multiplyByPrice(1250000, 'BTC', '596.09', 'EUR')).to.equal(745);
+    expect(Currency.multiplyByPrice(20000000, 'XRP', '0.00004321', 'BTC')).to.equal(86420);
+    expect(Currency.divideByPrice(22516, 'USD', '450.31', 'BTC')).to.equal(50001110);
+    expect(Currency.divideByPrice(22516, 'USD', '450.31', 'BTC', true)).to.equal(50001111);
+    expect(Currency.divideByPrice(22516, 'USD', 0, 'BTC')).to.be.NaN;
+    expect(Currency.multiplyByPrice(1, 'BTC', 'not a price', 'USD')).to.be.NaN;
+  });
+
+  it('throws a module error for currencies with unknown decimals', function () {
+    expect(Currency.hasDecimals('XLM')).to.equal(false);
+
+    try {
+      Currency.toSmallestSubunit(10, 'XLM');
+    } catch (err) {
+      expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+      expect(err.message).to.equal('The number of decimals of the XLM currency is unknown.');
+      return;
+    }
+
+    throw new Error('Expected an error for an unknown currency');
+  });
+
+  it('registers the decimals of new currencies until the registry is reset', function () {
+    Currency.addDecimals({xlm: 7});
+
+    expect(Currency.getDecimals('XLM')).to.equal(7);
+    expect(Currency.toSmallestSubunit(10, 'XLM')).to.equal(100000000);
+
+    Currency.resetDecimals();
+    expect(Currency.hasDecimals('XLM')).to.equal(false);
+  });
+
+  it('only adds the decimals of currencies that are not registered yet', function () {
+    expect(Currency.addDecimals({xlm: 7, XRP: 8})).to.deep.equal({XLM: 7});
+
+    expect(Currency.getDecimals('XLM')).to.equal(7);
+    expect(Currency.getDecimals('XRP')).to.equal(6);
+
+    Currency.resetDecimals();
+  });
+});
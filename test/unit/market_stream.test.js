@@ -0,0 +1,173 @@
+var expect = require('chai').expect,
+  WebSocket = require('ws'),
+  MarketStream = require('../../lib/market_stream.js'),
+  errorCodes = require('../../lib/error_codes.js');
+
+describe('Market stream tests ->', function () {
+  var server, stream, connections, received;
+
+  beforeEach(function (done) {
+    connections = [];
+    received = [];
+
+    server = new WebSocket.Server({port: 0}, done);
+    server.on('connection', function (socket) {
+      connections.push(socket);
+      socket.on('message', function (message) {
+        var data = JSON.parse(message);
+        received.push(data);
+        if (data.event === 'bts:subscribe') {
+          socket.send(JSON.stringify({event: 'bts:subscription_succeeded', channel: data.data.channel, data: {}}));
+        }
+      });
+    });
+
+    stream = new MarketStream({
+      url: 'ws://localhost:' + server.address().port,
+      minReconnectDelay: 10,
+      maxReconnectDelay: 50,
+      heartbeatInterval: 20,
+      heartbeatTimeout: 1000
+    });
+  });
+
+  afterEach(function (done) {
+    stream.close();
+    server.close(() => done());
+  });
+
+  /**
+   * Sends a message of a channel to the last connected client.
+   */
+  function send(event, channel, data) {
+    connections[connections.length - 1].send(JSON.stringify({event: event, channel: channel, data: data}));
+  }
+
+  it('emits the trades of a subscribed channel', function (done) {
+    stream.on('subscribed', function (channel) {
+      expect(channel).to.equal('live_trades_btcusd');
+      send('trade', channel, {id: 61234567, amount: 0.0125, amount_str: '0.01250000', price: 596.09,
+        price_str: '596.09', type: 1, timestamp: '1470839254', buy_order_id: 1, sell_order_id: 2});
+    });
+
+    stream.on('trade', function (trade) {
+      expect(trade).to.deep.include({
+        externalId: '61234567',
+        type: 'sell',
+        baseCurrency: 'BTC',
+        quoteCurrency: 'USD',
+        price: 596.09,
+        baseAmount: 1250000
+      });
+      expect(trade.tradeTime.toISOString()).to.equal('2016-08-10T14:27:34.000Z');
+
+      done();
+    });
+
+    expect(stream.subscribe('trades', 'btc', 'usd')).to.equal('live_trades_btcusd');
+  });
+
+  it('emits order book snapshots and diffs in the format of getOrderBook', function (done) {
+    var snapshot;
+
+    stream.on('subscribed', function (channel) {
+      if (channel === 'order_book_etheur') {
+        send('data', channel, {timestamp: '1470839254', bids: [['450.31', '0.33445566']], asks: [['450.65', '0.44556677']]});
+      } else {
+        send('data', channel, {timestamp: '1470839255', bids: [['450.31', '0']], asks: []});
+      }
+    });
+
+    stream.on('orderBook', orderBook => snapshot = orderBook);
+    stream.on('orderBookDiff', function (diff) {
+      expect(snapshot).to.deep.equal({
+        baseCurrency: 'ETH',
+        quoteCurrency: 'EUR',
+        timestamp: new Date('2016-08-10T14:27:34.000Z'),
+        bids: [{price: 450.31, baseAmount: 33445566}],
+        asks: [{price: 450.65, baseAmount: 44556677}]
+      });
+      expect(diff.bids).to.deep.equal([{price: 450.31, baseAmount: 0}]);
+
+      done();
+    });
+
+    stream.subscribe('orderBook', 'ETH', 'EUR');
+    stream.on('open', () => stream.subscribe('diffOrderBook', 'ETH', 'EUR'));
+  });
+
+  it('emits the live orders with their event', function (done) {
+    stream.on('subscribed', function (channel) {
+      send('order_deleted', channel, {id: 1234, amount: 0.5, amount_str: '0.50000000', price: 460, price_str: '460.00',
+        order_type: 0, datetime: '1470839254'});
+    });
+
+    stream.on('order', function (order) {
+      expect(order).to.deep.include({event: 'deleted', externalId: '1234', type: 'buy', price: 460,
+        baseAmount: 50000000});
+
+      done();
+    });
+
+    stream.subscribe('orders', 'BTC', 'USD');
+  });
+
+  it('reconnects and subscribes again when the connection is lost', function (done) {
+    var opened = 0;
+
+    stream.on('open', function () {
+      opened += 1;
+      if (opened === 1) {
+        return connections[0].terminate();
+      }
+
+      stream.once('subscribed', function (channel) {
+        expect(channel).to.equal('live_trades_xrpbtc');
+        expect(connections).to.have.length(2);
+
+        done();
+      });
+    });
+
+    stream.subscribe('trades', 'XRP', 'BTC');
+  });
+
+  it('reconnects when Bitstamp requests it', function (done) {
+    stream.once('subscribed', () => send('bts:request_reconnect', '', ''));
+    stream.on('reconnecting', function (reconnect) {
+      expect(reconnect).to.deep.equal({attempt: 1, delay: 10});
+      stream.on('open', () => done());
+    });
+
+    stream.subscribe('trades', 'BTC', 'USD');
+  });
+
+  it('sends heartbeats, and replaces a connection that has gone silent', function (done) {
+    stream.heartbeatTimeout = 60;
+
+    stream.once('subscribed', function () {
+      /* The server stops answering, so only the heartbeats of the client are left */
+      connections[0].removeAllListeners('message');
+      connections[0].on('message', message => received.push(JSON.parse(message)));
+    });
+    stream.on('reconnecting', function () {
+      expect(received.filter(data => data.event === 'bts:heartbeat')).to.not.be.empty;
+
+      done();
+    });
+
+    stream.subscribe('trades', 'BTC', 'USD');
+  });
+
+  it('throws an error for unsupported pairs and channel types', function () {
+    expect(() => stream.subscribe('trades', 'BTC', 'DKK')).to.throw('Bitstamp does not support the BTC/DKK currency pair.');
+    expect(() => stream.subscribe('ticker', 'BTC', 'USD')).to.throw(Error);
+
+    try {
+      stream.subscribe('ticker', 'BTC', 'USD');
+    } catch (err) {
+      expect(err.code).to.equal(errorCodes.MODULE_ERROR);
+    }
+    expect(stream.socket).to.equal(null);
+  });
+});
@@ -0,0 +1,101 @@
+var fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  async = require('async'),
+  expect = require('chai').expect,
+  Nonce = require('../../lib/nonce.js');
+
+describe('Nonce provider tests ->', function () {
+
+  describe('MonotonicNonceProvider', function () {
+    it('hands out strictly increasing nonces across instances, also within the same millisecond', function (done) {
+      var providers = [new Nonce.MonotonicNonceProvider(), new Nonce.MonotonicNonceProvider()];
+
+      async.timesSeries(100, (i, callback) => providers[i % 2].next(callback), function (err, nonces) {
+        if (err) {
+          return done(err);
+        }
+
+        nonces.reduce(function (previous, current) {
+          expect(current).to.be.above(previous);
+          return current;
+        });
+        expect(nonces[0]).to.be.at.least(new Date().getTime()*10 - 100000);
+
+        done();
+      });
+    });
+  });
+
+  describe('FileNonceProvider', function () {
+    var directory, noncePath;
+
+    beforeEach(function () {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bitstamp-nonce-'));
+      noncePath = path.join(directory, 'nonce');
+    });
+
+    afterEach(function () {
+      [noncePath, noncePath + '.lock'].filter(fs.existsSync).forEach(file => fs.unlinkSync(file));
+      fs.rmdirSync(directory);
+    });
+
+    it('hands out unique, increasing nonces to providers sharing the file, also when called concurrently', function (done) {
+      var providers = [new Nonce.FileNonceProvider(noncePath), new Nonce.FileNonceProvider(noncePath)];
+
+      async.times(20, (i, callback) => providers[i % 2].next(callback), function (err, nonces) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(new Set(nonces).size).to.equal(20);
+        expect(parseInt(fs.readFileSync(noncePath, 'utf8'), 10)).to.equal(Math.max.apply(null, nonces));
+        expect(fs.existsSync(noncePath + '.lock')).to.equal(false);
+
+        done();
+      });
+    });
+
+    it('continues after a nonce in the file that lies in the future', function (done) {
+      var futureNonce = new Date().getTime()*10 + 1000000000;
+      fs.writeFileSync(noncePath, String(futureNonce));
+
+      new Nonce.FileNonceProvider(noncePath).next(function (err, nonce) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(nonce).to.equal(futureNonce + 1);
+
+        done();
+      });
+    });
+
+    it('removes a lock that was left behind', function (done) {
+      fs.writeFileSync(noncePath + '.lock', '');
+      var past = new Date(Date.now() - 60000);
+      fs.utimesSync(noncePath + '.lock', past, past);
+
+      new Nonce.FileNonceProvider(noncePath).next(function (err, nonce) {
+        if (err) {
+          return done(err);
+        }
+
+        expect(nonce).to.be.a('number');
+
+        done();
+      });
+    });
+
+    it('gives up when the lock is not released in time', function (done) {
+      fs.writeFileSync(noncePath + '.lock', '');
+
+      new Nonce.FileNonceProvider(noncePath, {lockTimeout: 20}).next(function (err, nonce) {
+        expect(nonce).to.equal(undefined);
+        expect(err.message).to.equal('Timed out waiting for the nonce lock file ' + noncePath + '.lock');
+
+        done();
+      });
+    });
+  });
+});
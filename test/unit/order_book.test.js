@@ -0,0 +1,196 @@
+var expect = require('chai').expect,
+  sinon = require('sinon'),
+  EventEmitter = require('events').EventEmitter,
+  OrderBook = require('../../lib/order_book.js');
+
+describe('Order book tests ->', function () {
+  var stream, bitstamp, orderBook, pendingCallbacks;
+
+  beforeEach(function () {
+    pendingCallbacks = [];
+
+    stream = new EventEmitter();
+    stream.subscribe = sinon.spy(() => 'diff_order_book_btcusd');
+    stream.unsubscribe = sinon.spy();
+    stream.close = sinon.spy();
+
+    /* The order book requests are answered by the tests with respond() */
+    bitstamp = {
+      getOrderBook: sinon.spy(function (baseCurrency, quoteCurrency, callback) {
+        pendingCallbacks.push(callback);
+      })
+    };
+
+    orderBook = new OrderBook(bitstamp, 'btc', 'usd', {stream: stream, resyncDelay: 10});
+    orderBook.start();
+  });
+
+  afterEach(function () {
+    orderBook.stop();
+  });
+
+  /**
+   * Answers the oldest pending order book request.
+   */
+  function respond(err, seconds, bids, asks) {
+    pendingCallbacks.shift()(err, err ? undefined : constructOrderBook(seconds, bids, asks));
+  }
+
+  function sendDiff(seconds, bids, asks) {
+    stream.emit('orderBookDiff', constructOrderBook(seconds, bids, asks));
+  }
+
+  function constructOrderBook(seconds, bids, asks) {
+    var convertEntry = entry => ({price: entry[0], baseAmount: entry[1]});
+
+    return {
+      baseCurrency: 'BTC',
+      quoteCurrency: 'USD',
+      timestamp: new Date(seconds * 1000),
+      bids: bids.map(convertEntry),
+      asks: asks.map(convertEntry)
+    };
+  }
+
+  it('seeds from getOrderBook once subscribed, and applies the diffs received meanwhile', function () {
+    var synced = sinon.spy();
+    orderBook.on('synced', synced);
+
+    expect(stream.subscribe.calledWith('diffOrderBook', 'BTC', 'USD')).to.equal(true);
+    expect(bitstamp.getOrderBook.called).to.equal(false);
+
+    stream.emit('subscribed', 'diff_order_book_btcusd');
+    expect(bitstamp.getOrderBook.calledWith('BTC', 'USD')).to.equal(true);
+
+    /* The first diff is older than the order book, so it is included in it already */
+    sendDiff(99, [[450.1, 100]], []);
+    sendDiff(101, [[450.3, 0], [450.2, 5000]], [[451, 7000]]);
+    respond(null, 100, [[450.3, 3000], [450.1, 1000]], [[450.6, 2000], [451, 4000]]);
+
+    expect(synced.calledOnce).to.equal(true);
+    expect(orderBook.synced).to.equal(true);
+    expect(orderBook.snapshot()).to.deep.equal({
+      baseCurrency: 'BTC',
+      quoteCurrency: 'USD',
+      timestamp: new Date(101000),
+      bids: [{price: 450.2, baseAmount: 5000}, {price: 450.1, baseAmount: 1000}],
+      asks: [{price: 450.6, baseAmount: 2000}, {price: 451, baseAmount: 7000}]
+    });
+  });
+
+  it('applies diffs, drops outdated ones, and answers best prices and depth', function () {
+    var update = sinon.spy();
+    orderBook.on('update', update);
+
+    stream.emit('subscribed', 'diff_order_book_btcusd');
+    respond(null, 100, [[450.3, 3000], [450.1, 1000]], [[450.6, 2000], [451, 4000], [452, 6000]]);
+
+    sendDiff(102, [[450.4, 500]], [[450.6, 0]]);
+    sendDiff(101, [[450.5, 500]], []);
+    sendDiff(99, [[450.1, 0]], []);
+    sendDiff(103, [[450.4, 0]], []);
+    sendDiff(103, [], [[452, 0]]);
+    expect(update.callCount).to.equal(3);
+
+    expect(orderBook.bestBid()).to.deep.equal({price: 450.3, baseAmount: 3000});
+    expect(orderBook.bestAsk()).to.deep.equal({price: 451, baseAmount: 4000});
+    expect(orderBook.depthAt(451.5)).to.equal(4000);
+    expect(orderBook.depthAt(450.1)).to.equal(4000);
+    expect(orderBook.depthAt(450)).to.equal(4000);
+    expect(orderBook.depthAt(450.3)).to.equal(3000);
+    expect(orderBook.depthAt(450.5)).to.equal(0);
+  });
+
+  it('estimates fills on the current order book', function () {
+    stream.emit('subscribed', 'diff_order_book_btcusd');
+    respond(null, 100, [[450.3, 100000000]], [[450.6, 2000], [451, 4000]]);
+    sendDiff(101, [], [[450.6, 0]]);
+
+    expect(orderBook.estimateFill('buy', 3000)).to.deep.include({baseAmount: 3000, worstPrice: 451, complete: true});
+    expect(orderBook.amountForQuote('sell', 4503).baseAmount).to.equal(10000000);
+    expect(orderBook.depthWithin(1).asks.baseAmount).to.equal(4000);
+  });
+
+  it('ignores the diffs of other currency pairs', function () {
+    stream.emit('subscribed', 'diff_order_book_btcusd');
+    respond(null, 100, [[450.3, 3000]], [[450.6, 2000]]);
+
+    stream.emit('orderBookDiff', {baseCurrency: 'BTC', quoteCurrency: 'EUR', timestamp: new Date(101000),
+      bids: [{price: 450.3, baseAmount: 0}], asks: []});
+    stream.emit('subscribed', 'diff_order_book_btceur');
+
+    expect(orderBook.bestBid()).to.deep.equal({price: 450.3, baseAmount: 3000});
+    expect(bitstamp.getOrderBook.calledOnce).to.equal(true);
+  });
+
+  it('fetches the order book again after the stream reconnected', function () {
+    var resync = sinon.spy();
+    orderBook.on('resync', resync);
+
+    stream.emit('subscribed', 'diff_order_book_btcusd');
+    respond(null, 100, [[450.3, 3000]], [[450.6, 2000]]);
+
+    stream.emit('reconnecting', {attempt: 1, delay: 500});
+    expect(resync.calledWith('reconnecting')).to.equal(true);
+    expect(orderBook.synced).to.equal(false);
+
+    /* Diffs are dropped until the subscription is made again */
+    sendDiff(101, [[450.3, 0]], []);
+    stream.emit('subscribed', 'diff_order_book_btcusd');
+    respond(null, 105, [[450.2, 1000]], [[450.6, 2000]]);
+
+    expect(orderBook.synced).to.equal(true);
+    expect(orderBook.bestBid()).to.deep.equal({price: 450.2, baseAmount: 1000});
+  });
+
+  it('resyncs when a missed diff leaves the order book crossed', function (done) {
+    stream.emit('subscribed', 'diff_order_book_btcusd');
+    respond(null, 100, [[450.3, 3000]], [[450.6, 2000]]);
+
+    orderBook.on('resync', function (reason) {
+      expect(reason).to.equal('crossed');
+      expect(orderBook.synced).to.equal(false);
+
+      orderBook.on('synced', function (snapshot) {
+        expect(snapshot.bids).to.deep.equal([{price: 450.7, baseAmount: 1000}]);
+        expect(snapshot.asks).to.deep.equal([{price: 450.8, baseAmount: 2000}]);
+
+        done();
+      });
+      setTimeout(() => respond(null, 102, [[450.7, 1000]], [[450.8, 2000]]), 20);
+    });
+
+    /* The removal of the ask at 450.6 was missed */
+    sendDiff(101, [[450.7, 1000]], []);
+  });
+
+  it('retries a failed fetch after the resync delay', function (done) {
+    var error = new Error('Bitstamp is down');
+
+    orderBook.on('error', function (err) {
+      expect(err).to.equal(error);
+      setTimeout(function () {
+        expect(bitstamp.getOrderBook.calledTwice).to.equal(true);
+        respond(null, 100, [[450.3, 3000]], [[450.6, 2000]]);
+        expect(orderBook.synced).to.equal(true);
+
+        done();
+      }, 30);
+    });
+
+    stream.emit('subscribed', 'diff_order_book_btcusd');
+    respond(error);
+  });
+
+  it('stops following the order book', function () {
+    stream.emit('subscribed', 'diff_order_book_btcusd');
+    orderBook.stop();
+    respond(null, 100, [[450.3, 3000]], [[450.6, 2000]]);
+
+    expect(orderBook.synced).to.equal(false);
+    expect(stream.unsubscribe.calledWith('diffOrderBook', 'BTC', 'USD')).to.equal(true);
+    expect(stream.listenerCount('orderBookDiff')).to.equal(0);
+    /* The stream was passed in, so it is left open */
+    expect(stream.close.called).to.equal(false);
+  });
+});
@@ -0,0 +1,104 @@
+var expect = require('chai').expect,
+  OrderBookAnalytics = require('../../lib/order_book_analytics.js'),
+  errorCodes = require('../../lib/error_codes.js');
+
+describe('Order book analytics tests ->', function () {
+  var orderBook = {
+    baseCurrency: 'BTC',
+    quoteCurrency: 'USD',
+    timestamp: new Date('2016-08-10T14:27:34.000Z'),
+    bids: [{price: 450.31, baseAmount: 33445566}, {price: 450, baseAmount: 100000000}],
+    asks: [{price: 450.65, baseAmount: 44556677}, {price: 451, baseAmount: 100000000}]
+  };
+
+  it('estimates the fill of a buy order that walks into the second level', function () {
+    expect(OrderBookAnalytics.estimateFill(orderBook, 'buy', 50000000)).to.deep.equal({
+      baseAmount: 50000000,
+      quoteAmount: 22534,
+      averagePrice: 450.688103261,
+      worstPrice: 451,
+      midPrice: 450.48,
+      slippagePercent: (450.688103261 - 450.48) / 450.48 * 100,
+      complete: true
+    });
+  });
+
+  it('keeps the exact average price of orders that are worth less than a cent', function () {
+    var fill = OrderBookAnalytics.estimateFill(orderBook, 'buy', 1000);
+
+    expect(fill.quoteAmount).to.equal(0);
+    expect(fill.averagePrice).to.equal(450.65);
+  });
+
+  it('estimates the fill of a sell order that is larger than the order book', function () {
+    var fill = OrderBookAnalytics.estimateFill(orderBook, 'sell', 500000000);
+
+    expect(fill).to.deep.include({baseAmount: 133445566, quoteAmount: 60061, worstPrice: 450, complete: false});
+    expect(fill.averagePrice).to.equal(450.0776955411);
+    expect(fill.slippagePercent).to.be.above(0);
+  });
+
+  it('returns no prices when nothing can be filled', function () {
+    var emptyBook = {baseCurrency: 'BTC', quoteCurrency: 'USD', bids: [], asks: []};
+
+    expect(OrderBookAnalytics.estimateFill(emptyBook, 'buy', 100)).to.deep.equal({
+      baseAmount: 0,
+      quoteAmount: 0,
+      averagePrice: null,
+      worstPrice: null,
+      midPrice: null,
+      slippagePercent: null,
+      complete: false
+    });
+  });
+
+  it('estimates the amount to buy with, or sell for, an amount of the quote currency', function () {
+    var buy = OrderBookAnalytics.amountForQuote(orderBook, 'buy', 50000);
+    var sell = OrderBookAnalytics.amountForQuote(orderBook, 'sell', 50000);
+
+    /* A buy spends at most the amount, and a sell receives at least the amount */
+    expect(buy).to.deep.include({baseAmount: 110900357, quoteAmount: 50000, worstPrice: 451, complete: true});
+    expect(sell).to.deep.include({baseAmount: 111087789, quoteAmount: 50000, worstPrice: 450, complete: true});
+    expect(OrderBookAnalytics.amountForQuote(orderBook, 'buy', 10000000).complete).to.equal(false);
+  });
+
+  it('sums the depth within a percentage of the mid price', function () {
+    expect(OrderBookAnalytics.depthWithin(orderBook, 0.1)).to.deep.equal({
+      midPrice: 450.48,
+      bids: {baseAmount: 33445566, quoteAmount: 15061},
+      asks: {baseAmount: 44556677, quoteAmount: 20079}
+    });
+    expect(OrderBookAnalytics.depthWithin(orderBook, 1).bids.baseAmount).to.equal(133445566);
+  });
+
+  it('works with exact prices', function () {
+    var exactBook = {
+      baseCurrency: 'BTC',
+      quoteCurrency: 'USD',
+      bids: [{price: '450.31', baseAmount: 33445566}],
+      asks: [{price: '450.65', baseAmount: 44556677}]
+    };
+
+    expect(OrderBookAnalytics.estimateFill(exactBook, 'buy', 10000000)).to.deep.include({
+      quoteAmount: 4507,
+      averagePrice: 450.65,
+      worstPrice: '450.65'
+    });
+  });
+
+  it('throws a module error for invalid sides and amounts', function () {
+    var codes = [
+      () => OrderBookAnalytics.estimateFill(orderBook, 'bid', 100),
+      () => OrderBookAnalytics.estimateFill(orderBook, 'buy', 0.5),
+      () => OrderBookAnalytics.amountForQuote(orderBook, 'sell', '100')
+    ].map(function (estimate) {
+      try {
+        estimate();
+      } catch (err) {
+        return err.code;
+      }
+    });
+
+    expect(codes).to.deep.equal([errorCodes.MODULE_ERROR, errorCodes.MODULE_ERROR, errorCodes.MODULE_ERROR]);
+  });
+});
@@ -0,0 +1,46 @@
+var expect = require('chai').expect,
+  RateLimiter = require('../../lib/rate_limiter.js');
+
+describe('Rate limiter tests ->', function () {
+
+  it('runs a full bucket of tasks at once and queues the rest', function (done) {
+    var limiter = new RateLimiter({requests: 2, interval: 40});
+    var ran = [];
+
+    [0, 1, 2, 3].forEach(i => limiter.schedule(() => ran.push(i)));
+
+    expect(ran).to.deep.equal([0, 1]);
+    expect(limiter.queueDepth()).to.equal(2);
+
+    setTimeout(function () {
+      expect(ran).to.deep.equal([0, 1, 2, 3]);
+      expect(limiter.queueDepth()).to.equal(0);
+
+      done();
+    }, 100);
+  });
+
+  it('refills tokens at the configured rate', function (done) {
+    var limiter = new RateLimiter({requests: 1, interval: 30});
+    var times = [];
+    var start = Date.now();
+
+    [0, 1, 2].forEach(() => limiter.schedule(() => times.push(Date.now() - start)));
+
+    setTimeout(function () {
+      expect(times.length).to.equal(3);
+      expect(times[1]).to.be.at.least(25);
+      expect(times[2]).to.be.at.least(55);
+
+      done();
+    }, 150);
+  });
+
+  it('shares the rate limiter of an API key', function () {
+    var options = {requests: 1, interval: 1000};
+
+    expect(RateLimiter.forKey('sharedkey', options)).to.equal(RateLimiter.forKey('sharedkey', options));
+    expect(RateLimiter.forKey('sharedkey', options)).to.not.equal(RateLimiter.forKey('otherkey', options));
+    expect(RateLimiter.forKey(undefined, options)).to.not.equal(RateLimiter.forKey(undefined, options));
+  });
+});